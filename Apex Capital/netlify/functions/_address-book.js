@@ -0,0 +1,128 @@
+// netlify/functions/_address-book.js
+// Saved withdrawal addresses and the checks ledger-transaction-create runs
+// against them.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// A new address has to be confirmed from the link emailed to the account
+// holder (address-confirm) before the link expires, and can't be used until the cooling-off period
+// after it was added has passed — so someone who takes over a session can't
+// add their own address and withdraw to it straight away.
+//
+// With users.whitelist_only set, withdrawals may only go to an active entry.
+//
+// Optional env vars:
+//   ADDRESS_COOLING_OFF_HOURS   hours before a new address can be used (default 24)
+//   ADDRESS_CONFIRM_HOURS       hours the emailed confirmation link works for (default 24)
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+//   id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   user_id             UUID NOT NULL REFERENCES users(id),
+//   label               TEXT NOT NULL,
+//   asset               TEXT NOT NULL,
+//   network             TEXT NOT NULL,
+//   address             TEXT NOT NULL,
+//   confirm_token_hash  TEXT,                 -- sha256 of the emailed token, cleared once used
+//   confirm_expires_at  TIMESTAMPTZ,          -- the emailed link stops working after this
+//   confirmed_at        TIMESTAMPTZ,
+//   usable_at           TIMESTAMPTZ NOT NULL, -- end of the cooling-off period
+//   created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   UNIQUE (user_id, asset, network, address)
+// );
+// CREATE INDEX IF NOT EXISTS withdrawal_addresses_token_idx ON withdrawal_addresses (confirm_token_hash);
+// ALTER TABLE withdrawal_addresses ADD COLUMN IF NOT EXISTS confirm_expires_at TIMESTAMPTZ;
+//
+// ALTER TABLE users        ADD COLUMN IF NOT EXISTS whitelist_only        BOOLEAN NOT NULL DEFAULT FALSE;
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS withdrawal_address_id UUID
+//   REFERENCES withdrawal_addresses(id) ON DELETE SET NULL;
+
+const crypto = require('crypto');
+const { supabase } = require('./_db');
+const { validateWithdrawalAddress } = require('./_address');
+
+const COOLING_OFF_HOURS = parseFloat(process.env.ADDRESS_COOLING_OFF_HOURS || '24');
+const CONFIRM_HOURS     = parseFloat(process.env.ADDRESS_CONFIRM_HOURS     || '24');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * 'unconfirmed' until the email link is followed — 'expired' once the link
+ * no longer works — then 'cooling_off' until usable_at, then 'active'.
+ */
+function addressStatus(entry, now = Date.now()) {
+  if (!entry.confirmed_at) {
+    return entry.confirm_expires_at && new Date(entry.confirm_expires_at) > now ? 'unconfirmed' : 'expired';
+  }
+  if (new Date(entry.usable_at) > now) return 'cooling_off';
+  return 'active';
+}
+
+function formatEntry(e) {
+  return {
+    id:           e.id,
+    label:        e.label,
+    asset:        e.asset,
+    network:      e.network,
+    address:      e.address,
+    status:       addressStatus(e),
+    confirmed_at: e.confirmed_at,
+    usable_at:    e.usable_at,
+    created_at:   e.created_at,
+  };
+}
+
+function notUsableMessage(entry) {
+  const status = addressStatus(entry);
+  if (status === 'expired') {
+    return `The confirmation link for address "${entry.label}" has expired. Remove the address and add it again.`;
+  }
+  return status === 'unconfirmed'
+    ? `Address "${entry.label}" hasn't been confirmed yet. Use the link we emailed you.`
+    : `Address "${entry.label}" can be used from ${new Date(entry.usable_at).toUTCString()}.`;
+}
+
+/**
+ * Resolve and check the destination of a withdrawal.
+ *   addressId      an address book entry, or
+ *   address        a raw address, validated and then matched against the
+ *                  book on asset, canonical network and address
+ * Returns { error } or { address, network, entry } — entry null for a raw
+ * address that isn't in the book (only allowed without whitelist_only).
+ */
+async function resolveWithdrawalAddress({ userId, whitelistOnly, asset, addressId, address, network }) {
+  const select = 'select=id,label,asset,network,address,confirmed_at,confirm_expires_at,usable_at';
+
+  if (addressId) {
+    const [entry] = await supabase.get(
+      '/rest/v1/withdrawal_addresses',
+      `id=eq.${addressId}&user_id=eq.${userId}&${select}`
+    );
+    if (!entry)                            return { error: 'Saved address not found' };
+    if (entry.asset !== asset)             return { error: `Address "${entry.label}" is for ${entry.asset}, not ${asset}` };
+    if (addressStatus(entry) !== 'active') return { error: notUsableMessage(entry) };
+    return { address: entry.address, network: entry.network, entry };
+  }
+
+  // The same address on another chain is a different destination, so the
+  // network has to match too — compared by its canonical name
+  const valid = validateWithdrawalAddress({ asset, network, address });
+  if (valid.error) return valid;
+
+  const matches = await supabase.get(
+    '/rest/v1/withdrawal_addresses',
+    `user_id=eq.${userId}&asset=eq.${encodeURIComponent(asset)}` +
+    `&network=eq.${encodeURIComponent(valid.network)}&address=eq.${encodeURIComponent(valid.address)}&${select}`
+  );
+  const entry = matches[0] || null;
+
+  if (entry && addressStatus(entry) === 'active') {
+    return { address: entry.address, network: entry.network, entry };
+  }
+  if (whitelistOnly) {
+    return { error: entry ? notUsableMessage(entry) : 'Withdrawals are limited to your address book. Add this address first.' };
+  }
+  return { address: valid.address, network: valid.network, entry: null };
+}
+
+module.exports = { COOLING_OFF_HOURS, CONFIRM_HOURS, hashToken, addressStatus, formatEntry, resolveWithdrawalAddress };
@@ -0,0 +1,353 @@
+// netlify/functions/_address.js
+// Withdrawal address validation per network, so a typo'd, testnet or
+// wrong-chain address is refused before anything is debited.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Networks each asset can be withdrawn on (ASSET_NETWORKS), and what a valid
+// address looks like on each:
+//   bitcoin    base58check P2PKH / P2SH, or bech32 (segwit v0) / bech32m (v1+)
+//   ethereum   0x + 40 hex; mixed case must match the EIP-55 checksum
+//   arbitrum,  same as ethereum
+//   base
+//   solana     base58, 32-byte public key
+//   tron       base58check, version byte 0x41 (starts with T)
+//
+// `network` from the client is matched case-insensitively against each
+// network's name and aliases ('Ethereum (ERC-20)', 'erc20', 'TRC-20', …) and
+// comes back as the canonical name, so stored networks stay consistent.
+
+const crypto = require('crypto');
+
+const NETWORKS = {
+  bitcoin:  { name: 'Bitcoin Mainnet',   aliases: ['bitcoin', 'btc', 'mainnet', 'bitcoin mainnet'] },
+  ethereum: { name: 'Ethereum (ERC-20)', aliases: ['ethereum', 'eth', 'erc20', 'erc-20', 'ethereum mainnet'] },
+  arbitrum: { name: 'Arbitrum One',      aliases: ['arbitrum', 'arb', 'arbitrum one'] },
+  base:     { name: 'Base',              aliases: ['base', 'base mainnet'] },
+  solana:   { name: 'Solana Mainnet',    aliases: ['solana', 'sol', 'spl', 'solana mainnet'] },
+  tron:     { name: 'Tron (TRC-20)',     aliases: ['tron', 'trx', 'trc20', 'trc-20'] },
+};
+
+const ASSET_NETWORKS = {
+  BTC:  ['bitcoin'],
+  ETH:  ['ethereum', 'arbitrum', 'base'],
+  USDT: ['ethereum', 'tron'],
+  USDC: ['ethereum', 'solana'],
+  SOL:  ['solana'],
+};
+
+// ── Encodings ─────────────────────────────────────────────────────────────────
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Decode a base58 string to bytes, or null if it has characters outside the
+ * alphabet (0, O, I and l are not in it).
+ */
+function base58Decode(str) {
+  const bytes = [];   // little-endian while we build it
+  for (const ch of str) {
+    let carry = BASE58.indexOf(ch);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry) { bytes.push(carry & 0xff); carry >>= 8; }
+  }
+  // Each leading '1' is a leading zero byte
+  for (const ch of str) {
+    if (ch !== '1') break;
+    bytes.push(0);
+  }
+  return Buffer.from(bytes.reverse());
+}
+
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest();
+
+/**
+ * Decode base58check: { version, payload } or { error }.
+ */
+function base58CheckDecode(str) {
+  const raw = base58Decode(str);
+  if (!raw)            return { error: 'contains characters that are not valid in this kind of address' };
+  if (raw.length < 5)  return { error: 'is too short' };
+  const body     = raw.subarray(0, -4);
+  const checksum = sha256(sha256(body)).subarray(0, 4);
+  if (!checksum.equals(raw.subarray(-4))) return { error: "has a checksum that doesn't match — check for a typo" };
+  return { version: body[0], payload: body.subarray(1) };
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST   = 1;
+const BECH32M_CONST  = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+  }
+  return chk >>> 0;
+}
+
+const hrpExpand = hrp => [...hrp].map(c => c.charCodeAt(0) >> 5)
+  .concat(0, [...hrp].map(c => c.charCodeAt(0) & 31));
+
+/**
+ * Decode a bech32 / bech32m string: { hrp, data (5-bit words, no checksum),
+ * encoding: 'bech32' | 'bech32m' } or { error }.
+ */
+function bech32Decode(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) return { error: 'mixes upper and lower case' };
+  const s   = str.toLowerCase();
+  const pos = s.lastIndexOf('1');
+  if (pos < 1 || pos + 7 > s.length || s.length > 90) return { error: 'is not a valid bech32 address' };
+
+  const hrp  = s.slice(0, pos);
+  const data = [];
+  for (const ch of s.slice(pos + 1)) {
+    const v = BECH32_CHARSET.indexOf(ch);
+    if (v < 0) return { error: `contains "${ch}", which is not valid in a bech32 address` };
+    data.push(v);
+  }
+  const check    = bech32Polymod(hrpExpand(hrp).concat(data));
+  const encoding = check === BECH32_CONST ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null;
+  if (!encoding) return { error: "has a checksum that doesn't match — check for a typo" };
+  return { hrp, data: data.slice(0, -6), encoding };
+}
+
+// Regroup 5-bit words into bytes; null if the padding is invalid
+function fromWords(words) {
+  let acc = 0, bits = 0;
+  const out = [];
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) { bits -= 8; out.push((acc >> bits) & 0xff); }
+  }
+  if (bits >= 5 || (acc << (8 - bits)) & 0xff) return null;
+  return Buffer.from(out);
+}
+
+// ── Keccak-256 (for EIP-55) ───────────────────────────────────────────────────
+// The original Keccak padding, not NIST SHA3-256 — Node's crypto only has the
+// latter, so the permutation is written out here.
+
+const MASK64 = (1n << 64n) - 1n;
+
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14,
+];
+
+// Round constants from the spec's LFSR
+const KECCAK_RC = (() => {
+  let r = 1;
+  const next = () => {
+    const bit = r & 1;
+    r = (r << 1) ^ (r & 0x80 ? 0x171 : 0);
+    return bit;
+  };
+  return Array.from({ length: 24 }, () => {
+    let rc = 0n;
+    for (let j = 0; j < 7; j++) if (next()) rc |= 1n << BigInt((1 << j) - 1);
+    return rc;
+  });
+})();
+
+const rotl64 = (x, n) => (n === 0 ? x : ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK64);
+
+function keccakF(A) {
+  for (let round = 0; round < 24; round++) {
+    const C = [0, 1, 2, 3, 4].map(x => A[x] ^ A[x + 5] ^ A[x + 10] ^ A[x + 15] ^ A[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const D = C[(x + 4) % 5] ^ rotl64(C[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) A[x + y] ^= D;
+    }
+    const B = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        B[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(A[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        A[x + y] = B[x + y] ^ (~B[(x + 1) % 5 + y] & MASK64 & B[(x + 2) % 5 + y]);
+      }
+    }
+    A[0] ^= KECCAK_RC[round];
+  }
+}
+
+function keccak256(input) {
+  const RATE  = 136;
+  const data  = Buffer.from(input);
+  const padded = Buffer.alloc(Math.floor(data.length / RATE + 1) * RATE);
+  data.copy(padded);
+  padded[data.length]      ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const A = new Array(25).fill(0n);
+  for (let off = 0; off < padded.length; off += RATE) {
+    for (let i = 0; i < RATE / 8; i++) A[i] ^= padded.readBigUInt64LE(off + i * 8);
+    keccakF(A);
+  }
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) out.writeBigUInt64LE(A[i], i * 8);
+  return out;
+}
+
+/**
+ * EIP-55 checksummed form of a 0x address.
+ */
+function toChecksumAddress(address) {
+  const lower = address.slice(2).toLowerCase();
+  const hash  = keccak256(lower).toString('hex');
+  return '0x' + [...lower].map((c, i) => (parseInt(hash[i], 16) >= 8 ? c.toUpperCase() : c)).join('');
+}
+
+// ── Validators ────────────────────────────────────────────────────────────────
+// Each returns null when the address is valid, else what's wrong with it.
+
+function validateBitcoin(address) {
+  if (/^(bc1|tb1|bcrt1)/i.test(address)) {
+    const dec = bech32Decode(address);
+    if (dec.error) return `This Bitcoin address ${dec.error}`;
+    if (dec.hrp === 'tb' || dec.hrp === 'bcrt') return 'This is a Bitcoin testnet address — withdrawals go to Bitcoin mainnet only';
+    if (dec.hrp !== 'bc' || !dec.data.length)  return 'This is not a valid Bitcoin address';
+
+    const version = dec.data[0];
+    const program = fromWords(dec.data.slice(1));
+    if (version > 16 || !program || program.length < 2 || program.length > 40) return 'This is not a valid Bitcoin address';
+    if (version === 0 && program.length !== 20 && program.length !== 32)      return 'This is not a valid Bitcoin address';
+    // BIP-350: v0 uses the original bech32 checksum, v1+ must use bech32m
+    if ((version === 0) !== (dec.encoding === 'bech32')) return "This Bitcoin address's checksum doesn't match its type — check for a typo";
+    return null;
+  }
+
+  if (!/^[123mn]/.test(address)) return 'This is not a Bitcoin address';
+  const dec = base58CheckDecode(address);
+  if (dec.error) return `This Bitcoin address ${dec.error}`;
+  if (dec.payload.length !== 20) return 'This is not a valid Bitcoin address';
+  if (dec.version === 0x6f || dec.version === 0xc4) return 'This is a Bitcoin testnet address — withdrawals go to Bitcoin mainnet only';
+  if (dec.version !== 0x00 && dec.version !== 0x05) return 'This is not a Bitcoin mainnet address';
+  return null;
+}
+
+function validateEvm(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return /^(0x)?[0-9a-fA-F]+$/.test(address)
+      ? 'An Ethereum-style address is 0x followed by 40 hex characters'
+      : 'This is not an Ethereum-style (0x…) address';
+  }
+  if (/^0x0{40}$/.test(address)) return 'This is the zero address — funds sent to it are lost';
+  const hex = address.slice(2);
+  // All one case carries no checksum; mixed case must match EIP-55 exactly
+  if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && toChecksumAddress(address) !== address) {
+    return "This address's checksum (its mix of upper and lower case) doesn't match — check for a typo";
+  }
+  return null;
+}
+
+function validateSolana(address) {
+  if (address.length < 32 || address.length > 44) return 'A Solana address is 32–44 characters long';
+  const raw = base58Decode(address);
+  if (!raw)               return 'This Solana address contains characters that are not valid in base58 (0, O, I and l are not used)';
+  if (raw.length !== 32)  return 'This is not a valid Solana address';
+  return null;
+}
+
+function validateTron(address) {
+  if (!address.startsWith('T') || address.length !== 34) return 'A Tron address starts with T and is 34 characters long';
+  const dec = base58CheckDecode(address);
+  if (dec.error) return `This Tron address ${dec.error}`;
+  if (dec.version !== 0x41 || dec.payload.length !== 20) return 'This is not a valid Tron address';
+  return null;
+}
+
+const VALIDATORS = {
+  bitcoin:  validateBitcoin,
+  ethereum: validateEvm,
+  arbitrum: validateEvm,
+  base:     validateEvm,
+  solana:   validateSolana,
+  tron:     validateTron,
+};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * The network key ('ethereum', 'tron', …) for a client-supplied name or alias,
+ * or null if it isn't one we know.
+ */
+function networkKey(network) {
+  const n = String(network || '').trim().toLowerCase();
+  return Object.keys(NETWORKS).find(k => k === n || NETWORKS[k].name.toLowerCase() === n || NETWORKS[k].aliases.includes(n)) || null;
+}
+
+/**
+ * Canonical network name for an asset: { network } or { error }. Without a
+ * network, assets on a single network get that one.
+ */
+function resolveNetwork(asset, network) {
+  const allowed = ASSET_NETWORKS[asset];
+  if (!allowed) return { error: `Unsupported asset: ${asset}` };
+  const names = allowed.map(k => NETWORKS[k].name).join(', ');
+
+  if (!network || !String(network).trim()) {
+    return allowed.length === 1 ? { network: NETWORKS[allowed[0]].name, key: allowed[0] } : { error: `Choose a network for ${asset}: ${names}` };
+  }
+  const key = networkKey(network);
+  if (!key)                     return { error: `Unknown network "${network}". ${asset} can be withdrawn on: ${names}` };
+  if (!allowed.includes(key))   return { error: `${asset} can't be withdrawn on ${NETWORKS[key].name}. Use: ${names}` };
+  return { network: NETWORKS[key].name, key };
+}
+
+/**
+ * Check a withdrawal destination. Returns { error } or
+ * { address, network } with the network's canonical name.
+ *
+ * Without a network, assets on several networks are matched to whichever one
+ * the address is valid for.
+ */
+function validateWithdrawalAddress({ asset, network, address }) {
+  const addr = String(address || '').trim();
+  if (!addr)          return { error: 'Destination address is required' };
+  if (/\s/.test(addr)) return { error: 'Address must not contain spaces' };
+
+  const allowed = ASSET_NETWORKS[asset];
+  if (!allowed) return { error: `Unsupported asset: ${asset}` };
+
+  if ((!network || !String(network).trim()) && allowed.length > 1) {
+    const fits = allowed.filter(k => !VALIDATORS[k](addr));
+    // EVM chains share one address format, so that alone can't pick the chain
+    if (fits.length === 1) return { address: addr, network: NETWORKS[fits[0]].name };
+    return resolveNetwork(asset, null);
+  }
+
+  const resolved = resolveNetwork(asset, network);
+  if (resolved.error) return resolved;
+
+  const problem = VALIDATORS[resolved.key](addr);
+  if (problem) {
+    // A valid address for another network is the likeliest mistake — say so
+    const other = Object.keys(VALIDATORS).find(k => VALIDATORS[k] !== VALIDATORS[resolved.key] && !VALIDATORS[k](addr));
+    if (other) {
+      const name = NETWORKS[other].name;
+      return { error: `This looks like ${/^[AEIOU]/.test(name) ? 'an' : 'a'} ${name} address, but the network is ${resolved.network}` };
+    }
+    return { error: problem };
+  }
+  return { address: addr, network: resolved.network };
+}
+
+module.exports = {
+  NETWORKS, ASSET_NETWORKS,
+  networkKey, resolveNetwork, validateWithdrawalAddress, toChecksumAddress,
+};
@@ -1,24 +1,99 @@
 // netlify/functions/_admin-guard.js
 // Shared middleware for all admin functions.
-// Verifies the session cookie AND the isAdmin flag baked in at login.
+// Verifies the session cookie AND the admin roles baked in at login, and maps
+// those roles to permissions so each endpoint only admits the staff who need it.
 // Prefixed _ so Netlify does not expose it as a public endpoint.
+//
+// Roles come from the Auth0 roles claim (see auth-callback.js). Create them in
+// Auth0 → User Management → Roles with exactly these names:
+//   support     read-only: users, transactions, audit log; can kill sessions
+//               and view the dashboard as a user (read-only impersonation)
+//   compliance  support + KYC decisions and withdrawal limit overrides
+//   finance     support + transaction status changes, balance adjustments,
+//               withdrawal limit overrides and the fee schedule
+//   superadmin  everything
+// The legacy "admin" role is treated as superadmin.
 
-const { getSession, unauth, forbidden, json } = require('./_db');
+const { getSession, unauth, json } = require('./_db');
+
+const ROLE_PERMISSIONS = {
+  support:    ['users:read', 'transactions:read', 'audit:read', 'sessions:revoke', 'users:impersonate'],
+  compliance: ['users:read', 'transactions:read', 'audit:read', 'sessions:revoke', 'kyc:write', 'limits:write'],
+  finance:    ['users:read', 'transactions:read', 'audit:read', 'sessions:revoke',
+               'transactions:write', 'balances:adjust', 'limits:write', 'fees:write'],
+  superadmin: ['*'],
+};
+
+const ROLE_ALIASES = { admin: 'superadmin' };
+
+const ALL_PERMISSIONS = [...new Set(
+  Object.values(ROLE_PERMISSIONS).flat().filter(p => p !== '*')
+)];
+
+/**
+ * Normalise a raw Auth0 roles claim to the admin roles we recognise.
+ */
+function adminRoles(roles) {
+  return [...new Set(
+    (roles || []).map(r => ROLE_ALIASES[r] || r).filter(r => r in ROLE_PERMISSIONS)
+  )];
+}
+
+/**
+ * Admin roles for a session. Sessions issued before roles were stored in the
+ * cookie only carry isAdmin, which meant full access.
+ */
+function rolesFor(session) {
+  return adminRoles(session.roles || (session.isAdmin ? ['superadmin'] : []));
+}
+
+/**
+ * Effective permissions for a session.
+ */
+function permissionsFor(session) {
+  const perms = new Set(rolesFor(session).flatMap(r => ROLE_PERMISSIONS[r]));
+  return perms.has('*') ? [...ALL_PERMISSIONS] : [...perms];
+}
+
+function hasPermission(session, permission) {
+  return permissionsFor(session).includes(permission);
+}
+
+function forbidden(permission) {
+  return json(403, { ok: false, error: 'Forbidden', ...(permission && { permission }) });
+}
 
 /**
  * Wraps an admin handler. Usage:
  *   exports.handler = requireAdmin(async (event, session) => { ... });
+ * Admits any admin role — prefer requirePermission for anything role-specific.
  */
 function requireAdmin(handler) {
+  return guard(null, handler);
+}
+
+/**
+ * Wraps an admin handler that needs a specific permission. Usage:
+ *   exports.handler = requirePermission('balances:adjust', async (event, session) => { ... });
+ */
+function requirePermission(permission, handler) {
+  return guard(permission, handler);
+}
+
+function guard(permission, handler) {
   return async (event) => {
     // Only allow expected HTTP methods — caller can override by checking in handler
     if (event.httpMethod === 'OPTIONS') {
       return { statusCode: 204, body: '' };
     }
 
-    const session = getSession(event);
+    // Admin endpoints always act as the admin, even mid-impersonation
+    const session = await getSession(event, { realPrincipal: true });
     if (!session) return unauth();
-    if (!session.isAdmin) return forbidden();
+
+    const perms = permissionsFor(session);
+    if (!perms.length) return forbidden();
+    if (permission && !perms.includes(permission)) return forbidden(permission);
 
     try {
       return await handler(event, session);
@@ -29,4 +104,6 @@ function requireAdmin(handler) {
   };
 }
 
-module.exports = { requireAdmin };
+module.exports = {
+  requireAdmin, requirePermission, hasPermission, permissionsFor, rolesFor, adminRoles, forbidden,
+};
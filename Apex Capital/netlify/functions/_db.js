@@ -5,14 +5,36 @@
 // Required env vars:
 //   SUPABASE_URL          e.g. https://xyzxyz.supabase.co
 //   SUPABASE_SERVICE_KEY  service_role secret key (never expose to frontend)
-//   AUTH0_COOKIE_SECRET   same secret used in auth-callback.js
+//   SESSION_SIGNING_KEYS  comma-separated kid:secret pairs, NEWEST FIRST,
+//                         e.g. "2025-06:8f3…,2025-01:c41…". New tokens are signed
+//                         with the first key; tokens signed with any listed key
+//                         verify. To rotate: prepend a new key, wait out
+//                         SESSION_MAX_HOURS, then drop the old one.
+// Optional:
+//   AUTH0_COOKIE_SECRET   legacy single secret. Still verifies tokens issued
+//                         before key ids, and signs with kid "legacy" when
+//                         SESSION_SIGNING_KEYS is unset.
+//   SESSION_IDLE_MINUTES        sign out after this long without activity (default 30)
+//   SESSION_ADMIN_IDLE_MINUTES  same, for admin sessions (default 15)
+//   SESSION_MAX_HOURS           absolute session lifetime, however active (default 24)
 
 const crypto = require('crypto');
 
 const SUPABASE_URL        = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 const AUTH0_COOKIE_SECRET  = process.env.AUTH0_COOKIE_SECRET;
+const SIGNING_KEYS         = loadSigningKeys();
 const COOKIE_NAME          = 'apex_session';
+const CSRF_COOKIE          = 'apex_csrf';
+const CSRF_HEADER          = 'x-csrf-token';
+const SAFE_METHODS         = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// The cookie lives SESSION_TTL_SECONDS and is re-issued by auth-refresh.js
+// while the user is active, up to the session's absolute expires_at.
+const SESSION_TTL_SECONDS  = 60 * 60 * 2; // 2 hours
+const SESSION_MAX_SECONDS  = parseInt(process.env.SESSION_MAX_HOURS || '24') * 60 * 60;
+const IDLE_SECONDS         = parseInt(process.env.SESSION_IDLE_MINUTES || '30') * 60;
+const ADMIN_IDLE_SECONDS   = parseInt(process.env.SESSION_ADMIN_IDLE_MINUTES || '15') * 60;
 
 // ── Supabase REST helper ──────────────────────────────────────────────────────
 
@@ -51,38 +73,416 @@ supabase.patch  = (path, qs, body) => supabase(`${path}?${qs}`, { method: 'PATCH
 supabase.delete = (path, qs)       => supabase(`${path}?${qs}`, { method: 'DELETE' });
 supabase.rpc    = (fn, body)       => supabase(`/rest/v1/rpc/${fn}`, { method: 'POST', body: JSON.stringify(body) });
 
+// PostgREST caps each response (1,000 rows by default) without saying so
+const PAGE_SIZE = 1000;
+
+/**
+ * Every row a GET matches, read page by page. `qs` must order the rows
+ * uniquely (e.g. `order=created_at.asc,id.asc`) so pages don't overlap.
+ */
+supabase.getAll = async (path, qs) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await supabase.get(path, `${qs}&offset=${offset}&limit=${PAGE_SIZE}`);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+};
+
 // ── Session verification ──────────────────────────────────────────────────────
+//
+// Every login is recorded in a `sessions` row. The signed cookie carries the
+// row id (`sid`), so a session can be revoked server-side before its cookie
+// expires. Requires:
+//
+// CREATE TABLE IF NOT EXISTS sessions (
+//   id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   auth0_sub      TEXT NOT NULL,
+//   ip_address     TEXT,
+//   user_agent     TEXT,
+//   created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   expires_at     TIMESTAMPTZ NOT NULL,
+//   revoked_at     TIMESTAMPTZ,
+//   revoked_reason TEXT
+// );
+// CREATE INDEX IF NOT EXISTS sessions_active_idx ON sessions (auth0_sub) WHERE revoked_at IS NULL;
+// ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;  -- bumped by auth-refresh.js
+// ALTER TABLE sessions ADD COLUMN IF NOT EXISTS impersonate_user_id UUID REFERENCES users(id);
+// ALTER TABLE sessions ADD COLUMN IF NOT EXISTS impersonate_until TIMESTAMPTZ;  -- see admin-impersonate.js
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
- * Parse and verify the apex_session cookie from an event.
- * Returns the decoded payload { sub, email, name, ... } or null.
+ * Read a single cookie value from an event, or null.
  */
-function getSession(event) {
+function parseCookie(event, name) {
   const cookieHeader = event.headers['cookie'] || '';
   const raw = cookieHeader
     .split(';')
     .map(s => s.trim())
-    .find(s => s.startsWith(COOKIE_NAME + '='));
+    .find(s => s.startsWith(name + '='));
+  return raw ? raw.slice(name.length + 1) : null;
+}
 
-  if (!raw) return null;
-  const token = raw.slice(COOKIE_NAME.length + 1);
+// ── Signing keys ──────────────────────────────────────────────────────────────
 
+/**
+ * Parse SESSION_SIGNING_KEYS into [{ kid, secret }], newest first.
+ */
+function loadSigningKeys() {
+  const keys = (process.env.SESSION_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const i = entry.indexOf(':');
+      return { kid: entry.slice(0, i), secret: entry.slice(i + 1) };
+    })
+    .filter(k => /^[A-Za-z0-9_-]+$/.test(k.kid) && k.secret);
+
+  if (!keys.length && AUTH0_COOKIE_SECRET) keys.push({ kid: 'legacy', secret: AUTH0_COOKIE_SECRET });
+  return keys;
+}
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Compares byte lengths — a non-ASCII string can be as many characters as
+// the expected value but longer in UTF-8, which timingSafeEqual throws on
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Sign a payload into a `kid.data.sig` token (base64url JSON + HMAC-SHA256
+ * over `kid.data`) with the newest signing key.
+ */
+function signPayload(payload) {
+  const { kid, secret } = SIGNING_KEYS[0] || {};
+  if (!secret) throw new Error('SESSION_SIGNING_KEYS not configured');
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${kid}.${data}.${hmac(secret, `${kid}.${data}`)}`;
+}
+
+/**
+ * Verify the HMAC signature of a `kid.data.sig` token against the key it
+ * names, and return its payload, or null. Tokens from before key ids
+ * (`data.sig`) verify against AUTH0_COOKIE_SECRET. Does not check expiry.
+ */
+function verifyPayload(token) {
   try {
-    const [data, sig] = token.split('.');
-    if (!data || !sig) return null;
-    const expected = crypto
-      .createHmac('sha256', AUTH0_COOKIE_SECRET)
-      .update(data)
-      .digest('base64url');
-    if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
-    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
-    if (payload.exp && Date.now() / 1000 > payload.exp) return null;
-    return payload;
+    const parts = token.split('.');
+    let data, expected;
+
+    if (parts.length === 3) {
+      const [kid, body, sig] = parts;
+      const key = SIGNING_KEYS.find(k => k.kid === kid);
+      if (!key || !body || !sig) return null;
+      data     = body;
+      expected = hmac(key.secret, `${kid}.${body}`);
+      if (!safeEqual(sig, expected)) return null;
+    } else if (parts.length === 2 && AUTH0_COOKIE_SECRET) {
+      const [body, sig] = parts;
+      if (!body || !sig) return null;
+      data     = body;
+      expected = hmac(AUTH0_COOKIE_SECRET, body);
+      if (!safeEqual(sig, expected)) return null;
+    } else {
+      return null;
+    }
+
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
   } catch {
     return null;
   }
 }
 
+// ── CSRF ──────────────────────────────────────────────────────────────────────
+//
+// Double-submit token bound to the session: HMAC of the sid, issued in a
+// readable (non-HttpOnly) apex_csrf cookie alongside apex_session. Pages echo
+// it back in an X-CSRF-Token header, which a cross-site form or fetch can't
+// read or set. Checked by getSession on every non-GET request, together with
+// the Origin (or Referer) header.
+
+// Tokens are issued with the newest signing key; any current key is accepted
+// so rotating keys doesn't invalidate pages already open.
+function csrfToken(sid, secret = SIGNING_KEYS[0]?.secret) {
+  return hmac(secret, `csrf:${sid}`);
+}
+
+/**
+ * Build the Set-Cookie value for a session's CSRF token.
+ */
+function csrfCookie(sid, maxAgeSeconds) {
+  return [
+    `${CSRF_COOKIE}=${sid ? csrfToken(sid) : ''}`,
+    `Max-Age=${maxAgeSeconds}`,
+    'Path=/',
+    'SameSite=Strict',
+    'Secure',
+  ].join('; ');
+}
+
+/**
+ * Origins allowed to make state-changing requests: the site itself (and the
+ * current deploy URL for previews), plus whatever host the request came in on.
+ */
+function allowedOrigins(event) {
+  const origins = [process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL]
+    .filter(Boolean)
+    .map(u => new URL(u).origin);
+  if (event.headers['host']) origins.push(`https://${event.headers['host']}`);
+  return origins;
+}
+
+/**
+ * True if a non-GET request carries a matching CSRF token and comes from our
+ * own origin. Requests without an Origin or Referer (non-browser clients)
+ * still need the token.
+ */
+function checkCsrf(event, sid) {
+  const source = event.headers['origin'] || event.headers['referer'];
+  if (source) {
+    let origin;
+    try { origin = new URL(source).origin; } catch { return false; }
+    if (!allowedOrigins(event).includes(origin)) return false;
+  }
+
+  const sent = event.headers[CSRF_HEADER] || '';
+  return SIGNING_KEYS.some(k => safeEqual(sent, csrfToken(sid, k.secret)));
+}
+
+/**
+ * Seconds of inactivity after which a session is rejected.
+ */
+function idleTimeoutSeconds(payload) {
+  return payload.isAdmin ? ADMIN_IDLE_SECONDS : IDLE_SECONDS;
+}
+
+/**
+ * Parse and verify the apex_session cookie from an event, then confirm the
+ * session it names is still active in the `sessions` table and hasn't been
+ * idle for longer than the idle timeout. Non-GET requests must also pass the
+ * CSRF check above.
+ * Returns the decoded payload { sub, email, name, sid, ... } or null.
+ * Fails closed — if the registry can't be reached, the session is rejected.
+ *
+ * While an admin is impersonating a user (admin-impersonate.js), GET requests
+ * get the target user's identity with `impersonator` set, and every other
+ * method gets null, so user endpoints are read-only. Each such request is
+ * audited. Pass { realPrincipal: true } to ignore impersonation and get the
+ * admin's own session (admin endpoints, refresh, ending impersonation).
+ *
+ * Read-only endpoints that also serve scripts pass { apiKeyScope }: a request
+ * with `Authorization: Bearer apx_…` is then authenticated by personal API key
+ * instead of the cookie (see api-keys.js), if the key holds that scope.
+ */
+async function getSession(event, { realPrincipal = false, apiKeyScope = null } = {}) {
+  const bearer = event.headers['authorization']?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) return apiKeyScope ? apiKeySession(event, bearer, apiKeyScope) : null;
+
+  const token = parseCookie(event, COOKIE_NAME);
+  if (!token) return null;
+
+  const payload = verifyPayload(token);
+  if (!payload) return null;
+  if (payload.exp && Date.now() / 1000 > payload.exp) return null;
+
+  // Cookies issued before the session registry carry no sid — force a re-login
+  if (!payload.sid || !UUID_RE.test(payload.sid)) return null;
+
+  if (!SAFE_METHODS.has(event.httpMethod) && !checkCsrf(event, payload.sid)) {
+    console.warn(`getSession: CSRF check failed for ${event.httpMethod} ${event.path}`);
+    return null;
+  }
+
+  try {
+    const rows = await supabase.get(
+      '/rest/v1/sessions',
+      `id=eq.${payload.sid}&select=auth0_sub,created_at,expires_at,last_seen_at,revoked_at,mfa_verified_at,` +
+      'impersonate_user_id,impersonate_until'
+    );
+    const row = rows[0];
+    if (!row || row.revoked_at || row.auth0_sub !== payload.sub) return null;
+    if (new Date(row.expires_at) < new Date()) return null;
+
+    const lastSeen = new Date(row.last_seen_at || row.created_at).getTime();
+    if (Date.now() - lastSeen > idleTimeoutSeconds(payload) * 1000) return null;
+
+    // Second-factor and activity state live server-side only
+    const session = {
+      ...payload,
+      mfaVerifiedAt:    row.mfa_verified_at || null,
+      lastSeenAt:       row.last_seen_at || row.created_at,
+      sessionExpiresAt: row.expires_at,
+    };
+
+    const impersonating = row.impersonate_user_id && new Date(row.impersonate_until) > new Date();
+    if (realPrincipal || !impersonating) return session;
+    return await impersonatedSession(event, session, row);
+  } catch (err) {
+    console.error('getSession lookup error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve an admin's impersonation into the target user's identity for a
+ * read-only request, auditing it either way. Returns null for writes.
+ */
+async function impersonatedSession(event, session, row) {
+  const readOnly = event.httpMethod === 'GET';
+  await auditLog({
+    userId: null,
+    action: readOnly ? 'admin_impersonation_request' : 'admin_impersonation_write_blocked',
+    meta: {
+      admin_email:    session.email,
+      target_user_id: row.impersonate_user_id,
+      method:         event.httpMethod,
+      path:           event.path,
+      query:          event.queryStringParameters || {},
+    },
+    event,
+  });
+  if (!readOnly) return null;
+
+  const users = await supabase.get(
+    '/rest/v1/users',
+    `id=eq.${row.impersonate_user_id}&select=auth0_sub,email,name`
+  );
+  if (!users.length) return null;
+
+  return {
+    sub:           users[0].auth0_sub,
+    email:         users[0].email,
+    name:          users[0].name,
+    picture:       null,
+    isAdmin:       false,
+    roles:         [],
+    sid:           session.sid,
+    exp:           session.exp,
+    mfaVerifiedAt: null,
+    impersonator: {
+      sub:    session.sub,
+      email:  session.email,
+      userId: row.impersonate_user_id,
+      until:  row.impersonate_until,
+    },
+  };
+}
+
+/**
+ * Record a new session for a login. Returns the new session id.
+ */
+async function createSession({ sub, expiresAt, event }) {
+  const [row] = await supabase.post('/rest/v1/sessions', {
+    auth0_sub:    sub,
+    ip_address:   event.headers['x-forwarded-for']?.split(',')[0]?.trim() || 'unknown',
+    user_agent:   event.headers['user-agent'] || 'unknown',
+    created_at:   new Date().toISOString(),
+    last_seen_at: new Date().toISOString(),
+    expires_at:   expiresAt.toISOString(),
+  });
+  return row.id;
+}
+
+/**
+ * Build the Set-Cookie value for a signed session token.
+ */
+function sessionCookie(value, maxAgeSeconds) {
+  return [
+    `${COOKIE_NAME}=${value}`,
+    `Max-Age=${maxAgeSeconds}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    'Secure',
+  ].join('; ');
+}
+
+/**
+ * Revoke sessions for an Auth0 subject.
+ *   sessionId — revoke only this session
+ *   exceptId  — revoke every session except this one
+ * With neither, every active session for the subject is revoked.
+ * Returns the revoked rows.
+ */
+async function revokeSessions({ sub, sessionId = null, exceptId = null, reason }) {
+  let qs = `auth0_sub=eq.${encodeURIComponent(sub)}&revoked_at=is.null`;
+  if (sessionId) qs += `&id=eq.${sessionId}`;
+  if (exceptId)  qs += `&id=neq.${exceptId}`;
+  return supabase.patch('/rest/v1/sessions', qs, {
+    revoked_at:     new Date().toISOString(),
+    revoked_reason: reason,
+  });
+}
+
+// ── Personal API keys ─────────────────────────────────────────────────────────
+//
+// Read-only keys users create for reconciliation scripts. Only a sha256 of
+// the key is stored; the plaintext is shown once at creation. Requires:
+//
+// CREATE TABLE IF NOT EXISTS api_keys (
+//   id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   user_id       UUID NOT NULL REFERENCES users(id),
+//   auth0_sub     TEXT NOT NULL,
+//   name          TEXT NOT NULL,
+//   prefix        TEXT NOT NULL,          -- first characters, for display only
+//   key_hash      TEXT NOT NULL UNIQUE,   -- sha256 hex of the full key
+//   scopes        TEXT[] NOT NULL,
+//   created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   expires_at    TIMESTAMPTZ,
+//   last_used_at  TIMESTAMPTZ,
+//   revoked_at    TIMESTAMPTZ
+// );
+
+const API_KEY_PREFIX = 'apx_';
+const API_KEY_SCOPES = ['balances:read', 'history:read'];
+
+const hashApiKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Resolve a bearer API key into a read-only principal for one scope, or null.
+ * Keys never work for writes, whatever their scopes.
+ */
+async function apiKeySession(event, key, scope) {
+  if (event.httpMethod !== 'GET' || !key.startsWith(API_KEY_PREFIX)) return null;
+
+  try {
+    const rows = await supabase.get(
+      '/rest/v1/api_keys',
+      `key_hash=eq.${hashApiKey(key)}&revoked_at=is.null` +
+      '&select=id,user_id,auth0_sub,name,scopes,expires_at,users(email,name)'
+    );
+    const row = rows[0];
+    if (!row) return null;
+    if (row.expires_at && new Date(row.expires_at) < new Date()) return null;
+    if (!(row.scopes || []).includes(scope)) return null;
+
+    await supabase.patch('/rest/v1/api_keys', `id=eq.${row.id}`, { last_used_at: new Date().toISOString() });
+    await auditLog({
+      userId: row.user_id,
+      action: 'api_key_used',
+      meta:   { key_id: row.id, key_name: row.name, scope, path: event.path },
+      event,
+    });
+
+    return {
+      sub:           row.auth0_sub,
+      email:         row.users?.email || null,
+      name:          row.users?.name  || null,
+      isAdmin:       false,
+      roles:         [],
+      mfaVerifiedAt: null,
+      apiKey:        { id: row.id, name: row.name, scopes: row.scopes },
+    };
+  } catch (err) {
+    console.error('apiKeySession lookup error:', err.message);
+    return null;
+  }
+}
+
 // ── Audit logger ─────────────────────────────────────────────────────────────
 
 /**
@@ -124,4 +524,8 @@ const unauth  = ()    => json(401, { ok: false, error: 'Unauthorised' });
 const forbidden = ()  => json(403, { ok: false, error: 'Forbidden' });
 const serverErr = msg => json(502, { ok: false, error: msg });
 
-module.exports = { supabase, getSession, auditLog, ok, created, badReq, unauth, forbidden, serverErr };
+module.exports = {
+  supabase, getSession, createSession, revokeSessions, parseCookie, signPayload, verifyPayload, safeEqual, UUID_RE,
+  sessionCookie, csrfCookie, idleTimeoutSeconds, hashApiKey, API_KEY_PREFIX, API_KEY_SCOPES, SESSION_TTL_SECONDS, SESSION_MAX_SECONDS,
+  auditLog, json, ok, created, badReq, unauth, forbidden, serverErr,
+};
@@ -0,0 +1,175 @@
+// netlify/functions/_device.js
+// Coarse device fingerprinting and the per-user known-device list used to
+// decide when a login deserves a security email.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// A "device" is browser family + OS + approximate location (country/region
+// from Netlify's geo header, or the IP's /16 network when geo is missing).
+// Versions and exact IPs are deliberately left out so routine browser updates
+// and DHCP churn don't look like a new device.
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS known_devices (
+//   id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   auth0_sub     TEXT NOT NULL,
+//   fingerprint   TEXT NOT NULL,             -- sha256 of label|location
+//   label         TEXT NOT NULL,             -- e.g. "Chrome on macOS"
+//   location      TEXT NOT NULL,             -- e.g. "GB-ENG" or "ip:81.2.0.0/16"
+//   location_label TEXT,                     -- e.g. "London, England, United Kingdom"
+//   last_ip       TEXT,
+//   first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   last_seen_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   UNIQUE (auth0_sub, fingerprint)
+// );
+//
+// -- When each user's device list started, so that an empty list after
+// -- "forget all devices" isn't mistaken for a first login
+// CREATE TABLE IF NOT EXISTS device_tracking (
+//   auth0_sub   TEXT PRIMARY KEY,
+//   started_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+// );
+
+const crypto = require('crypto');
+const { supabase } = require('./_db');
+
+// ── Fingerprinting ────────────────────────────────────────────────────────────
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/,     'Opera'],
+  [/Firefox\/|FxiOS/, 'Firefox'],
+  [/Chrome\/|CriOS/,  'Chrome'],
+  [/Safari\//,        'Safari'],
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/,   'iOS'],
+  [/Android/,            'Android'],
+  [/Windows/,            'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/,               'ChromeOS'],
+  [/Linux/,              'Linux'],
+];
+
+/**
+ * "Chrome on macOS" style label from a user agent string.
+ */
+function uaFamily(userAgent = '') {
+  const browser = BROWSERS.find(([re]) => re.test(userAgent))?.[1] || 'Unknown browser';
+  const os      = SYSTEMS.find(([re]) => re.test(userAgent))?.[1]  || 'unknown OS';
+  return `${browser} on ${os}`;
+}
+
+function clientIp(event) {
+  return event.headers['x-nf-client-connection-ip']
+    || event.headers['x-forwarded-for']?.split(',')[0]?.trim()
+    || 'unknown';
+}
+
+/**
+ * Approximate location for a request: { key, label }.
+ * Netlify sends x-nf-geo (base64 JSON) on every function request; without it
+ * we fall back to the IP's /16 (IPv4) or /32 (IPv6) network.
+ */
+function region(event) {
+  try {
+    const geo = JSON.parse(Buffer.from(event.headers['x-nf-geo'] || '', 'base64').toString('utf8'));
+    if (geo?.country?.code) {
+      const sub = geo.subdivision?.code;
+      return {
+        key:   sub ? `${geo.country.code}-${sub}` : geo.country.code,
+        label: [geo.city, geo.subdivision?.name, geo.country.name].filter(Boolean).join(', '),
+      };
+    }
+  } catch { /* fall through */ }
+
+  if (event.headers['x-country']) {
+    return { key: event.headers['x-country'], label: event.headers['x-country'] };
+  }
+
+  const ip = clientIp(event);
+  const network = ip.includes(':')
+    ? ip.split(':').slice(0, 2).join(':') + '::/32'
+    : ip.split('.').slice(0, 2).join('.') + '.0.0/16';
+  return { key: `ip:${network}`, label: `network ${network}` };
+}
+
+function fingerprint(event) {
+  const label    = uaFamily(event.headers['user-agent']);
+  const location = region(event);
+  return {
+    label,
+    location,
+    hash: crypto.createHash('sha256').update(`${label}|${location.key}`).digest('hex'),
+  };
+}
+
+// ── Known devices ─────────────────────────────────────────────────────────────
+
+/**
+ * Mark device tracking as started for the user. True only the first time.
+ */
+async function startTracking(sub) {
+  const rows = await supabase('/rest/v1/device_tracking', {
+    method:  'POST',
+    headers: { Prefer: 'resolution=ignore-duplicates,return=representation' },
+    body:    JSON.stringify({ auth0_sub: sub, started_at: new Date().toISOString() }),
+  });
+  return rows.length > 0;
+}
+
+/**
+ * Record the device a login came from.
+ * Returns { device, isNew, newDevice, newLocation, firstEver }:
+ *   isNew       — this exact device/location pair hasn't been seen
+ *   newDevice   — no known device with this browser/OS
+ *   newLocation — no known device from this location
+ *   firstEver   — the first device recorded since tracking began for the
+ *                 user (not just an empty list after forgetting devices) —
+ *                 callers shouldn't alert on this
+ */
+async function recordDevice({ sub, event }) {
+  const fp    = fingerprint(event);
+  const ip    = clientIp(event);
+  const now   = new Date().toISOString();
+  const [known, started] = await Promise.all([
+    supabase.get(
+      '/rest/v1/known_devices',
+      `auth0_sub=eq.${encodeURIComponent(sub)}&select=id,fingerprint,label,location,location_label`
+    ),
+    startTracking(sub),
+  ]);
+
+  const match = known.find(d => d.fingerprint === fp.hash);
+  if (match) {
+    await supabase.patch('/rest/v1/known_devices', `id=eq.${match.id}`, { last_seen_at: now, last_ip: ip });
+    return { device: match, isNew: false, newDevice: false, newLocation: false, firstEver: false };
+  }
+
+  const [device] = await supabase('/rest/v1/known_devices', {
+    method:  'POST',
+    headers: { Prefer: 'resolution=merge-duplicates,return=representation' },
+    body: JSON.stringify({
+      auth0_sub:      sub,
+      fingerprint:    fp.hash,
+      label:          fp.label,
+      location:       fp.location.key,
+      location_label: fp.location.label,
+      last_ip:        ip,
+      first_seen_at:  now,
+      last_seen_at:   now,
+    }),
+  });
+
+  return {
+    device,
+    isNew:       true,
+    newDevice:   !known.some(d => d.label === fp.label),
+    newLocation: !known.some(d => d.location === fp.location.key),
+    // Devices from before device_tracking existed also count as started
+    firstEver:   started && known.length === 0,
+  };
+}
+
+module.exports = { recordDevice, startTracking, fingerprint, uaFamily, region, clientIp };
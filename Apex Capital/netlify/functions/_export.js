@@ -0,0 +1,343 @@
+// netlify/functions/_export.js
+// Transaction export: shared filters, and every matching row rendered as CSV
+// or OFX. Used by ledger-transaction-history (a user's own transactions) and
+// admin-transactions (everyone's).
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Query params understood by parseFilters / parseExport:
+//   type, asset, status    as in ledger-transaction-history
+//   from=YYYY-MM-DD        first day included   } days in `tz`
+//   to=YYYY-MM-DD          last day included    }
+//   tz=UTC                 IANA time zone (e.g. Europe/London) for the date
+//                          range and the dates written out; default UTC
+//   format=csv | ofx       export instead of paged JSON
+//   columns=date,type,…    CSV only: which columns, in order (see COLUMNS)
+//
+// CSV has one row per transaction, every status included. OFX (1.02, for
+// accounting software) is a USD bank statement of the value that entered or
+// left the account: deposits and transfers in as credits, withdrawals and
+// transfers out as debits, and each fee as its own FEE line. Conversions and
+// strategy moves don't change what the account is worth, so they're left
+// out, as are rejected, failed and cancelled transactions.
+//
+// Rows are read from the database a page at a time; an export is capped at
+// MAX_EXPORT_ROWS so the response stays within Netlify's 6 MB limit.
+
+const { supabase } = require('./_db');
+
+const SITE_NAME = process.env.SITE_NAME || 'Apex Capital';
+
+const TX_TYPES        = ['deposit', 'withdrawal', 'conversion', 'transfer_in', 'transfer_out', 'allocation', 'redemption',
+                         'adjustment_in', 'adjustment_out'];
+const FORMATS         = ['csv', 'ofx'];
+const PAGE_SIZE       = 1000;
+const MAX_EXPORT_ROWS = 20000;
+const MAX_RANGE_DAYS  = 5 * 366;
+const DATE_RE         = /^\d{4}-\d{2}-\d{2}$/;
+
+// Statuses whose balance effect was reversed
+const REVERSED_STATUSES = new Set(['rejected', 'failed', 'cancelled']);
+
+const num = v => (v == null || v === '' ? '' : String(parseFloat(v)));
+
+// CSV columns: key → [header, value from a transactions row]. user_id and
+// user_email are for admin exports (the row must embed users(email)).
+const COLUMNS = {
+  date:           ['Date',           (tx, tz) => formatDate(tx.created_at, tz)],
+  id:             ['Transaction ID', tx => tx.id],
+  type:           ['Type',           tx => tx.type],
+  status:         ['Status',         tx => tx.status],
+  asset:          ['Asset',          tx => tx.asset],
+  amount:         ['Amount',         tx => num(tx.amount)],
+  usd_value:      ['USD Value',      tx => num(tx.usd_value)],
+  fee_amount:     ['Fee',            tx => num(tx.fee_amount)],
+  fee_usd:        ['Fee USD',        tx => num(tx.fee_usd)],
+  counter_asset:  ['Counter Asset',  tx => tx.counter_asset || ''],
+  counter_amount: ['Counter Amount', tx => num(tx.counter_amount)],
+  network:        ['Network',        tx => tx.network || ''],
+  address:        ['Address',        tx => tx.address || ''],
+  tx_hash:        ['Tx Hash',        tx => tx.tx_hash || ''],
+  strategy:       ['Strategy',       tx => tx.strategy || ''],
+  transfer_id:    ['Transfer ID',    tx => tx.transfer_id || ''],
+  notes:          ['Notes',          tx => tx.notes || ''],
+  updated_at:     ['Updated',        (tx, tz) => formatDate(tx.updated_at, tz)],
+  user_id:        ['User ID',        tx => tx.user_id],
+  user_email:     ['User Email',     tx => tx.users?.email || ''],
+};
+
+const ADMIN_COLUMNS   = ['user_id', 'user_email'];
+const DEFAULT_COLUMNS = ['date', 'type', 'status', 'asset', 'amount', 'usd_value', 'fee_amount', 'fee_usd',
+                         'counter_asset', 'counter_amount', 'network', 'tx_hash', 'id'];
+
+// ── Time zones ────────────────────────────────────────────────────────────────
+
+function validTimeZone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; }
+  catch { return false; }
+}
+
+function zonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  return Object.fromEntries(parts.filter(p => p.type !== 'literal').map(p => [p.type, p.value]));
+}
+
+/**
+ * Minutes `tz` is ahead of UTC at `date`.
+ */
+function tzOffset(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a YYYY-MM-DD day starts in `tz`.
+ */
+function zonedDayStart(day, tz) {
+  const [y, m, d] = day.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d);
+  let t = guess - tzOffset(new Date(guess), tz) * 60000;
+  const corrected = guess - tzOffset(new Date(t), tz) * 60000;   // across a DST change
+  if (corrected !== t) t = corrected;
+  return new Date(t);
+}
+
+const nextDay = day => new Date(Date.parse(day) + 86400000).toISOString().slice(0, 10);
+
+/**
+ * 'YYYY-MM-DD HH:MM:SS' in `tz`.
+ */
+function formatDate(value, tz = 'UTC') {
+  if (!value) return '';
+  const p = zonedParts(new Date(value), tz);
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second}`;
+}
+
+// ── Filters ───────────────────────────────────────────────────────────────────
+
+/**
+ * PostgREST filters for the type / asset / status / from / to query params.
+ * Returns { filter, tz, from, to } (filter starts with '&' when not empty)
+ * or { error }.
+ */
+function parseFilters(q) {
+  const tz = q.tz || 'UTC';
+  if (!validTimeZone(tz)) return { error: `Unknown time zone: ${tz}` };
+
+  let filter = '';
+  if (q.type   && TX_TYPES.includes(q.type))    filter += `&type=eq.${q.type}`;
+  if (q.asset  && /^[A-Z]{2,6}$/.test(q.asset)) filter += `&or=(asset.eq.${q.asset},counter_asset.eq.${q.asset})`;
+  if (q.status && /^[a-z_]+$/.test(q.status))   filter += `&status=eq.${q.status}`;
+
+  const valid = d => DATE_RE.test(d) && !isNaN(Date.parse(d));
+  if (q.from && !valid(q.from)) return { error: 'from must be YYYY-MM-DD' };
+  if (q.to   && !valid(q.to))   return { error: 'to must be YYYY-MM-DD' };
+  if (q.from && q.to && q.from > q.to) return { error: 'from must be on or before to' };
+  if (q.from && q.to && (Date.parse(q.to) - Date.parse(q.from)) / 86400000 > MAX_RANGE_DAYS) {
+    return { error: 'Range is limited to 5 years' };
+  }
+
+  if (q.from) filter += `&created_at=gte.${zonedDayStart(q.from, tz).toISOString()}`;
+  if (q.to)   filter += `&created_at=lt.${zonedDayStart(nextDay(q.to), tz).toISOString()}`;
+
+  return { filter, tz, from: q.from || null, to: q.to || null };
+}
+
+/**
+ * The export options in the query, or null for a normal JSON request.
+ * Returns { format, columns } or { error }.
+ */
+function parseExport(q, { admin = false } = {}) {
+  if (!q.format || q.format === 'json') return null;
+  if (!FORMATS.includes(q.format)) return { error: `format must be one of: json, ${FORMATS.join(', ')}` };
+
+  const allowed = Object.keys(COLUMNS).filter(c => admin || !ADMIN_COLUMNS.includes(c));
+  const columns = q.columns
+    ? [...new Set(q.columns.split(',').map(c => c.trim()).filter(Boolean))]
+    : [...(admin ? ['user_email'] : []), ...DEFAULT_COLUMNS];
+  const unknown = columns.filter(c => !allowed.includes(c));
+  if (unknown.length) return { error: `Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}` };
+  if (!columns.length) return { error: 'columns must name at least one column' };
+
+  return { format: q.format, columns };
+}
+
+/**
+ * Every transactions row matching `filter`, oldest first, or { error } when
+ * there are more than MAX_EXPORT_ROWS.
+ */
+async function fetchAll(filter, select = '*') {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await supabase.get(
+      '/rest/v1/transactions',
+      `${filter.replace(/^&/, '')}&select=${select}&order=created_at.asc,id.asc&offset=${offset}&limit=${PAGE_SIZE}`
+    );
+    rows.push(...page);
+    if (rows.length > MAX_EXPORT_ROWS) {
+      return { error: `More than ${MAX_EXPORT_ROWS.toLocaleString('en-US')} transactions match — narrow the date range and export in parts` };
+    }
+    if (page.length < PAGE_SIZE) return { rows };
+  }
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+// Quote when needed, and stop spreadsheets running text as a formula
+function csvCell(value) {
+  let s = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(s) && isNaN(Number(s))) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, columns, tz = 'UTC') {
+  const header = columns.map(c => (c === 'date' || c === 'updated_at' ? `${COLUMNS[c][0]} (${tz})` : COLUMNS[c][0]));
+  const lines  = [header, ...rows.map(tx => columns.map(c => COLUMNS[c][1](tx, tz)))];
+  // BOM so Excel opens the file as UTF-8
+  return '\ufeff' + lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ── OFX ───────────────────────────────────────────────────────────────────────
+
+// Sign of each type's USD value in the OFX statement; types not listed are left out
+const OFX_SIGN = { deposit: 1, transfer_in: 1, adjustment_in: 1, withdrawal: -1, transfer_out: -1, adjustment_out: -1 };
+const OFX_NAME = {
+  deposit: 'Deposit', transfer_in: 'Transfer in', adjustment_in: 'Balance adjustment',
+  withdrawal: 'Withdrawal', transfer_out: 'Transfer out', adjustment_out: 'Balance adjustment',
+};
+
+// OFX 1.02 is declared US-ASCII
+const sgml = s => String(s).replace(/[^\x20-\x7e]/g, '?').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function ofxDate(value, tz = 'UTC') {
+  const date = new Date(value);
+  const p    = zonedParts(date, tz);
+  const off  = tzOffset(date, tz) / 60;
+  const zone = off === 0 ? '0:GMT' : `${off > 0 ? '+' : ''}${parseFloat(off.toFixed(2))}`;
+  return `${p.year}${p.month}${p.day}${p.hour}${p.minute}${p.second}[${zone}]`;
+}
+
+/**
+ * OFX statement lines for a list of transactions rows.
+ */
+function ofxLines(rows, tz) {
+  const lines = [];
+  for (const tx of rows) {
+    const sign = OFX_SIGN[tx.type];
+    if (!sign || REVERSED_STATUSES.has(tx.status)) continue;
+    const date = ofxDate(tx.created_at, tz);
+    const units = `${parseFloat(tx.amount)} ${tx.asset}`;
+    if (tx.usd_value != null) {
+      lines.push({
+        type:   sign > 0 ? 'CREDIT' : 'DEBIT',
+        date,
+        amount: sign * parseFloat(tx.usd_value),
+        id:     tx.id,
+        name:   `${OFX_NAME[tx.type]} ${tx.asset}`,
+        memo:   [units, tx.network, tx.status !== 'completed' ? tx.status : null].filter(Boolean).join(', '),
+      });
+    }
+    if (parseFloat(tx.fee_usd) > 0) {
+      lines.push({
+        type:   'FEE',
+        date,
+        amount: -parseFloat(tx.fee_usd),
+        id:     `${tx.id}-fee`,
+        name:   `${OFX_NAME[tx.type]} fee ${tx.asset}`,
+        memo:   `${parseFloat(tx.fee_amount)} ${tx.asset} on ${units}`,
+      });
+    }
+  }
+  return lines;
+}
+
+/**
+ * One OFX 1.02 document. Transactions are grouped into a statement per user
+ * (ACCTID is the user id), so an admin export imports as one account each.
+ * OFX requires a ledger balance; it's the net of the exported lines, since
+ * the export carries no valued balance.
+ */
+function toOfx(rows, { tz = 'UTC', from = null, to = null } = {}) {
+  const now = ofxDate(new Date(), tz);
+  const byUser = new Map();
+  for (const tx of rows) {
+    if (!byUser.has(tx.user_id)) byUser.set(tx.user_id, []);
+    byUser.get(tx.user_id).push(tx);
+  }
+
+  const start = from ? ofxDate(zonedDayStart(from, tz), tz) : (rows[0] ? ofxDate(rows[0].created_at, tz) : now);
+  const end   = to   ? ofxDate(new Date(zonedDayStart(nextDay(to), tz) - 1000), tz) : now;
+
+  const statements = [...byUser.entries()].map(([userId, txs], i) => {
+    const lines = ofxLines(txs, tz);
+    const total = lines.reduce((s, l) => s + l.amount, 0);
+    return [
+      '<STMTTRNRS>',
+      `<TRNUID>${i + 1}`,
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      '<CURDEF>USD',
+      `<BANKACCTFROM><BANKID>APEX<ACCTID>${userId}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${start}`,
+      `<DTEND>${end}`,
+      ...lines.map(l => [
+        '<STMTTRN>',
+        `<TRNTYPE>${l.type}`,
+        `<DTPOSTED>${l.date}`,
+        `<TRNAMT>${l.amount.toFixed(2)}`,
+        `<FITID>${l.id}`,
+        `<NAME>${sgml(l.name.slice(0, 32))}`,
+        `<MEMO>${sgml(l.memo.slice(0, 255))}`,
+        '</STMTTRN>',
+      ].join('\r\n')),
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${total.toFixed(2)}<DTASOF>${end}</LEDGERBAL>`,
+      '</STMTRS>',
+      '</STMTTRNRS>',
+    ].join('\r\n');
+  });
+
+  return [
+    'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:USASCII',
+    'CHARSET:1252', 'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${now}`,
+    '<LANGUAGE>ENG',
+    `<FI><ORG>${sgml(SITE_NAME)}<FID>APEX</FI>`,
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    ...statements,
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * The HTTP response for an export — a file download.
+ */
+function exportResponse({ format, columns, rows, tz, from, to, name }) {
+  const stamp = [from, to].filter(Boolean).join('_to_') || new Date().toISOString().slice(0, 10);
+  const body  = format === 'csv' ? toCsv(rows, columns, tz) : toOfx(rows, { tz, from, to });
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type':        format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ofx',
+      'Content-Disposition': `attachment; filename="${name}-${stamp}.${format}"`,
+      'Cache-Control':       'no-store',
+    },
+    body,
+  };
+}
+
+module.exports = {
+  TX_TYPES, COLUMNS, DEFAULT_COLUMNS, MAX_EXPORT_ROWS,
+  parseFilters, parseExport, fetchAll, csvCell, toCsv, toOfx, exportResponse, formatDate,
+};
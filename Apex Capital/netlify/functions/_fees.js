@@ -0,0 +1,165 @@
+// netlify/functions/_fees.js
+// Fee schedule engine: works out the fee on a deposit or withdrawal from the
+// schedules in the fee_schedules table (edited via admin-fee-schedule).
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// A schedule is keyed by (tx_type, asset, network). The most specific active
+// row wins: exact asset + network, then exact asset with network NULL (any
+// network), then asset '*' (every asset). With no matching row the built-in
+// DEFAULT_SCHEDULE applies — 0.1% on withdrawals, nothing on deposits.
+//
+// The fee is made of:
+//   service fee   amount × pct, less the best tier discount the user qualifies
+//                 for, then held between min_fee_usd and max_fee_usd
+//   network fee   a flat network_fee in asset units, passed on as-is
+//
+// Tiers (JSONB array) discount the percentage part only. Each entry has
+// discount_pct (0.25 = 25% off) and one of:
+//   min_volume_usd   the user's USD volume over the last 30 days is at least this
+//   client_tier      users.fee_tier equals this (e.g. 'private')
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS fee_schedules (
+//   id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   tx_type      TEXT NOT NULL CHECK (tx_type IN ('deposit', 'withdrawal')),
+//   asset        TEXT NOT NULL,                    -- 'BTC' … or '*' for every asset
+//   network      TEXT,                             -- NULL = any network
+//   pct          NUMERIC(10, 6) NOT NULL DEFAULT 0, -- 0.001 = 0.1%
+//   network_fee  NUMERIC(30, 8) NOT NULL DEFAULT 0, -- in asset units
+//   min_fee_usd  NUMERIC(20, 2),
+//   max_fee_usd  NUMERIC(20, 2),
+//   tiers        JSONB NOT NULL DEFAULT '[]',
+//   active       BOOLEAN NOT NULL DEFAULT TRUE,
+//   updated_by   TEXT,                             -- admin email
+//   updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+// );
+// CREATE UNIQUE INDEX IF NOT EXISTS fee_schedules_key
+//   ON fee_schedules (tx_type, asset, COALESCE(network, ''));
+//
+// ALTER TABLE users ADD COLUMN IF NOT EXISTS fee_tier TEXT;  -- client tier for fee discounts
+
+const { supabase } = require('./_db');
+
+const FEE_TYPES = ['deposit', 'withdrawal'];
+
+const DEFAULT_SCHEDULE = {
+  deposit:    { id: null, pct: 0,     network_fee: 0, min_fee_usd: null, max_fee_usd: null, tiers: [] },
+  withdrawal: { id: null, pct: 0.001, network_fee: 0, min_fee_usd: null, max_fee_usd: null, tiers: [] },
+};
+
+// Transaction types and statuses that count towards 30-day volume
+const VOLUME_TYPES      = ['deposit', 'withdrawal', 'conversion'];
+const REVERSED_STATUSES = ['rejected', 'failed', 'cancelled'];
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const num    = v => (v == null || v === '' ? null : parseFloat(v));
+const round8 = n => parseFloat(n.toFixed(8));
+const round2 = n => parseFloat(n.toFixed(2));
+
+/**
+ * Pick the schedule that applies from a list of fee_schedules rows.
+ */
+function matchSchedule(rows, { type, asset, network }) {
+  const net   = (network || '').trim().toLowerCase();
+  const live  = rows.filter(r => r.active !== false && r.tx_type === type);
+  const found =
+    (net && live.find(r => r.asset === asset && r.network && r.network.toLowerCase() === net)) ||
+    live.find(r => r.asset === asset && !r.network) ||
+    live.find(r => r.asset === '*'   && !r.network);
+  return found || DEFAULT_SCHEDULE[type];
+}
+
+/**
+ * The schedule for one transaction, read from the database.
+ */
+async function getSchedule({ type, asset, network }) {
+  const rows = await supabase.get(
+    '/rest/v1/fee_schedules',
+    `tx_type=eq.${type}&asset=in.(${asset},"*")&active=eq.true&select=*`
+  );
+  return matchSchedule(rows, { type, asset, network });
+}
+
+/**
+ * A user's USD volume over the last 30 days.
+ */
+async function getVolume(userId, now = Date.now()) {
+  const rows = await supabase.get(
+    '/rest/v1/transactions',
+    `user_id=eq.${userId}&type=in.(${VOLUME_TYPES.join(',')})&status=not.in.(${REVERSED_STATUSES.join(',')})` +
+    `&created_at=gte.${new Date(now - 30 * DAY_MS).toISOString()}&select=usd_value`
+  );
+  return round2(rows.reduce((s, r) => s + (parseFloat(r.usd_value) || 0), 0));
+}
+
+/**
+ * The best tier discount a user qualifies for: { discount_pct, tier } or
+ * { discount_pct: 0, tier: null }.
+ */
+function bestDiscount(tiers, { volumeUsd, clientTier }) {
+  let best = { discount_pct: 0, tier: null };
+  for (const t of tiers || []) {
+    const qualifies = t.client_tier
+      ? clientTier && t.client_tier === clientTier
+      : t.min_volume_usd != null && volumeUsd >= num(t.min_volume_usd);
+    const pct = Math.min(1, Math.max(0, num(t.discount_pct) || 0));
+    if (qualifies && pct > best.discount_pct) best = { discount_pct: pct, tier: t };
+  }
+  return best;
+}
+
+/**
+ * Work out the fee on `amount` units of an asset priced at `price` USD.
+ * Pure — callers supply the schedule, volume and client tier.
+ * Returns { fee_amount, fee_usd, breakdown }.
+ */
+function computeFee(schedule, { amount, price, volumeUsd = 0, clientTier = null }) {
+  const pct      = num(schedule.pct) || 0;
+  const discount = bestDiscount(schedule.tiers, { volumeUsd, clientTier });
+
+  let serviceUsd = amount * price * pct * (1 - discount.discount_pct);
+  const minUsd = num(schedule.min_fee_usd);
+  const maxUsd = num(schedule.max_fee_usd);
+  let capped = null;
+  if (minUsd != null && serviceUsd < minUsd) { serviceUsd = minUsd; capped = 'min'; }
+  if (maxUsd != null && serviceUsd > maxUsd) { serviceUsd = maxUsd; capped = 'max'; }
+
+  const serviceFee = price > 0 ? round8(serviceUsd / price) : 0;
+  const networkFee = round8(num(schedule.network_fee) || 0);
+  const fee_amount = round8(serviceFee + networkFee);
+
+  return {
+    fee_amount,
+    fee_usd: round2(fee_amount * price),
+    breakdown: {
+      schedule_id:  schedule.id || null,
+      pct,
+      discount_pct: discount.discount_pct,
+      discount_for: discount.tier
+        ? (discount.tier.client_tier ? `client tier ${discount.tier.client_tier}` : `30-day volume ≥ $${num(discount.tier.min_volume_usd).toLocaleString('en-US')}`)
+        : null,
+      service_fee:  serviceFee,
+      network_fee:  networkFee,
+      capped,
+      volume_usd:   volumeUsd,
+    },
+  };
+}
+
+/**
+ * Look up everything needed and work out a user's fee for one transaction.
+ */
+async function quoteFee({ userId, feeTier = null, type, asset, network = null, amount, price }) {
+  const [schedule, volumeUsd] = await Promise.all([
+    getSchedule({ type, asset, network }),
+    getVolume(userId),
+  ]);
+  return computeFee(schedule, { amount, price, volumeUsd, clientTier: feeTier });
+}
+
+module.exports = {
+  FEE_TYPES, DEFAULT_SCHEDULE,
+  matchSchedule, getSchedule, getVolume, bestDiscount, computeFee, quoteFee,
+};
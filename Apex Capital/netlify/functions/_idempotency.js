@@ -0,0 +1,208 @@
+// netlify/functions/_idempotency.js
+// Idempotency-Key support for money-moving endpoints, so a double-click or a
+// network retry can't run the same request twice.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// A POST carrying `Idempotency-Key: <8–255 printable chars>` is claimed for
+// (caller, endpoint, key) before the handler runs:
+//   same key, same body, finished      → the original response is replayed
+//                                        (with `Idempotent-Replayed: true`)
+//   same key, same body, still running → 409 — unless it was claimed more
+//                                        than IDEMPOTENCY_STALE_SECONDS ago:
+//                                        that attempt timed out or was killed,
+//                                        so this one takes the claim over
+//   same key, different body           → 422
+// Responses that mean nothing happened yet (401/403 — e.g. a step-up prompt —
+// 409, and 5xx) release the key so the client can retry with it. Keys are
+// kept for IDEMPOTENCY_TTL_HOURS. Requests without the header run as before.
+//
+// A 5xx doesn't always mean nothing happened: the journal entry may have been
+// posted before the response was lost. So handlers that move money take
+// their transaction id (and journal reference) from requestId(event), which
+// is the same for every attempt with the same key and body. A retry first
+// looks for that transaction (recordedTransaction) and, if it was recorded,
+// finishes and reports it instead of debiting the user again; failing that,
+// the journal refuses to post the same reference twice (see _ledger.js).
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS idempotency_keys (
+//   id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   scope            TEXT NOT NULL,        -- auth0 sub of the caller
+//   endpoint         TEXT NOT NULL,
+//   key              TEXT NOT NULL,
+//   request_hash     TEXT NOT NULL,        -- sha256 of the request body
+//   status           TEXT NOT NULL DEFAULT 'in_progress',  -- in_progress | completed
+//   response_status  INT,
+//   response_body    TEXT,
+//   created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   completed_at     TIMESTAMPTZ,
+//   UNIQUE (scope, endpoint, key)
+// );
+//
+// Optional env vars:
+//   IDEMPOTENCY_TTL_HOURS       how long a key is remembered (default 24)
+//   IDEMPOTENCY_STALE_SECONDS   age at which an unfinished claim is abandoned
+//                               (default 60 — longer than any function may run)
+
+const crypto = require('crypto');
+const { supabase, json, badReq, serverErr } = require('./_db');
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+const STALE_SECONDS         = parseInt(process.env.IDEMPOTENCY_STALE_SECONDS || '60');
+const KEY_RE                = /^[\x21-\x7e]{8,255}$/;
+const RELEASE_STATUSES      = new Set([401, 403, 409]);
+
+const keyFilter = ({ scope, endpoint, key }) =>
+  `scope=eq.${encodeURIComponent(scope)}&endpoint=eq.${encodeURIComponent(endpoint)}&key=eq.${encodeURIComponent(key)}`;
+
+/**
+ * Insert the in-progress row. Returns it, or null if the key is already taken.
+ */
+async function claim(ref, requestHash) {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_TTL_HOURS * 3600 * 1000).toISOString();
+  await supabase.delete('/rest/v1/idempotency_keys', `${keyFilter(ref)}&created_at=lt.${cutoff}`);
+
+  const rows = await supabase('/rest/v1/idempotency_keys', {
+    method:  'POST',
+    headers: { Prefer: 'resolution=ignore-duplicates,return=representation' },
+    body: JSON.stringify({
+      ...ref,
+      request_hash: requestHash,
+      status:       'in_progress',
+      created_at:   new Date().toISOString(),
+    }),
+  });
+  return rows[0] || null;
+}
+
+/**
+ * Take over an in-progress claim whose attempt died. Conditional on the
+ * claim time it was read with, so only one retry wins. Returns the row or null.
+ */
+async function takeOver(existing) {
+  if (Date.parse(existing.created_at) > Date.now() - STALE_SECONDS * 1000) return null;
+  const [row] = await supabase.patch(
+    '/rest/v1/idempotency_keys',
+    `id=eq.${existing.id}&status=eq.in_progress&created_at=eq.${encodeURIComponent(existing.created_at)}`,
+    { created_at: new Date().toISOString() }
+  );
+  return row || null;
+}
+
+/**
+ * Claim the key, or the response to give instead: a replay, 409 or 422.
+ * Returns { claimed } or { response }.
+ */
+async function claimOrReplay(ref, requestHash) {
+  const claimed = await claim(ref, requestHash);
+  if (claimed) return { claimed };
+
+  const [existing] = await supabase.get(
+    '/rest/v1/idempotency_keys',
+    `${keyFilter(ref)}&select=id,request_hash,status,response_status,response_body,created_at`
+  );
+  if (existing && existing.request_hash !== requestHash) {
+    return { response: json(422, { ok: false, error: 'Idempotency-Key was already used with a different request' }) };
+  }
+  if (existing?.status !== 'completed') {
+    const stale = existing && await takeOver(existing);
+    if (stale) return { claimed: stale };
+    return { response: json(409, { ok: false, error: 'A request with this Idempotency-Key is still being processed' }) };
+  }
+  return {
+    response: {
+      statusCode: existing.response_status,
+      headers: {
+        'Content-Type':        'application/json',
+        'Cache-Control':       'no-store',
+        'Idempotent-Replayed': 'true',
+      },
+      body: existing.response_body,
+    },
+  };
+}
+
+// A UUID fixed by (caller, endpoint, key, body)
+function stableId(ref, requestHash) {
+  const h = crypto.createHash('sha256')
+    .update(`${ref.scope}\n${ref.endpoint}\n${ref.key}\n${requestHash}`)
+    .digest('hex');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-${'89ab'[parseInt(h[16], 16) & 3]}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+/**
+ * Id for what this request creates: stable across retries with the same
+ * Idempotency-Key, random without one.
+ */
+function requestId(event) {
+  return event.idempotencyId || crypto.randomUUID();
+}
+
+/**
+ * The transactions row an earlier attempt of this request recorded, or null
+ * (always null without an Idempotency-Key). `column` is where requestId(event)
+ * was stored — the id, or e.g. transfer_id.
+ */
+async function recordedTransaction(event, userId, column = 'id') {
+  if (!event.idempotencyId) return null;
+  const [tx] = await supabase.get(
+    '/rest/v1/transactions',
+    `${column}=eq.${event.idempotencyId}&user_id=eq.${userId}&select=*`
+  );
+  return tx || null;
+}
+
+/**
+ * Wrap an (event, session) handler so POSTs honour the Idempotency-Key header.
+ *
+ *   exports.handler = requirePermission('balances:adjust',
+ *     idempotent('admin-balance-adjust', async (event, session) => { ... }));
+ */
+function idempotent(endpoint, handler) {
+  return async (event, session, ...rest) => {
+    const key = event.headers['idempotency-key'];
+    if (event.httpMethod !== 'POST' || !key) return handler(event, session, ...rest);
+    if (!KEY_RE.test(key)) return badReq('Idempotency-Key must be 8–255 printable characters');
+
+    const ref         = { scope: session.sub, endpoint, key };
+    const requestHash = crypto.createHash('sha256').update(event.body || '').digest('hex');
+
+    let claimed;
+    try {
+      const result = await claimOrReplay(ref, requestHash);
+      if (result.response) return result.response;
+      claimed = result.claimed;
+    } catch (err) {
+      console.error(`idempotency claim error (${endpoint}):`, err.message);
+      return serverErr('Could not process the request. Please try again.');
+    }
+
+    event.idempotencyId = stableId(ref, requestHash);
+
+    const release = () => supabase.delete('/rest/v1/idempotency_keys', `id=eq.${claimed.id}`)
+      .catch(err => console.error('idempotency release error:', err.message));
+
+    let response;
+    try {
+      response = await handler(event, session, ...rest);
+    } catch (err) {
+      await release();
+      throw err;
+    }
+
+    if (response.statusCode >= 500 || RELEASE_STATUSES.has(response.statusCode)) {
+      await release();
+    } else {
+      await supabase.patch('/rest/v1/idempotency_keys', `id=eq.${claimed.id}`, {
+        status:          'completed',
+        response_status: response.statusCode,
+        response_body:   typeof response.body === 'string' ? response.body : JSON.stringify(response.body),
+        completed_at:    new Date().toISOString(),
+      }).catch(err => console.error('idempotency complete error:', err.message));
+    }
+    return response;
+  };
+}
+
+module.exports = { idempotent, requestId, recordedTransaction };
@@ -0,0 +1,285 @@
+// netlify/functions/_ledger.js
+// Double-entry journal behind every balance change.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Every business event (deposit, withdrawal, refund, admin adjustment, …)
+// posts one journal entry made of signed lines. Lines in an entry must sum
+// to zero per asset, so value only ever moves between accounts:
+//
+//   user:<uuid>            a client's available holdings (mirrored into `balances`)
+//   user:<uuid>:strategy:<name>
+//                          what the client has allocated to a strategy (see
+//                          _strategies.js) — not in `balances`, never negative
+//   fees:revenue           platform fee income
+//   platform:hot_wallet    funds that have actually arrived on / left the
+//                          platform's wallets (its balance is the negative of
+//                          what the wallets should hold)
+//   platform:suspense      value we've credited or debited but not yet settled
+//                          or explained — unconfirmed deposits, withdrawals
+//                          awaiting broadcast, admin adjustments
+//   platform:conversion    the platform's side of asset conversions (see
+//                          convert-execute) — its balances are our net
+//                          position from filling clients' conversions
+//
+// A positive amount increases the account's balance, a negative one decreases
+// it. Entries are append-only: mistakes are corrected by posting a reversal,
+// never by editing lines. (event_type, reference) is unique, so retrying the
+// same event can't post it twice.
+//
+// `balances` is kept as a cache of the user:<uuid> accounts by post_journal()
+// in the same database transaction as the lines, so existing readers
+// (ledger-balance, admin-users, …) are unchanged. journal_balances is the
+// source of truth; the reconciliation query below should always return no rows.
+//
+// The transactions rows an entry is for can be passed along and are inserted
+// in the same database transaction, so a posted entry always has its record.
+// Outgoing entries also carry the user's velocity limits (see _limits.js),
+// checked in that same transaction under a per-user lock.
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS journal_entries (
+//   id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   event_type  TEXT NOT NULL,          -- deposit | withdrawal | withdrawal_refund | admin_adjustment | …
+//   reference   TEXT NOT NULL,          -- usually the transaction id
+//   memo        TEXT,
+//   created_by  TEXT NOT NULL,          -- 'user:<uuid>', 'admin:<email>' or 'system'
+//   created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   UNIQUE (event_type, reference)
+// );
+//
+// CREATE TABLE IF NOT EXISTS journal_lines (
+//   id          BIGSERIAL PRIMARY KEY,
+//   entry_id    UUID NOT NULL REFERENCES journal_entries(id),
+//   account     TEXT NOT NULL,
+//   asset       TEXT NOT NULL,
+//   amount      NUMERIC(28, 8) NOT NULL CHECK (amount <> 0),
+//   created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+// );
+// CREATE INDEX IF NOT EXISTS journal_lines_account_idx ON journal_lines (account, asset);
+//
+// -- Append-only: no UPDATE/DELETE for the API roles
+// REVOKE UPDATE, DELETE ON journal_entries, journal_lines FROM anon, authenticated, service_role;
+//
+// CREATE OR REPLACE VIEW journal_balances AS
+//   SELECT account, asset, SUM(amount) AS amount
+//   FROM journal_lines GROUP BY account, asset;
+//
+// DROP FUNCTION IF EXISTS post_journal(TEXT, TEXT, TEXT, TEXT, JSONB);
+// DROP FUNCTION IF EXISTS post_journal(TEXT, TEXT, TEXT, TEXT, JSONB, JSONB);
+// CREATE OR REPLACE FUNCTION post_journal(
+//   p_event_type TEXT, p_reference TEXT, p_memo TEXT, p_created_by TEXT, p_lines JSONB,
+//   p_transactions JSONB DEFAULT '[]', p_limit JSONB DEFAULT NULL
+// ) RETURNS UUID LANGUAGE plpgsql AS $$
+// DECLARE
+//   v_entry   UUID;
+//   v_line    JSONB;
+//   v_user    UUID;
+//   v_amount  NUMERIC;
+//   v_daily   NUMERIC;
+//   v_monthly NUMERIC;
+//   v_over    TEXT;
+// BEGIN
+//   -- One limited posting per user at a time: the usage counted below then
+//   -- includes every earlier posting's records
+//   IF p_limit IS NOT NULL THEN
+//     PERFORM pg_advisory_xact_lock(hashtext('outgoing/' || (p_limit->>'user_id')));
+//   END IF;
+//
+//   -- Strategy sub-accounts have no cached balance row to lock, so take a
+//   -- per-account lock (in a fixed order) before checking their sums: a
+//   -- concurrent posting to the same account waits for this one to commit
+//   -- and then sees its lines
+//   PERFORM pg_advisory_xact_lock(hashtext(k))
+//   FROM (SELECT DISTINCT (l->>'account') || '/' || (l->>'asset') AS k
+//         FROM jsonb_array_elements(p_lines) l
+//         WHERE l->>'account' ~ '^user:[0-9a-f-]{36}:strategy:' ORDER BY 1) s;
+//
+//   IF jsonb_array_length(p_lines) < 2 THEN
+//     RAISE EXCEPTION 'Journal entry needs at least two lines';
+//   END IF;
+//   IF EXISTS (
+//     SELECT 1 FROM jsonb_array_elements(p_lines) l
+//     GROUP BY l->>'asset' HAVING SUM((l->>'amount')::NUMERIC) <> 0
+//   ) THEN
+//     RAISE EXCEPTION 'Unbalanced journal entry';
+//   END IF;
+//
+//   INSERT INTO journal_entries (event_type, reference, memo, created_by)
+//   VALUES (p_event_type, p_reference, p_memo, p_created_by)
+//   ON CONFLICT (event_type, reference) DO NOTHING
+//   RETURNING id INTO v_entry;
+//   IF v_entry IS NULL THEN
+//     RAISE EXCEPTION 'Journal entry already posted: % %', p_event_type, p_reference;
+//   END IF;
+//
+//   FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+//     v_amount := (v_line->>'amount')::NUMERIC;
+//     INSERT INTO journal_lines (entry_id, account, asset, amount)
+//     VALUES (v_entry, v_line->>'account', v_line->>'asset', v_amount);
+//
+//     -- Keep the balances cache in step for client accounts
+//     IF v_line->>'account' ~ '^user:[0-9a-f-]{36}$' THEN
+//       v_user := substring(v_line->>'account' FROM 6)::UUID;
+//       INSERT INTO balances (user_id, asset, amount, updated_at)
+//       VALUES (v_user, v_line->>'asset', v_amount, NOW())
+//       ON CONFLICT (user_id, asset)
+//       DO UPDATE SET amount = balances.amount + EXCLUDED.amount, updated_at = NOW()
+//       RETURNING amount INTO v_amount;
+//       IF v_amount < 0 THEN
+//         RAISE EXCEPTION 'Insufficient balance';
+//       END IF;
+//     -- Strategy sub-accounts aren't cached, but can't go negative either
+//     -- (checked under the lock taken above)
+//     ELSIF v_line->>'account' ~ '^user:[0-9a-f-]{36}:strategy:' THEN
+//       IF (SELECT SUM(amount) FROM journal_lines
+//           WHERE account = v_line->>'account' AND asset = v_line->>'asset') < 0 THEN
+//         RAISE EXCEPTION 'Insufficient strategy balance';
+//       END IF;
+//     END IF;
+//   END LOOP;
+//
+//   INSERT INTO transactions
+//   SELECT * FROM jsonb_populate_recordset(NULL::transactions, p_transactions);
+//
+//   -- Velocity limits: usage including this posting's records (types and
+//   -- statuses as LIMITED_TYPES / REVERSED_STATUSES in _limits.js). Over a
+//   -- limit, the posting is refused or its records flagged for review.
+//   IF p_limit IS NOT NULL THEN
+//     SELECT COALESCE(SUM(usd_value) FILTER (WHERE created_at >= NOW() - INTERVAL '24 hours'), 0),
+//            COALESCE(SUM(usd_value), 0)
+//     INTO v_daily, v_monthly
+//     FROM transactions
+//     WHERE user_id = (p_limit->>'user_id')::UUID
+//       AND type IN ('withdrawal', 'transfer_out')
+//       AND status NOT IN ('rejected', 'failed', 'cancelled')
+//       AND created_at >= NOW() - INTERVAL '30 days';
+//     v_over := CASE
+//       WHEN v_daily > (p_limit->>'daily_usd')::NUMERIC
+//         THEN '24-hour limit of $' || rtrim(to_char((p_limit->>'daily_usd')::NUMERIC, 'FM999,999,999,990.99'), '.')
+//       WHEN v_monthly > (p_limit->>'monthly_usd')::NUMERIC
+//         THEN '30-day limit of $' || rtrim(to_char((p_limit->>'monthly_usd')::NUMERIC, 'FM999,999,999,990.99'), '.')
+//     END;
+//     IF v_over IS NOT NULL THEN
+//       IF p_limit->>'action' = 'review' THEN
+//         UPDATE transactions SET review_reason = COALESCE(review_reason, 'Exceeds ' || v_over)
+//         WHERE id IN (SELECT (t->>'id')::UUID FROM jsonb_array_elements(p_transactions) t
+//                      WHERE t->>'user_id' = p_limit->>'user_id');
+//       ELSE
+//         RAISE EXCEPTION 'Exceeds %', v_over;
+//       END IF;
+//     END IF;
+//   END IF;
+//
+//   RETURN v_entry;
+// END $$;
+//
+// -- One-off cut-over: give every existing balance an opening entry against suspense
+// INSERT INTO journal_entries (event_type, reference, memo, created_by)
+//   SELECT 'opening_balance', user_id || ':' || asset, 'Balance at journal cut-over', 'system'
+//   FROM balances WHERE amount <> 0;
+// INSERT INTO journal_lines (entry_id, account, asset, amount)
+//   SELECT e.id, 'user:' || b.user_id, b.asset, b.amount
+//   FROM balances b JOIN journal_entries e
+//     ON e.event_type = 'opening_balance' AND e.reference = b.user_id || ':' || b.asset
+//   UNION ALL
+//   SELECT e.id, 'platform:suspense', b.asset, -b.amount
+//   FROM balances b JOIN journal_entries e
+//     ON e.event_type = 'opening_balance' AND e.reference = b.user_id || ':' || b.asset;
+// DROP FUNCTION IF EXISTS upsert_balance(UUID, TEXT, NUMERIC);
+//
+// -- Reconciliation: cache vs journal (expect no rows)
+// SELECT b.user_id, b.asset, b.amount AS cached, COALESCE(j.amount, 0) AS journal
+// FROM balances b
+// LEFT JOIN journal_balances j ON j.account = 'user:' || b.user_id AND j.asset = b.asset
+// WHERE b.amount <> COALESCE(j.amount, 0);
+
+const { supabase } = require('./_db');
+
+const FEES_ACCOUNT       = 'fees:revenue';
+const HOT_WALLET_ACCOUNT = 'platform:hot_wallet';
+const SUSPENSE_ACCOUNT   = 'platform:suspense';
+const CONVERSION_ACCOUNT = 'platform:conversion';
+
+const userAccount     = (userId) => `user:${userId}`;
+const strategyAccount = (userId, strategy) => `user:${userId}:strategy:${strategy}`;
+
+// Amounts are NUMERIC(28, 8) — compare in integer units of 1e-8 so float noise
+// can't make a balanced entry look unbalanced (or the reverse)
+const toUnits = (amount) => Math.round(Number(amount) * 1e8);
+
+/**
+ * Post one balanced journal entry. Atomic: either every line (and the
+ * balances cache) is written or nothing is.
+ *
+ *   eventType     e.g. 'withdrawal'
+ *   reference     unique per eventType — usually the transaction id
+ *   lines         [ { account, asset, amount } ], amount signed, zero lines dropped
+ *   createdBy     'user:<uuid>', 'admin:<email>' or 'system'
+ *   transactions  transactions rows inserted with the entry — give every
+ *                 column that matters, including id, status and created_at
+ *   limit         velocity limits to enforce on an outgoing entry — see
+ *                 journalLimit in _limits.js
+ *
+ * Returns the journal entry id. Throws 'Insufficient balance' if a client
+ * account would go negative, 'Exceeds … limit' if `limit` refuses it and
+ * 'Journal entry already posted' on a repeat (see isAlreadyPosted).
+ */
+async function post({ eventType, reference, lines, memo = null, createdBy = 'system', transactions = [], limit = null }) {
+  const legs = lines
+    .filter(l => toUnits(l.amount) !== 0)
+    .map(l => ({ account: l.account, asset: l.asset, amount: toUnits(l.amount) / 1e8 }));
+
+  const totals = {};
+  for (const l of legs) totals[l.asset] = (totals[l.asset] || 0) + toUnits(l.amount);
+  const unbalanced = Object.keys(totals).find(asset => totals[asset] !== 0);
+  if (unbalanced) throw new Error(`Unbalanced journal entry for ${unbalanced} (${eventType} ${reference})`);
+  if (legs.length < 2) throw new Error(`Journal entry needs at least two lines (${eventType} ${reference})`);
+
+  return supabase.rpc('post_journal', {
+    p_event_type:   eventType,
+    p_reference:    String(reference),
+    p_memo:         memo,
+    p_created_by:   createdBy,
+    p_lines:        legs,
+    p_transactions: transactions,
+    p_limit:        limit,
+  });
+}
+
+function isAlreadyPosted(err) {
+  return /already posted/.test(err?.message || '');
+}
+
+/**
+ * The entry posted for (eventType, reference) with its lines, or null.
+ */
+async function getEntry(eventType, reference) {
+  const rows = await supabase.get(
+    '/rest/v1/journal_entries',
+    `event_type=eq.${encodeURIComponent(eventType)}&reference=eq.${encodeURIComponent(reference)}` +
+    '&select=id,event_type,reference,memo,created_by,created_at,journal_lines(account,asset,amount)'
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Post the exact opposite of an earlier entry under a new event type.
+ * Returns null if there was no original entry to reverse.
+ */
+async function reverse({ eventType, reference, as, memo = null, createdBy = 'system' }) {
+  const original = await getEntry(eventType, reference);
+  if (!original) return null;
+  return post({
+    eventType: as,
+    reference,
+    memo,
+    createdBy,
+    lines: original.journal_lines.map(l => ({ ...l, amount: -Number(l.amount) })),
+  });
+}
+
+module.exports = {
+  post, reverse, getEntry, isAlreadyPosted, userAccount, strategyAccount,
+  FEES_ACCOUNT, HOT_WALLET_ACCOUNT, SUSPENSE_ACCOUNT, CONVERSION_ACCOUNT,
+};
@@ -0,0 +1,142 @@
+// netlify/functions/_limits.js
+// Rolling withdrawal velocity limits: how much USD value a user may send out
+// (withdrawals and internal transfers) in any 24 hours and any 30 days.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Limits come from the user's KYC status (DEFAULT_LIMITS) unless an admin has
+// set an override (admin-withdrawal-limits). A request that would go over a
+// limit is either rejected outright or accepted and flagged for manual review,
+// per the override's over_limit_action or WITHDRAWAL_OVER_LIMIT_ACTION.
+//
+// checkOutgoing is a read before the write, so parallel requests would all see
+// the same headroom. The posting itself re-counts usage with its own record
+// included, one posting per user at a time (journalLimit, post_journal in
+// _ledger.js) — checkOutgoing just gives the early, friendlier answer.
+//
+// Optional env vars:
+//   WITHDRAWAL_OVER_LIMIT_ACTION   'reject' (default) or 'review'
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS withdrawal_limits (
+//   user_id            UUID PRIMARY KEY REFERENCES users(id),
+//   daily_usd          NUMERIC(20, 2),       -- NULL = KYC default
+//   monthly_usd        NUMERIC(20, 2),       -- NULL = KYC default
+//   over_limit_action  TEXT CHECK (over_limit_action IN ('reject', 'review')),
+//   reason             TEXT NOT NULL,
+//   set_by             TEXT NOT NULL,        -- admin email
+//   updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+// );
+//
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS review_reason TEXT;  -- why a withdrawal needs a closer look
+
+const { supabase } = require('./_db');
+
+// USD per rolling window, by KYC status
+const DEFAULT_LIMITS = {
+  pending:  { daily_usd: 2500,   monthly_usd: 10000 },
+  verified: { daily_usd: 250000, monthly_usd: 2000000 },
+  rejected: { daily_usd: 0,      monthly_usd: 0 },
+};
+
+const OVER_LIMIT_ACTIONS = ['reject', 'review'];
+const DEFAULT_ACTION     = OVER_LIMIT_ACTIONS.includes(process.env.WITHDRAWAL_OVER_LIMIT_ACTION)
+  ? process.env.WITHDRAWAL_OVER_LIMIT_ACTION
+  : 'reject';
+
+// Outgoing transaction types that count towards the limits (and in post_journal)
+const LIMITED_TYPES = ['withdrawal', 'transfer_out'];
+
+// Statuses whose balance effect was reversed — they don't use up any limit
+const REVERSED_STATUSES = ['rejected', 'failed', 'cancelled'];
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+/**
+ * Effective limits for a user: { daily_usd, monthly_usd, over_limit_action,
+ * source: 'kyc' | 'override', override }.
+ */
+async function getLimits(userId, kycStatus) {
+  const [override] = await supabase.get('/rest/v1/withdrawal_limits', `user_id=eq.${userId}&select=*`);
+  const defaults   = DEFAULT_LIMITS[kycStatus] || DEFAULT_LIMITS.pending;
+  return {
+    daily_usd:         override?.daily_usd   != null ? parseFloat(override.daily_usd)   : defaults.daily_usd,
+    monthly_usd:       override?.monthly_usd != null ? parseFloat(override.monthly_usd) : defaults.monthly_usd,
+    over_limit_action: override?.over_limit_action || DEFAULT_ACTION,
+    source:            override ? 'override' : 'kyc',
+    override:          override || null,
+  };
+}
+
+/**
+ * USD value sent out in the last 24 hours and 30 days.
+ */
+async function getUsage(userId, now = Date.now()) {
+  const since = new Date(now - 30 * DAY_MS).toISOString();
+  const rows  = await supabase.get(
+    '/rest/v1/transactions',
+    `user_id=eq.${userId}&type=in.(${LIMITED_TYPES.join(',')})&status=not.in.(${REVERSED_STATUSES.join(',')})` +
+    `&created_at=gte.${since}&select=usd_value,created_at`
+  );
+  let daily = 0, monthly = 0;
+  for (const r of rows) {
+    const usd = parseFloat(r.usd_value) || 0;
+    monthly += usd;
+    if (new Date(r.created_at) >= now - DAY_MS) daily += usd;
+  }
+  return { daily_usd: round2(daily), monthly_usd: round2(monthly) };
+}
+
+/**
+ * Limits, usage and what's left: { limits, usage, remaining: { daily_usd, monthly_usd } }.
+ */
+async function getHeadroom(userId, kycStatus) {
+  const [limits, usage] = await Promise.all([getLimits(userId, kycStatus), getUsage(userId)]);
+  return {
+    limits,
+    usage,
+    remaining: {
+      daily_usd:   round2(Math.max(0, limits.daily_usd   - usage.daily_usd)),
+      monthly_usd: round2(Math.max(0, limits.monthly_usd - usage.monthly_usd)),
+    },
+  };
+}
+
+/**
+ * Check an outgoing amount against the user's limits.
+ * Returns { action: 'allow' | 'review' | 'reject', reason, headroom }.
+ */
+async function checkOutgoing({ userId, kycStatus, usdValue }) {
+  const headroom = await getHeadroom(userId, kycStatus);
+  const { remaining, limits } = headroom;
+
+  const exceeded = usdValue > remaining.daily_usd   ? `24-hour limit of $${limits.daily_usd.toLocaleString('en-US')}`
+                 : usdValue > remaining.monthly_usd ? `30-day limit of $${limits.monthly_usd.toLocaleString('en-US')}`
+                 : null;
+  if (!exceeded) return { action: 'allow', reason: null, headroom };
+
+  return { action: limits.over_limit_action, reason: `Exceeds ${exceeded}`, headroom };
+}
+
+/**
+ * The `limit` for ledger.post on an outgoing entry, from getLimits():
+ * enforced under a per-user lock with the entry's records counted.
+ * action overrides limits.over_limit_action (transfers always reject).
+ */
+function journalLimit(userId, limits, action = limits.over_limit_action) {
+  return { user_id: userId, daily_usd: limits.daily_usd, monthly_usd: limits.monthly_usd, action };
+}
+
+/**
+ * 'Exceeds 24-hour limit of $…' when a posting was refused by its limit, else null.
+ */
+function overLimitReason(err) {
+  return /Exceeds (24-hour|30-day) limit of \$[\d,.]+/.exec(err?.message || '')?.[0] || null;
+}
+
+module.exports = {
+  DEFAULT_LIMITS, OVER_LIMIT_ACTIONS, LIMITED_TYPES,
+  getLimits, getUsage, getHeadroom, checkOutgoing, journalLimit, overLimitReason,
+};
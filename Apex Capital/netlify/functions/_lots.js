@@ -0,0 +1,217 @@
+// netlify/functions/_lots.js
+// Cost-basis accounting: builds acquisition lots from a user's transactions
+// and matches disposals against them.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Movements per transaction (rejected / failed / cancelled ones are ignored,
+// since their balance effect was reversed):
+//   deposit      +(amount − fee_amount) of asset, cost = usd_value
+//                (the fee is taken out of what's credited, and is a cost)
+//   transfer_in  +amount of asset, cost = usd_value — received from another
+//                Apex account
+//   withdrawal   −(amount + fee_amount) of asset, proceeds = usd_value
+//                (the fee units leave with no proceeds — the fee is a cost)
+//   transfer_out −(amount + fee_amount) of asset, proceeds = usd_value —
+//                sent to another Apex account; it uses up lots like any
+//                disposal, but isn't a sale, so ledger-tax-report leaves it out
+//   adjustment_in / adjustment_out
+//                as transfer_in / transfer_out — an admin correction of the
+//                balance (admin-balance-adjust), not a purchase or sale
+//   conversion   −amount of asset, proceeds = usd_value, and
+//                +counter_amount of counter_asset, cost = usd_value
+//
+// Matching methods:
+//   fifo      oldest lots are disposed of first
+//   hifo      lots with the highest cost per unit are disposed of first
+//             (unknown-cost lots last)
+//   average   every disposal takes a pro-rata slice of all open lots, i.e.
+//             at the pool's average cost
+//   specific  the lots the user identified for each disposal (see
+//             ledger-tax-report and lot_selections), then FIFO for anything
+//             not identified or no longer available — tax reporting only
+//
+// A lot is identified by the transaction that acquired it (tx_id): a
+// transaction acquires at most one lot of a given asset.
+//
+// Transactions with no usd_value (recorded before USD values were stored)
+// give lots of unknown cost. They are matched like any other lot but left
+// out of P&L; `unknown_cost_quantity` says how much of a holding is affected.
+
+const METHODS = ['fifo', 'hifo', 'average'];
+
+// Methods allowed for realised gains (ledger-tax-report)
+const TAX_METHODS = ['fifo', 'hifo', 'specific'];
+
+const DEFAULT_METHOD = METHODS.includes(process.env.COST_BASIS_METHOD) ? process.env.COST_BASIS_METHOD : 'fifo';
+
+// Quantities below this are dust left by float arithmetic, not holdings
+const EPSILON = 1e-9;
+
+const IGNORED_STATUSES = new Set(['rejected', 'failed', 'cancelled']);
+
+const num = v => (v == null || v === '' ? null : parseFloat(v));
+
+function movements(tx) {
+  const usd    = num(tx.usd_value);
+  const amount = num(tx.amount) || 0;
+  switch (tx.type) {
+    case 'deposit':
+      return [{ asset: tx.asset, quantity: amount - (num(tx.fee_amount) || 0), usd }];
+    case 'transfer_in':
+    case 'adjustment_in':
+      return [{ asset: tx.asset, quantity: amount, usd }];
+    case 'withdrawal':
+    case 'transfer_out':
+    case 'adjustment_out':
+      return [{ asset: tx.asset, quantity: -(amount + (num(tx.fee_amount) || 0)), usd }];
+    case 'conversion':
+      return [
+        { asset: tx.asset,         quantity: -amount,                  usd },
+        { asset: tx.counter_asset, quantity: num(tx.counter_amount) || 0, usd },
+      ];
+    default:
+      return [];
+  }
+}
+
+const unitCost = lot => (lot.cost == null ? -Infinity : lot.cost / lot.quantity);
+
+// Order in which lots are consumed, per method. Sorts are stable, so lots
+// at the same unit cost go oldest first.
+const PICKERS = {
+  fifo:     lots => lots,
+  hifo:     lots => [...lots].sort((a, b) => unitCost(b) - unitCost(a) || 0),
+  specific: lots => lots,   // after the identified lots, see consume()
+};
+
+/**
+ * Remove `quantity` from `lots` (mutated) and return the legs taken:
+ * [ { lot, quantity, cost } ] — cost null for unknown-cost lots.
+ * Any quantity beyond what the lots hold comes back as a leg with lot null.
+ * `selection` ([ { lot_tx_id, quantity } ]) is taken first for 'specific'.
+ */
+function consume(lots, quantity, method, selection = []) {
+  const legs = [];
+  const open = lots.filter(l => l.quantity > EPSILON);
+  const held = open.reduce((s, l) => s + l.quantity, 0);
+  let remaining = quantity;
+
+  if (method === 'specific') {
+    for (const sel of selection) {
+      const lot = open.find(l => l.tx_id === sel.lot_tx_id);
+      const qty = lot ? Math.min(lot.quantity, sel.quantity, remaining) : 0;
+      if (qty <= EPSILON) continue;
+      legs.push(take(lot, qty));
+      remaining -= qty;
+    }
+  }
+
+  if (method === 'average') {
+    const share = held > EPSILON ? Math.min(1, quantity / held) : 0;
+    for (const lot of open) legs.push(take(lot, lot.quantity * share));
+  } else {
+    for (const lot of PICKERS[method](open)) {
+      if (remaining <= EPSILON) break;
+      if (lot.quantity <= EPSILON) continue;
+      legs.push(take(lot, Math.min(lot.quantity, remaining)));
+      remaining -= legs[legs.length - 1].quantity;
+    }
+  }
+
+  const taken = legs.reduce((s, l) => s + l.quantity, 0);
+  if (quantity - taken > EPSILON) legs.push({ lot: null, quantity: quantity - taken, cost: null });
+  return legs.filter(l => l.quantity > EPSILON);
+}
+
+function take(lot, quantity) {
+  const cost = lot.cost == null ? null : lot.cost * (quantity / lot.quantity);
+  lot.quantity -= quantity;
+  if (lot.cost != null) lot.cost -= cost;
+  return { lot, quantity, cost };
+}
+
+/**
+ * Build lots and disposals from transactions (any order; sorted here).
+ * `selections` is for 'specific': { [disposal tx id]: [ { lot_tx_id, quantity } ] }.
+ * `methodFor(tx)`, if given, picks the method per disposal instead (e.g. a
+ * tax year that was filed under a different one); `method` is then unused.
+ * Returns { [asset]: { lots, disposals } } where
+ *   lots       open lots: { tx_id, acquired_at, quantity, cost }
+ *   disposals  [ { tx_id, type, disposed_at, quantity, proceeds, cost, gain,
+ *                  legs: [ { lot_tx_id, acquired_at, quantity, cost } ] } ]
+ *              cost / gain are null when any leg's cost is unknown
+ */
+function buildLots(transactions, { method = DEFAULT_METHOD, selections = {}, methodFor = () => method } = {}) {
+  const checkMethod = m => {
+    if (!METHODS.includes(m) && !TAX_METHODS.includes(m)) throw new Error(`Unknown cost basis method: ${m}`);
+    return m;
+  };
+  checkMethod(method);
+
+  const books = {};
+  const book  = asset => (books[asset] ||= { lots: [], disposals: [] });
+
+  const ordered = transactions
+    .filter(tx => !IGNORED_STATUSES.has(tx.status))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  for (const tx of ordered) {
+    for (const m of movements(tx)) {
+      if (!m.asset || Math.abs(m.quantity) <= EPSILON) continue;
+      const b = book(m.asset);
+
+      if (m.quantity > 0) {
+        b.lots.push({ tx_id: tx.id, acquired_at: tx.created_at, quantity: m.quantity, cost: m.usd });
+        continue;
+      }
+
+      const quantity = -m.quantity;
+      const legs     = consume(b.lots, quantity, checkMethod(methodFor(tx)), selections[tx.id]);
+      const known    = legs.every(l => l.cost != null);
+      const cost     = known ? legs.reduce((s, l) => s + l.cost, 0) : null;
+      b.disposals.push({
+        tx_id:       tx.id,
+        type:        tx.type,
+        disposed_at: tx.created_at,
+        quantity,
+        proceeds:    m.usd,
+        cost,
+        gain:        known && m.usd != null ? m.usd - cost : null,
+        legs:        legs.map(l => ({ lot_tx_id: l.lot?.tx_id || null, acquired_at: l.lot?.acquired_at || null, quantity: l.quantity, cost: l.cost })),
+      });
+      b.lots = b.lots.filter(l => l.quantity > EPSILON);
+    }
+  }
+  return books;
+}
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+/**
+ * Per-asset P&L at current prices.
+ * { [asset]: { quantity, cost_basis_usd, unrealised_pnl_usd, realised_pnl_usd,
+ *              acquired_cost_usd, unknown_cost_quantity } }
+ * unrealised_pnl_usd is null when there's no price for the asset;
+ * acquired_cost_usd is the known cost of everything held or disposed of.
+ */
+function profitAndLoss(transactions, prices, opts = {}) {
+  const books  = buildLots(transactions, opts);
+  const result = {};
+  for (const [asset, { lots, disposals }] of Object.entries(books)) {
+    const knownLots = lots.filter(l => l.cost != null);
+    const knownQty  = knownLots.reduce((s, l) => s + l.quantity, 0);
+    const costBasis = knownLots.reduce((s, l) => s + l.cost, 0);
+    const price     = prices[asset];
+    result[asset] = {
+      quantity:              lots.reduce((s, l) => s + l.quantity, 0),
+      cost_basis_usd:        round2(costBasis),
+      unrealised_pnl_usd:    price != null ? round2(knownQty * price - costBasis) : null,
+      realised_pnl_usd:      round2(disposals.reduce((s, d) => s + (d.gain || 0), 0)),
+      acquired_cost_usd:     round2(costBasis + disposals.reduce((s, d) => s + (d.gain != null ? d.cost : 0), 0)),
+      unknown_cost_quantity: lots.filter(l => l.cost == null).reduce((s, l) => s + l.quantity, 0),
+    };
+  }
+  return result;
+}
+
+module.exports = { buildLots, profitAndLoss, movements, METHODS, TAX_METHODS, DEFAULT_METHOD, PICKERS };
@@ -0,0 +1,294 @@
+// netlify/functions/_mfa.js
+// TOTP (RFC 6238) second factor: enrolment storage, code verification,
+// recovery codes and the step-up check used by money-moving endpoints.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Required env vars:
+//   MFA_ENCRYPTION_KEY     any long random string — TOTP secrets are stored AES-256-GCM encrypted
+// Optional:
+//   MFA_STEP_UP_SECONDS    how long a verified code counts as "fresh" (default 120)
+//   MFA_ENFORCE_USERS      'true' = clients must enrol before they can withdraw (default: only if enrolled)
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS mfa_factors (
+//   auth0_sub        TEXT PRIMARY KEY,
+//   secret_enc       TEXT NOT NULL,               -- AES-256-GCM encrypted base32 secret
+//   confirmed_at     TIMESTAMPTZ,                 -- null until the first code is verified
+//   last_used_step   BIGINT,                      -- replay guard: last accepted TOTP time-step
+//   recovery_codes   JSONB NOT NULL DEFAULT '[]', -- sha256 hashes of unused recovery codes
+//   failed_attempts  INT NOT NULL DEFAULT 0,
+//   locked_until     TIMESTAMPTZ,
+//   created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+// );
+// ALTER TABLE sessions ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMPTZ;
+//
+// -- Counting a failure and spending a recovery code happen in one statement
+// -- each, so parallel attempts can't all read the same counter or code list
+// CREATE OR REPLACE FUNCTION mfa_record_failure(p_sub TEXT, p_max_attempts INT, p_lockout_minutes INT)
+// RETURNS SETOF mfa_factors LANGUAGE sql AS $$
+//   UPDATE mfa_factors SET
+//     failed_attempts = CASE WHEN failed_attempts + 1 >= p_max_attempts THEN 0 ELSE failed_attempts + 1 END,
+//     locked_until    = CASE WHEN failed_attempts + 1 >= p_max_attempts
+//                            THEN NOW() + make_interval(mins => p_lockout_minutes) ELSE locked_until END,
+//     updated_at      = NOW()
+//   WHERE auth0_sub = p_sub
+//   RETURNING *;
+// $$;
+//
+// CREATE OR REPLACE FUNCTION mfa_use_recovery_code(p_sub TEXT, p_hash TEXT)
+// RETURNS SETOF mfa_factors LANGUAGE sql AS $$
+//   UPDATE mfa_factors SET
+//     recovery_codes  = recovery_codes - p_hash,
+//     failed_attempts = 0,
+//     locked_until    = NULL,
+//     updated_at      = NOW()
+//   WHERE auth0_sub = p_sub AND recovery_codes ? p_hash
+//   RETURNING *;
+// $$;
+
+const crypto = require('crypto');
+const { supabase, json } = require('./_db');
+
+const ISSUER              = process.env.SITE_NAME || 'Apex Capital';
+const STEP_SECONDS        = 30;
+const DIGITS              = 6;
+const DRIFT_STEPS         = 1;   // accept one step either side for clock skew
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES     = 15;
+const STEP_UP_SECONDS     = parseInt(process.env.MFA_STEP_UP_SECONDS || '120');
+const ENFORCE_USERS       = process.env.MFA_ENFORCE_USERS === 'true';
+
+// ── Base32 (RFC 4648, no padding) ─────────────────────────────────────────────
+
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// ── TOTP ──────────────────────────────────────────────────────────────────────
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac   = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code   = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Returns the matching time-step for a code, or null.
+ */
+function matchTotp(secret, code, now = Date.now()) {
+  if (!/^\d{6}$/.test(code)) return null;
+  const step = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let d = -DRIFT_STEPS; d <= DRIFT_STEPS; d++) {
+    const expected = hotp(secret, step + d);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step + d;
+  }
+  return null;
+}
+
+function otpauthUri(secret, account) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// ── Secret encryption at rest ─────────────────────────────────────────────────
+
+function encryptionKey() {
+  if (!process.env.MFA_ENCRYPTION_KEY) throw new Error('MFA_ENCRYPTION_KEY not configured');
+  return crypto.createHash('sha256').update(process.env.MFA_ENCRYPTION_KEY).digest();
+}
+
+function encryptSecret(plain) {
+  const iv     = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ct     = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, ct, cipher.getAuthTag()].map(b => b.toString('base64url')).join('.');
+}
+
+function decryptSecret(enc) {
+  const [iv, ct, tag] = enc.split('.').map(s => Buffer.from(s, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString('utf8');
+}
+
+// ── Recovery codes ────────────────────────────────────────────────────────────
+
+const normaliseRecovery = code => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+const hashRecovery      = code => crypto.createHash('sha256').update(normaliseRecovery(code)).digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes. Returns { codes, hashes } —
+ * show `codes` to the user once, store only `hashes`.
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecovery) };
+}
+
+// ── Factor storage ────────────────────────────────────────────────────────────
+
+async function getFactor(sub) {
+  const rows = await supabase.get(
+    '/rest/v1/mfa_factors',
+    `auth0_sub=eq.${encodeURIComponent(sub)}&select=*`
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Start (or restart) enrolment. Stores a new unconfirmed secret and returns
+ * { secret, otpauth_uri } for the authenticator app.
+ */
+async function beginEnrolment(sub, account) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await supabase('/rest/v1/mfa_factors', {
+    method:  'POST',
+    headers: { Prefer: 'resolution=merge-duplicates,return=representation' },
+    body: JSON.stringify({
+      auth0_sub:       sub,
+      secret_enc:      encryptSecret(secret),
+      confirmed_at:    null,
+      last_used_step:  null,
+      recovery_codes:  [],
+      failed_attempts: 0,
+      locked_until:    null,
+      created_at:      new Date().toISOString(),
+      updated_at:      new Date().toISOString(),
+    }),
+  });
+  return { secret, otpauth_uri: otpauthUri(secret, account) };
+}
+
+/**
+ * Verify a TOTP or recovery code against a factor.
+ * Returns { ok, method: 'totp'|'recovery', error }.
+ * Enforces replay protection, single-use recovery codes and lockout.
+ */
+async function verifyCode(factor, code, { allowUnconfirmed = false } = {}) {
+  if (!factor || (!factor.confirmed_at && !allowUnconfirmed)) {
+    return { ok: false, error: 'Two-factor authentication is not enabled' };
+  }
+  if (factor.locked_until && new Date(factor.locked_until) > new Date()) {
+    return { ok: false, error: 'Too many failed attempts. Try again later.' };
+  }
+
+  const sub   = encodeURIComponent(factor.auth0_sub);
+  const input = String(code || '').trim();
+
+  // ── TOTP ────────────────────────────────────────────────────────────────────
+  const step = matchTotp(decryptSecret(factor.secret_enc), input);
+  if (step !== null) {
+    // Conditional update so the same code can't be used twice, even concurrently
+    const updated = await supabase.patch(
+      '/rest/v1/mfa_factors',
+      `auth0_sub=eq.${sub}&or=(last_used_step.is.null,last_used_step.lt.${step})`,
+      { last_used_step: step, failed_attempts: 0, locked_until: null, updated_at: new Date().toISOString() }
+    );
+    if (updated.length) return { ok: true, method: 'totp' };
+    return { ok: false, error: 'This code has already been used. Wait for the next one.' };
+  }
+
+  // ── Recovery code ───────────────────────────────────────────────────────────
+  const hash  = hashRecovery(input);
+  const codes = factor.recovery_codes || [];
+  if (factor.confirmed_at && normaliseRecovery(input).length === 10 && codes.includes(hash)) {
+    // Only removes the code if it's still there, so each one works once
+    const [used] = await supabase.rpc('mfa_use_recovery_code', { p_sub: factor.auth0_sub, p_hash: hash });
+    if (used) return { ok: true, method: 'recovery', remaining: used.recovery_codes.length };
+    return { ok: false, error: 'This recovery code has already been used' };
+  }
+
+  // ── Failure ─────────────────────────────────────────────────────────────────
+  await supabase.rpc('mfa_record_failure', {
+    p_sub:             factor.auth0_sub,
+    p_max_attempts:    MAX_FAILED_ATTEMPTS,
+    p_lockout_minutes: LOCKOUT_MINUTES,
+  });
+  return { ok: false, error: 'Invalid code' };
+}
+
+/**
+ * Mark the current session as having just passed a second-factor check.
+ */
+async function markSessionVerified(session) {
+  await supabase.patch('/rest/v1/sessions', `id=eq.${session.sid}`, {
+    mfa_verified_at: new Date().toISOString(),
+  });
+}
+
+// ── Step-up guard ─────────────────────────────────────────────────────────────
+
+/**
+ * Require a fresh second-factor verification on this session.
+ * Returns null when the caller may proceed, otherwise a 403 response the
+ * handler should return as-is. The frontend reacts to `mfa_required: true`
+ * by prompting for a code, calling mfa-verify, and retrying.
+ *
+ *   required — refuse even if the user hasn't enrolled (admins always are)
+ */
+async function requireFreshMfa(session, { required = ENFORCE_USERS } = {}) {
+  const factor = await getFactor(session.sub);
+
+  if (!factor?.confirmed_at) {
+    if (!required) return null;
+    return json(403, {
+      ok:           false,
+      error:        'Two-factor authentication must be enabled for this action',
+      mfa_required: true,
+      mfa_enrolled: false,
+    });
+  }
+
+  const verifiedAt = session.mfaVerifiedAt ? new Date(session.mfaVerifiedAt).getTime() : 0;
+  if (Date.now() - verifiedAt <= STEP_UP_SECONDS * 1000) return null;
+
+  return json(403, {
+    ok:           false,
+    error:        'Enter a code from your authenticator app to continue',
+    mfa_required: true,
+    mfa_enrolled: true,
+  });
+}
+
+module.exports = {
+  getFactor, beginEnrolment, verifyCode, markSessionVerified, requireFreshMfa,
+  generateRecoveryCodes, hashRecovery,
+};
@@ -16,7 +16,8 @@ const SITE_URL          = process.env.URL                  || 'https://apexcapit
 
 // ── Core send function ────────────────────────────────────────────────────────
 
-async function sendEmail({ to, subject, html, replyTo }) {
+// attachments: [ { filename, content } ] with content base64-encoded
+async function sendEmail({ to, subject, html, replyTo, attachments }) {
   if (!RESEND_API_KEY) {
     console.warn('[notify] RESEND_API_KEY not set — skipping email send');
     return { skipped: true };
@@ -34,6 +35,7 @@ async function sendEmail({ to, subject, html, replyTo }) {
       subject,
       html,
       reply_to: replyTo || ADMIN_EMAIL,
+      ...(attachments ? { attachments } : {}),
     }),
   });
 
@@ -98,6 +100,10 @@ function emailShell({ title, preheader, bodyHtml }) {
 </html>`;
 }
 
+// Free text a user typed (e.g. a transfer note) — never trust it as HTML
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+
 // Reusable UI chunks
 const heading = (text) =>
   `<h1 style="font-family:Georgia,serif;font-size:26px;font-weight:300;color:#f7f3ea;margin:0 0 8px">${text}</h1>`;
@@ -283,22 +289,22 @@ function tplNewSignupAdmin({ name, email, sub, ip, userAgent }) {
   });
 }
 
-function tplLoginUser({ name, ip, userAgent, date }) {
-  // Only send login notifications — don't send on every login to avoid fatigue.
-  // Caller should decide when to trigger (e.g. new IP, or always).
+function tplLoginUser({ name, ip, device, location, reason, date }) {
+  // Only sent for a device or location we haven't seen before (see _device.js)
   return emailShell({
-    title:     `New login to your ${SITE_NAME} account`,
-    preheader: `A new login was detected on your account from ${ip || 'an unknown location'}.`,
+    title:     `New sign-in to your ${SITE_NAME} account`,
+    preheader: `Your account was accessed from ${reason} — ${device}, ${location || 'unknown location'}.`,
     bodyHtml: `
       ${subheading('Security Alert')}
-      ${heading('New Login Detected')}
+      ${heading('New Sign-in Detected')}
       ${divider()}
-      ${bodyText(`A new sign-in to your ${SITE_NAME} account was detected.`)}
+      ${bodyText(`Your ${SITE_NAME} account was just accessed from ${reason}. If this was you, no action is needed — we won't alert you again for this device.`)}
       <table width="100%" cellpadding="0" cellspacing="0" style="margin:24px 0">
-        ${dataRow('Account',    name)}
+        ${dataRow('Account',     name)}
         ${dataRow('Date & Time', date || new Date().toUTCString())}
-        ${dataRow('IP Address',  ip          || 'unknown')}
-        ${dataRow('Device',      userAgent ? userAgent.substring(0, 70) + '…' : 'unknown')}
+        ${dataRow('Device',      device   || 'unknown')}
+        ${dataRow('Location',    location || 'unknown')}
+        ${dataRow('IP Address',  ip       || 'unknown')}
       </table>
       ${alertBox('⚠ If this was not you, please <a href="' + SITE_URL + '/.netlify/functions/auth-logout" style="color:#e05c5c">sign out immediately</a> and contact our support team.', 'warning')}
       ${ctaButton('Review Account Security', `${SITE_URL}/dashboard.html`)}
@@ -306,6 +312,76 @@ function tplLoginUser({ name, ip, userAgent, date }) {
   });
 }
 
+function tplTransferUser({ name, direction, counterparty, asset, amount, usdValue, transferId, note, date }) {
+  const sent = direction === 'out';
+  return emailShell({
+    title:     `Transfer ${sent ? 'Sent' : 'Received'} — ${SITE_NAME}`,
+    preheader: `${amount} (${usdValue}) was ${sent ? `transferred to ${counterparty}` : `transferred to you by ${counterparty}`}.`,
+    bodyHtml: `
+      ${subheading('Internal Transfer')}
+      ${heading(sent ? 'Transfer Sent' : 'Transfer Received')}
+      ${divider()}
+      ${bodyText(sent
+        ? `Your transfer to another ${SITE_NAME} account has been completed. The funds have left your available balance.`
+        : `Funds from another ${SITE_NAME} account have been credited to your available balance.`
+      )}
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin:24px 0">
+        ${dataRow('Transfer ID', `<span style="font-size:11px">${transferId}</span>`)}
+        ${dataRow(sent ? 'To' : 'From', counterparty, true)}
+        ${dataRow('Amount',      amount,       true)}
+        ${dataRow('USD Value',   usdValue)}
+        ${note ? dataRow('Note', escapeHtml(note)) : ''}
+        ${dataRow('Date',        date)}
+      </table>
+      ${sent ? alertBox('⚠ Internal transfers settle immediately and cannot be reversed. If you did not make this transfer, contact us immediately.', 'warning') : ''}
+      ${ctaButton('View in Dashboard', `${SITE_URL}/dashboard.html`)}
+    `,
+  });
+}
+
+function tplAddressConfirm({ name, label, asset, network, address, confirmUrl, usableAt, expiresAt }) {
+  return emailShell({
+    title:     `Confirm your new withdrawal address — ${SITE_NAME}`,
+    preheader: `A ${asset} withdrawal address was added to your address book. Confirm it to start the cooling-off period.`,
+    bodyHtml: `
+      ${subheading('Address Book')}
+      ${heading('Confirm New Withdrawal Address')}
+      ${divider()}
+      ${bodyText(`A new withdrawal address was added to your ${SITE_NAME} address book. It can't receive withdrawals until you confirm it below, and not before <strong style="color:#f7f3ea">${usableAt}</strong>.`)}
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin:24px 0">
+        ${dataRow('Label',   escapeHtml(label), true)}
+        ${dataRow('Asset',   asset,             true)}
+        ${dataRow('Network', escapeHtml(network))}
+        ${dataRow('Address', `<span style="font-size:11px;word-break:break-all">${escapeHtml(address)}</span>`)}
+      </table>
+      ${ctaButton('Confirm Address', confirmUrl)}
+      ${bodyText(`This link works until ${expiresAt}. After that, remove the address and add it again.`)}
+      ${alertBox('⚠ If you did not add this address, do not confirm it. Sign out of all sessions and contact us immediately.', 'warning')}
+    `,
+  });
+}
+
+function tplStatement({ name, period, totalUsd, feesUsd, transactions }) {
+  return emailShell({
+    title:     `Your ${period} statement — ${SITE_NAME}`,
+    preheader: `Your account statement for ${period} is attached.`,
+    bodyHtml: `
+      ${subheading('Account Statement')}
+      ${heading(`${period} Statement`)}
+      ${divider()}
+      ${bodyText(`Dear ${escapeHtml(name || 'Client')}, your account statement for ${period} is attached as a PDF. It shows your opening and closing balances, every transaction with its fees, your strategy allocations and their value at the end of the month.`)}
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin:24px 0">
+        ${dataRow('Period',        period,       true)}
+        ${dataRow('Closing Value', totalUsd,     true)}
+        ${dataRow('Transactions',  transactions)}
+        ${dataRow('Fees Paid',     feesUsd)}
+      </table>
+      ${bodyText('Please check it and tell us of any discrepancy within 30 days. Past statements can be downloaded from your dashboard at any time.')}
+      ${ctaButton('View in Dashboard', `${SITE_URL}/dashboard.html`)}
+    `,
+  });
+}
+
 // ── Public API ────────────────────────────────────────────────────────────────
 
 const notify = {
@@ -328,6 +404,37 @@ const notify = {
     ]);
   },
 
+  async transferCompleted({ sender, recipient, asset, amount, usdValue, transferId, note }) {
+    const fmtAmount = `${amount} ${asset}`;
+    const fmtUsd    = `$${Number(usdValue).toLocaleString('en-US', { minimumFractionDigits:2, maximumFractionDigits:2 })}`;
+    const date      = new Date().toUTCString();
+    const common    = { asset, amount: fmtAmount, usdValue: fmtUsd, transferId, note, date };
+    await Promise.allSettled([
+      sendEmail({ to: sender.email,    subject: `Transfer sent — ${fmtAmount}`,     html: tplTransferUser({ ...common, name: sender.name,    direction: 'out', counterparty: escapeHtml(recipient.name || recipient.email) }) }),
+      sendEmail({ to: recipient.email, subject: `Transfer received — ${fmtAmount}`, html: tplTransferUser({ ...common, name: recipient.name, direction: 'in',  counterparty: escapeHtml(sender.name    || sender.email) }) }),
+    ]);
+  },
+
+  async addressAdded({ name, email, label, asset, network, address, confirmUrl, usableAt, expiresAt }) {
+    const when    = new Date(usableAt).toUTCString();
+    const expires = new Date(expiresAt).toUTCString();
+    await Promise.allSettled([
+      sendEmail({ to: email, subject: `Confirm new ${asset} withdrawal address — ${SITE_NAME}`, html: tplAddressConfirm({ name, label, asset, network, address, confirmUrl, usableAt: when, expiresAt: expires }) }),
+    ]);
+  },
+
+  // Unlike the others this throws on failure, so the monthly run can count
+  // and report the emails it couldn't send
+  async monthlyStatement({ name, email, period, totalUsd, feesUsd, transactions, pdf, filename }) {
+    const fmt = v => (v == null ? '—' : `$${Number(v).toLocaleString('en-US', { minimumFractionDigits:2, maximumFractionDigits:2 })}`);
+    await sendEmail({
+      to:          email,
+      subject:     `Your ${period} statement — ${SITE_NAME}`,
+      html:        tplStatement({ name, period, totalUsd: fmt(totalUsd), feesUsd: fmt(feesUsd), transactions }),
+      attachments: [{ filename, content: pdf.toString('base64') }],
+    });
+  },
+
   async newSignup({ name, email, sub, ip, userAgent }) {
     await Promise.allSettled([
       sendEmail({ to: email,       subject: `Welcome to ${SITE_NAME}`,    html: tplWelcomeUser({ name, email }) }),
@@ -335,11 +442,14 @@ const notify = {
     ]);
   },
 
-  async loginDetected({ name, email, ip, userAgent }) {
-    const date = new Date().toUTCString();
+  async newDeviceLogin({ name, email, ip, device, location, newDevice, newLocation }) {
+    const date   = new Date().toUTCString();
+    const reason = newDevice && newLocation ? 'a new device and location'
+                 : newDevice                ? 'a new device'
+                 :                            'a new location';
     // Send to user only — admin doesn't need a ping on every login
     await Promise.allSettled([
-      sendEmail({ to: email, subject: `New login to your ${SITE_NAME} account`, html: tplLoginUser({ name, ip, userAgent, date }) }),
+      sendEmail({ to: email, subject: `Sign-in from ${reason} — ${SITE_NAME}`, html: tplLoginUser({ name, ip, device, location, reason, date }) }),
     ]);
   },
 };
@@ -0,0 +1,220 @@
+// netlify/functions/_pdf.js
+// Minimal PDF writer for generated documents (account statements, …): text in
+// the standard Helvetica / Courier fonts, lines and filled rectangles on A4
+// pages. No dependencies — the standard 14 fonts need no embedding.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Coordinates are in points from the TOP-left corner of the page (y grows
+// downwards, unlike raw PDF) and y is the text baseline. Text is encoded as
+// WinAnsi: Latin-1 plus a few typographic characters (— – · • ’ “ ” €);
+// anything else is replaced.
+//
+//   const doc = createPdf({ title: 'Statement' });
+//   doc.addPage();
+//   doc.text('Hello', 48, 60, { font: 'bold', size: 14, color: '#c9a84c' });
+//   doc.rect(48, 70, 499, 1, { fill: '#c9a84c' });
+//   const buf = doc.toBuffer();
+
+const zlib = require('zlib');
+
+const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold:    'Helvetica-Bold',
+  mono:    'Courier',
+};
+
+// Advance widths (1/1000 em) for ASCII 32–126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Non-Latin-1 characters that WinAnsi has a code for
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '™': 0x99,
+};
+
+// Common characters outside WinAnsi, spelled out
+const SUBSTITUTES = { '≥': '>=', '≤': '<=', '→': '->', '←': '<-', '✓': 'v', '⇄': '<->', '−': '-' };
+
+/**
+ * Encode a string as WinAnsi bytes.
+ */
+function encode(str) {
+  const bytes = [];
+  for (const ch of String(str)) {
+    if (SUBSTITUTES[ch]) { for (const c of SUBSTITUTES[ch]) bytes.push(c.charCodeAt(0)); continue; }
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[ch])                            bytes.push(WIN_ANSI_EXTRAS[ch]);
+    else if (code >= 32 && code <= 126)                 bytes.push(code);
+    else if (code >= 0xa0 && code <= 0xff)              bytes.push(code);
+    else                                                bytes.push(0x3f); // '?'
+  }
+  return bytes;
+}
+
+// A PDF string literal: ( ) and \ escaped, bytes outside ASCII as octal
+function pdfString(bytes) {
+  return '(' + bytes.map(b => {
+    if (b === 0x28 || b === 0x29 || b === 0x5c) return '\\' + String.fromCharCode(b);
+    if (b < 32 || b > 126) return '\\' + b.toString(8).padStart(3, '0');
+    return String.fromCharCode(b);
+  }).join('') + ')';
+}
+
+/**
+ * '#rrggbb' → 'r g b' in 0–1 for PDF colour operators.
+ */
+function rgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => (v / 255).toFixed(3)).join(' ');
+}
+
+const num = n => Number(n.toFixed(2)).toString();
+
+/**
+ * Width of `str` in points when set in `font` at `size`.
+ */
+function textWidth(str, font = 'regular', size = 10) {
+  if (font === 'mono') return encode(str).length * 600 * size / 1000;
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  return encode(str).reduce((w, b) => w + (b >= 32 && b <= 126 ? widths[b - 32] : 556), 0) * size / 1000;
+}
+
+/**
+ * Shorten `str` with an ellipsis so it fits in `maxWidth` points.
+ */
+function truncate(str, maxWidth, font = 'regular', size = 10) {
+  let s = String(str);
+  if (textWidth(s, font, size) <= maxWidth) return s;
+  while (s.length && textWidth(s + '…', font, size) > maxWidth) s = s.slice(0, -1);
+  return s + '…';
+}
+
+function createPdf({ title = '', author = '' } = {}) {
+  const pages = [];   // each page is a list of content-stream operators
+  let current = null;
+
+  const doc = {
+    width:  A4.width,
+    height: A4.height,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return pages.length - 1;
+    },
+
+    // Switch back to an earlier page, e.g. to add "page n of N" footers
+    setPage(index) {
+      current = pages[index];
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Draw text with its baseline at y. Options: font ('regular' | 'bold' |
+     * 'mono'), size, color ('#rrggbb'), align ('left' | 'right' | 'center' —
+     * x is the left edge, right edge or centre).
+     */
+    text(str, x, y, { font = 'regular', size = 10, color = '#000000', align = 'left' } = {}) {
+      const w  = align === 'left' ? 0 : textWidth(str, font, size);
+      const tx = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+      current.push(
+        `BT /${font === 'bold' ? 'F2' : font === 'mono' ? 'F3' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ` +
+        `${num(tx)} ${num(A4.height - y)} Td ${pdfString(encode(str))} Tj ET`
+      );
+    },
+
+    line(x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+      current.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(A4.height - y1)} m ${num(x2)} ${num(A4.height - y2)} l S`);
+    },
+
+    // (x, y) is the top-left corner
+    rect(x, y, w, h, { fill = null, stroke = null, width = 0.5 } = {}) {
+      const path = `${num(x)} ${num(A4.height - y - h)} ${num(w)} ${num(h)} re`;
+      if (fill && stroke) current.push(`${rgb(fill)} rg ${rgb(stroke)} RG ${num(width)} w ${path} B`);
+      else if (fill)      current.push(`${rgb(fill)} rg ${path} f`);
+      else                current.push(`${rgb(stroke || '#000000')} RG ${num(width)} w ${path} S`);
+    },
+
+    textWidth,
+    truncate,
+
+    toBuffer() {
+      const objects = [];   // index i is object number i + 1
+      const add = body => { objects.push(body); return objects.length; };
+
+      const catalogId = add(null);
+      const pagesId   = add(null);
+      const fontIds   = Object.values(FONTS).map(base =>
+        add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`));
+      const resources = `<< /Font << /F1 ${fontIds[0]} 0 R /F2 ${fontIds[1]} 0 R /F3 ${fontIds[2]} 0 R >> >>`;
+
+      const pageIds = pages.map(ops => {
+        const content  = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        const streamId = add(Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+          content,
+          Buffer.from('\nendstream'),
+        ]));
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+                   `/Resources ${resources} /Contents ${streamId} 0 R >>`);
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1]   = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+      const infoId = add(`<< /Title ${pdfString(encode(title))} /Author ${pdfString(encode(author))} ` +
+                         `/Producer (Apex Capital) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+      const chunks  = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      const offsets = [];
+      let length = chunks[0].length;
+      objects.forEach((body, i) => {
+        const buf = Buffer.concat([
+          Buffer.from(`${i + 1} 0 obj\n`),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+          Buffer.from('\nendobj\n'),
+        ]);
+        offsets.push(length);
+        chunks.push(buf);
+        length += buf.length;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+      ].join('\n');
+      chunks.push(Buffer.from(xref + '\n'));
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return doc;
+}
+
+module.exports = { createPdf, textWidth, truncate };
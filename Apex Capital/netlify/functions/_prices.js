@@ -0,0 +1,27 @@
+// netlify/functions/_prices.js
+// USD prices for the assets the ledger holds, from our own crypto-prices
+// function (internal fetch — same Netlify instance, CDN-cached for 60s).
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+
+// USD and the stablecoins are always 1:1
+const FIXED_PRICES = { USD: 1, USDT: 1, USDC: 1 };
+
+// Approximate USD prices for when live prices are unavailable and a price
+// is needed to apply a rule (minimums, fees) rather than to report a value
+const FALLBACK_PRICES = { BTC: 67000, ETH: 3500, SOL: 180, ...FIXED_PRICES };
+
+/**
+ * { [asset]: usdPrice }. Assets without a live price are missing, unless
+ * `fallback` is set, in which case FALLBACK_PRICES fills the gaps.
+ */
+async function getPrices({ fallback = false } = {}) {
+  const prices = { ...(fallback ? FALLBACK_PRICES : {}), ...FIXED_PRICES };
+  try {
+    const res  = await fetch(`${process.env.URL}/.netlify/functions/crypto-prices`);
+    const json = await res.json();
+    if (json.ok) json.data.forEach(c => { if (!FIXED_PRICES[c.sym]) prices[c.sym] = c.priceRaw; });
+  } catch { /* live prices unavailable — fixed (and fallback) prices only */ }
+  return prices;
+}
+
+module.exports = { getPrices, FALLBACK_PRICES };
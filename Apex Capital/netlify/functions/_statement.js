@@ -0,0 +1,502 @@
+// netlify/functions/_statement.js
+// Monthly account statements: builds a user's statement for one calendar
+// month (UTC) from the journal and transactions, and renders it as a branded
+// PDF. Used by ledger-statement (download) and statement-monthly (email).
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// A statement shows:
+//   - opening and closing balances per asset of the available account
+//     (user:<uuid>) and of each strategy account (user:<uuid>:strategy:<name>),
+//     summed from journal_lines before the month starts / ends
+//   - every transaction created in the month, with its fee
+//   - period-end USD valuations at the prices portfolio-snapshot recorded on
+//     the last day of the month; assets it has no price for are valued at
+//     current market prices and flagged as such
+//
+// Only months that have ended can be stated.
+//
+// Requires:
+//
+// ALTER TABLE users ADD COLUMN IF NOT EXISTS statement_emails BOOLEAN NOT NULL DEFAULT FALSE;  -- monthly email opt-in
+
+const { supabase } = require('./_db');
+const ledger = require('./_ledger');
+const { getPrices } = require('./_prices');
+const { createPdf } = require('./_pdf');
+
+const SITE_NAME = process.env.SITE_NAME || 'Apex Capital';
+
+const MONTH_RE = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const STRATEGY_LABELS = { long_short: 'Long / Short', defi_yield: 'DeFi Yield', quant_arb: 'Quant Arb' };
+
+const TYPE_LABELS = {
+  deposit:        'Deposit',
+  withdrawal:     'Withdrawal',
+  conversion:     'Conversion',
+  transfer_in:    'Transfer in',
+  transfer_out:   'Transfer out',
+  allocation:     'Allocation',
+  redemption:     'Redemption',
+  adjustment_in:  'Adjustment (credit)',
+  adjustment_out: 'Adjustment (debit)',
+};
+
+// Direction of each transaction type's amount on the available balance
+const TYPE_SIGN = {
+  deposit: 1, withdrawal: -1, conversion: -1, transfer_in: 1, transfer_out: -1, allocation: -1, redemption: 1,
+  adjustment_in: 1, adjustment_out: -1,
+};
+
+// Statuses whose balance effect was reversed — listed, but not totalled
+const REVERSED_STATUSES = new Set(['rejected', 'failed', 'cancelled']);
+
+// Rows per request — PostgREST caps a single response, so longer lists
+// (a busy account's journal history) are read in pages
+const PAGE_SIZE = 1000;
+
+const round8 = n => parseFloat(n.toFixed(8));
+const round2 = n => parseFloat(n.toFixed(2));
+
+/**
+ * Every row of `table` matching `query`, page by page. `order` must be
+ * unique per row so pages don't overlap.
+ */
+async function fetchPaged(table, query, order) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await supabase.get(`/rest/v1/${table}`, `${query}&order=${order}&offset=${offset}&limit=${PAGE_SIZE}`);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Parse 'YYYY-MM' into the month's UTC bounds, or { error }.
+ * Months that haven't ended yet are an error.
+ */
+function parseMonth(value, now = Date.now()) {
+  const m = MONTH_RE.exec(value || '');
+  if (!m) return { error: 'month must be YYYY-MM' };
+  const year  = Number(m[1]);
+  const month = Number(m[2]);
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end   = new Date(Date.UTC(year, month, 1));
+  if (end.getTime() > now) return { error: 'Statements are available once the month has ended' };
+  return {
+    month:    value,
+    label:    start.toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+    start:    start.toISOString(),
+    end:      end.toISOString(),
+    last_day: new Date(end.getTime() - 86400000).toISOString().slice(0, 10),
+  };
+}
+
+/**
+ * The months a user can get a statement for, newest first: from the month
+ * they joined to the last month that has ended.
+ */
+function availableMonths(createdAt, now = Date.now()) {
+  const months = [];
+  const first  = new Date(createdAt);
+  const d      = new Date(now);
+  let year  = d.getUTCFullYear();
+  let month = d.getUTCMonth();          // 0-based, so this is last month 1-based
+  if (month === 0) { year -= 1; month = 12; }
+  while (year > first.getUTCFullYear() || (year === first.getUTCFullYear() && month >= first.getUTCMonth() + 1)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    if (--month === 0) { year -= 1; month = 12; }
+  }
+  return months;
+}
+
+/**
+ * Opening (before start), in-period credits and debits, and closing (before
+ * end) per asset, from journal lines.
+ */
+function summarizeLines(lines, start) {
+  const byAsset = {};
+  const startMs = Date.parse(start);
+  for (const l of lines) {
+    const row    = byAsset[l.asset] || (byAsset[l.asset] = { opening: 0, credits: 0, debits: 0 });
+    const amount = parseFloat(l.amount);
+    if (Date.parse(l.created_at) < startMs) row.opening += amount;
+    else if (amount > 0)      row.credits += amount;
+    else                      row.debits  -= amount;
+  }
+  return Object.entries(byAsset).map(([asset, r]) => ({
+    asset,
+    opening: round8(r.opening),
+    credits: round8(r.credits),
+    debits:  round8(r.debits),
+    closing: round8(r.opening + r.credits - r.debits),
+  }));
+}
+
+/**
+ * Period-end USD prices: { prices, estimated } where estimated lists the
+ * assets priced at current market because the month-end snapshot has none.
+ */
+async function periodEndPrices(userId, lastDay, assets) {
+  const [snapshot] = await supabase.get(
+    '/rest/v1/portfolio_snapshots',
+    `user_id=eq.${userId}&snapshot_date=eq.${lastDay}&select=balances`
+  );
+  const prices = { USD: 1 };
+  for (const b of snapshot?.balances || []) {
+    if (b.usd_price != null) prices[b.asset] = parseFloat(b.usd_price);
+  }
+
+  const missing = assets.filter(a => prices[a] == null);
+  if (!missing.length) return { prices, estimated: [] };
+
+  const market = await getPrices();
+  const estimated = [];
+  for (const a of missing) {
+    if (market[a] == null) continue;
+    prices[a] = market[a];
+    estimated.push(a);
+  }
+  return { prices, estimated };
+}
+
+/**
+ * Build the statement for `user` ({ id, name, email }) for `month` ('YYYY-MM').
+ * Returns { error } for a month that can't be stated.
+ */
+async function buildStatement(user, month) {
+  const period = parseMonth(month);
+  if (period.error) return { error: period.error };
+
+  const lineQuery = `&created_at=lt.${period.end}&select=asset,amount,created_at`;
+  const [availableLines, strategyLines, txRows] = await Promise.all([
+    fetchPaged('journal_lines', `account=eq.${encodeURIComponent(ledger.userAccount(user.id))}${lineQuery}`, 'id.asc'),
+    fetchPaged('journal_lines', `account=like.${encodeURIComponent(ledger.strategyAccount(user.id, '*'))}${lineQuery.replace('select=', 'select=account,')}`, 'id.asc'),
+    fetchPaged(
+      'transactions',
+      `user_id=eq.${user.id}&created_at=gte.${period.start}&created_at=lt.${period.end}&select=*`,
+      'created_at.asc,id.asc'
+    ),
+  ]);
+
+  const balances = summarizeLines(availableLines, period.start)
+    .filter(b => b.opening || b.credits || b.debits || b.closing);
+
+  const byStrategy = {};
+  for (const l of strategyLines) {
+    const strategy = l.account.split(':strategy:')[1];
+    (byStrategy[strategy] = byStrategy[strategy] || []).push(l);
+  }
+  const strategies = Object.entries(byStrategy).flatMap(([strategy, lines]) =>
+    summarizeLines(lines, period.start).map(r => ({
+      strategy,
+      label:     STRATEGY_LABELS[strategy] || strategy,
+      asset:     r.asset,
+      opening:   r.opening,
+      allocated: r.credits,
+      redeemed:  r.debits,
+      closing:   r.closing,
+    }))
+  ).filter(s => s.opening || s.allocated || s.redeemed || s.closing)
+   .sort((a, b) => a.strategy.localeCompare(b.strategy) || a.asset.localeCompare(b.asset));
+
+  const assets = [...new Set([...balances.map(b => b.asset), ...strategies.map(s => s.asset)])];
+  const { prices, estimated } = await periodEndPrices(user.id, period.last_day, assets);
+  const value = (asset, amount) => (prices[asset] != null ? round2(amount * prices[asset]) : null);
+
+  balances.forEach(b => {
+    b.usd_price   = prices[b.asset] ?? null;
+    b.closing_usd = value(b.asset, b.closing);
+  });
+  strategies.forEach(s => { s.closing_usd = value(s.asset, s.closing); });
+
+  const transactions = txRows.map(tx => ({
+    id:             tx.id,
+    date:           tx.created_at,
+    type:           tx.type,
+    asset:          tx.asset,
+    amount:         round8((TYPE_SIGN[tx.type] || 1) * parseFloat(tx.amount)),
+    usd_value:      tx.usd_value  != null ? parseFloat(tx.usd_value)  : null,
+    fee_amount:     tx.fee_amount != null ? parseFloat(tx.fee_amount) : 0,
+    fee_usd:        tx.fee_usd    != null ? parseFloat(tx.fee_usd)    : 0,
+    counter_asset:  tx.counter_asset || null,
+    counter_amount: tx.counter_amount != null ? parseFloat(tx.counter_amount) : null,
+    strategy:       tx.strategy || null,
+    network:        tx.network || null,
+    status:         tx.status,
+  }));
+
+  const counted = transactions.filter(t => !REVERSED_STATUSES.has(t.status));
+  const sumUsd  = (types, key = 'usd_value') => round2(counted
+    .filter(t => types.includes(t.type))
+    .reduce((s, t) => s + (t[key] || 0), 0));
+  const sumValues = rows => (rows.some(r => r.closing_usd == null && r.closing)
+    ? null
+    : round2(rows.reduce((s, r) => s + (r.closing_usd || 0), 0)));
+
+  const availableUsd = sumValues(balances);
+  const investedUsd  = sumValues(strategies);
+
+  return {
+    account: { id: user.id, name: user.name || null, email: user.email },
+    period,
+    generated_at: new Date().toISOString(),
+    balances,
+    strategies,
+    transactions,
+    prices,
+    prices_estimated: estimated,
+    totals: {
+      available_usd:   availableUsd,
+      invested_usd:    investedUsd,
+      total_usd:       availableUsd != null && investedUsd != null ? round2(availableUsd + investedUsd) : null,
+      deposits_usd:    sumUsd(['deposit', 'transfer_in']),
+      withdrawals_usd: sumUsd(['withdrawal', 'transfer_out']),
+      fees_usd:        sumUsd(Object.keys(TYPE_LABELS), 'fee_usd'),
+    },
+  };
+}
+
+// ── PDF ───────────────────────────────────────────────────────────────────────
+
+const NAVY   = '#0a0f1e';
+const GOLD   = '#c9a84c';
+const INK    = '#1a2233';
+const MUTED  = '#6b7a90';
+const RULE   = '#d9dee6';
+const STRIPE = '#f5f3ee';
+
+const MARGIN  = 48;
+const TOP     = 112;   // first content baseline below the header band
+const BOTTOM  = 770;   // last content baseline above the footer
+
+const fmtAmount = n => (n == null ? '—' : n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 8 }));
+const fmtSigned = n => (n > 0 ? '+' : '') + fmtAmount(n);
+const fmtUsd    = n => (n == null ? '—' : '$' + n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const MONTHS    = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const fmtDate   = d => { const t = new Date(d); return `${String(t.getUTCDate()).padStart(2, '0')} ${MONTHS[t.getUTCMonth()]} ${t.getUTCFullYear()}`; };
+const fmtStatus = s => s.charAt(0).toUpperCase() + s.slice(1).replace(/_/g, ' ');
+
+function txDetails(t) {
+  if (t.type === 'conversion' && t.counter_asset) return `into ${fmtAmount(t.counter_amount)} ${t.counter_asset}`;
+  if (t.strategy)                                 return STRATEGY_LABELS[t.strategy] || t.strategy;
+  return t.network || '';
+}
+
+/**
+ * Render a statement from buildStatement() as a PDF. Returns a Buffer.
+ */
+function renderStatementPdf(statement) {
+  const { account, period, totals } = statement;
+  const doc   = createPdf({ title: `${SITE_NAME} statement — ${period.label}`, author: SITE_NAME });
+  const right = doc.width - MARGIN;
+  let y;
+
+  const header = (first) => {
+    doc.rect(0, 0, doc.width, 72, { fill: NAVY });
+    doc.rect(0, 72, doc.width, 2, { fill: GOLD });
+    doc.text(SITE_NAME.toUpperCase(), MARGIN, 38, { font: 'bold', size: 16, color: GOLD });
+    doc.text('DIGITAL ASSET MANAGEMENT', MARGIN, 54, { font: 'mono', size: 7, color: '#8a9ab5' });
+    doc.text(first ? 'ACCOUNT STATEMENT' : 'ACCOUNT STATEMENT (CONTINUED)', right, 38, { font: 'mono', size: 8, color: '#8a9ab5', align: 'right' });
+    doc.text(period.label, right, 54, { font: 'bold', size: 11, color: '#f7f3ea', align: 'right' });
+    y = TOP;
+  };
+
+  const newPage = () => { doc.addPage(); header(false); };
+  const ensure  = (height) => { if (y + height > BOTTOM) newPage(); };
+
+  const sectionTitle = (text) => {
+    ensure(48);
+    y += 10;
+    doc.text(text.toUpperCase(), MARGIN, y, { font: 'bold', size: 9, color: NAVY });
+    doc.rect(MARGIN, y + 5, right - MARGIN, 1, { fill: GOLD });
+    y += 20;
+  };
+
+  // columns: [{ label, width, align, font }]; rows: arrays of strings
+  const table = (columns, rows, { emptyText = 'None this period.' } = {}) => {
+    const drawHead = () => {
+      let x = MARGIN;
+      for (const c of columns) {
+        doc.text(c.label.toUpperCase(), c.align === 'right' ? x + c.width : x, y, { font: 'mono', size: 6.5, color: MUTED, align: c.align || 'left' });
+        x += c.width;
+      }
+      doc.line(MARGIN, y + 4, right, y + 4, { color: RULE });
+      y += 15;
+    };
+
+    ensure(30);
+    drawHead();
+    if (!rows.length) {
+      doc.text(emptyText, MARGIN, y, { size: 8, color: MUTED });
+      y += 14;
+      return;
+    }
+    rows.forEach((row, i) => {
+      if (y + 12 > BOTTOM) { newPage(); drawHead(); }
+      if (row.total)   doc.line(MARGIN, y - 9, right, y - 9, { color: RULE });
+      else if (i % 2)  doc.rect(MARGIN, y - 9, right - MARGIN, 13, { fill: STRIPE });
+      let x = MARGIN;
+      columns.forEach((c, j) => {
+        const font = row.total ? 'bold' : (c.font || 'regular');
+        const text = doc.truncate(row.cells[j] ?? '', c.width - 6, font, 8);
+        doc.text(text, c.align === 'right' ? x + c.width : x, y, { font, size: 8, color: INK, align: c.align || 'left' });
+        x += c.width;
+      });
+      y += 13;
+    });
+    y += 6;
+  };
+
+  // ── Page 1: account details and summary ────────────────────────────────────
+  doc.addPage();
+  header(true);
+
+  const detail = (label, value, x, yy) => {
+    doc.text(label.toUpperCase(), x, yy, { font: 'mono', size: 6.5, color: MUTED });
+    doc.text(value, x, yy + 12, { size: 9, color: INK });
+  };
+  detail('Account holder', account.name || account.email, MARGIN, y);
+  detail('Email',          account.email,                 MARGIN + 180, y);
+  detail('Statement period', `${fmtDate(period.start)} – ${fmtDate(period.last_day)}`, MARGIN + 360, y);
+  y += 32;
+  detail('Account ID',     account.id,                    MARGIN, y);
+  detail('Generated',      `${fmtDate(statement.generated_at)} UTC`, MARGIN + 360, y);
+  y += 34;
+
+  // Summary cards
+  const cards = [
+    ['Total value',     fmtUsd(totals.total_usd)],
+    ['Available',       fmtUsd(totals.available_usd)],
+    ['Invested',        fmtUsd(totals.invested_usd)],
+    ['Fees this month', fmtUsd(totals.fees_usd)],
+  ];
+  const cardW = (right - MARGIN - 3 * 8) / 4;
+  cards.forEach(([label, value], i) => {
+    const x = MARGIN + i * (cardW + 8);
+    doc.rect(x, y, cardW, 44, { fill: i === 0 ? NAVY : STRIPE });
+    doc.text(label.toUpperCase(), x + 10, y + 15, { font: 'mono', size: 6.5, color: i === 0 ? GOLD : MUTED });
+    doc.text(value, x + 10, y + 33, { font: 'bold', size: 12, color: i === 0 ? '#f7f3ea' : INK });
+  });
+  y += 56;
+  doc.text(
+    `Deposits and transfers in ${fmtUsd(totals.deposits_usd)} · withdrawals and transfers out ${fmtUsd(totals.withdrawals_usd)}. ` +
+    `Values are at ${period.last_day} closing prices.`,
+    MARGIN, y, { size: 7.5, color: MUTED }
+  );
+  y += 16;
+
+  // ── Balances ───────────────────────────────────────────────────────────────
+  sectionTitle('Available balances');
+  table(
+    [
+      { label: 'Asset',        width: 46, font: 'bold' },
+      { label: 'Opening',      width: 76, align: 'right', font: 'mono' },
+      { label: 'In',           width: 76, align: 'right', font: 'mono' },
+      { label: 'Out',          width: 76, align: 'right', font: 'mono' },
+      { label: 'Closing',      width: 76, align: 'right', font: 'mono' },
+      { label: 'Price (USD)',  width: 72, align: 'right', font: 'mono' },
+      { label: 'Value (USD)',  width: right - MARGIN - 422, align: 'right', font: 'mono' },
+    ],
+    [
+      ...statement.balances.map(b => ({ cells: [
+        b.asset, fmtAmount(b.opening), fmtAmount(b.credits), fmtAmount(b.debits), fmtAmount(b.closing),
+        b.usd_price != null ? fmtUsd(b.usd_price) : '—', fmtUsd(b.closing_usd),
+      ] })),
+      ...(statement.balances.length ? [{ total: true, cells: ['Total', '', '', '', '', '', fmtUsd(totals.available_usd)] }] : []),
+    ],
+    { emptyText: 'No balances this period.' }
+  );
+
+  // ── Strategies ─────────────────────────────────────────────────────────────
+  sectionTitle('Strategy allocations');
+  table(
+    [
+      { label: 'Strategy',    width: 70 },
+      { label: 'Asset',       width: 36, font: 'bold' },
+      { label: 'Opening',     width: 76, align: 'right', font: 'mono' },
+      { label: 'Allocated',   width: 76, align: 'right', font: 'mono' },
+      { label: 'Redeemed',    width: 76, align: 'right', font: 'mono' },
+      { label: 'Closing',     width: 76, align: 'right', font: 'mono' },
+      { label: 'Value (USD)', width: right - MARGIN - 410, align: 'right', font: 'mono' },
+    ],
+    [
+      ...statement.strategies.map(s => ({ cells: [
+        s.label, s.asset, fmtAmount(s.opening), fmtAmount(s.allocated), fmtAmount(s.redeemed), fmtAmount(s.closing), fmtUsd(s.closing_usd),
+      ] })),
+      ...(statement.strategies.length ? [{ total: true, cells: ['Total', '', '', '', '', '', fmtUsd(totals.invested_usd)] }] : []),
+    ],
+    { emptyText: 'Nothing invested in strategies this period.' }
+  );
+
+  // ── Transactions ───────────────────────────────────────────────────────────
+  sectionTitle(`Transactions (${statement.transactions.length})`);
+  table(
+    [
+      { label: 'Date',        width: 58 },
+      { label: 'Type',        width: 62 },
+      { label: 'Details',     width: 80 },
+      { label: 'Amount',      width: 112, align: 'right', font: 'mono' },
+      { label: 'USD value',   width: 66,  align: 'right', font: 'mono' },
+      { label: 'Fee (USD)',   width: 54,  align: 'right', font: 'mono' },
+      { label: 'Status',      width: right - MARGIN - 432, align: 'right' },
+    ],
+    statement.transactions.map(t => ({ cells: [
+      fmtDate(t.date),
+      TYPE_LABELS[t.type] || t.type,
+      txDetails(t),
+      `${fmtSigned(t.amount)} ${t.asset}`,
+      fmtUsd(t.usd_value),
+      t.fee_usd ? fmtUsd(t.fee_usd) : '—',
+      fmtStatus(t.status),
+    ] })),
+    { emptyText: 'No transactions this period.' }
+  );
+
+  // ── Notes ──────────────────────────────────────────────────────────────────
+  const notes = [
+    'Opening balances are as at 00:00 UTC on the first day of the period and closing balances as at 24:00 UTC on its last day. ' +
+    'Amounts are in asset units unless marked USD.',
+    'Rejected, failed and cancelled transactions are listed but had no lasting effect on balances and are excluded from totals.',
+    ...(statement.prices_estimated.length
+      ? [`No closing price was recorded for ${statement.prices_estimated.join(', ')} on ${period.last_day}; ` +
+         'these are valued at the market price when this statement was generated.']
+      : []),
+    'Please check this statement and tell us of any discrepancy within 30 days.',
+  ];
+  sectionTitle('Notes');
+  for (const n of notes) {
+    // Wrap to the page width
+    const words = n.split(' ');
+    let lineText = '';
+    for (const w of words) {
+      const next = lineText ? `${lineText} ${w}` : w;
+      if (doc.textWidth(next, 'regular', 7.5) > right - MARGIN) {
+        ensure(11); doc.text(lineText, MARGIN, y, { size: 7.5, color: MUTED }); y += 10;
+        lineText = w;
+      } else {
+        lineText = next;
+      }
+    }
+    ensure(11); doc.text(lineText, MARGIN, y, { size: 7.5, color: MUTED }); y += 14;
+  }
+
+  // ── Footers ────────────────────────────────────────────────────────────────
+  const pages = doc.pageCount;
+  for (let i = 0; i < pages; i++) {
+    doc.setPage(i);
+    doc.line(MARGIN, 796, right, 796, { color: RULE });
+    doc.text(`${SITE_NAME} · Authorised & Regulated by the FCA · One Canada Square, Canary Wharf, London E14 5AB`, MARGIN, 810, { size: 6.5, color: MUTED });
+    doc.text(`Page ${i + 1} of ${pages}`, right, 810, { font: 'mono', size: 6.5, color: MUTED, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+/**
+ * File name for a statement download, e.g. apex-capital-statement-2026-09.pdf
+ */
+const statementFilename = (month) =>
+  `${SITE_NAME.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-statement-${month}.pdf`;
+
+module.exports = { parseMonth, availableMonths, buildStatement, renderStatementPdf, statementFilename };
@@ -0,0 +1,130 @@
+// netlify/functions/_strategies.js
+// Moving a client's funds into and out of investment strategies.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Allocated funds leave the client's available balance (user:<uuid>) for a
+// per-strategy journal account (user:<uuid>:strategy:<name>, see _ledger.js),
+// so they can't be withdrawn while invested. Each move is also recorded as an
+// 'allocation' or 'redemption' transaction, and the strategy_allocations row
+// is re-valued at current prices.
+//
+// Anything that reports what a strategy is worth now (ledger-balance,
+// admin-users, portfolio-snapshot) values holdings() at its own prices with
+// valueAllocations() — the stored usd_value is only as fresh as the last
+// allocation or redemption.
+//
+// Requires:
+//
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS strategy TEXT;  -- allocation / redemption only
+
+const crypto = require('crypto');
+const { supabase } = require('./_db');
+const ledger = require('./_ledger');
+const { recordTransition } = require('./_transactions');
+
+const STRATEGIES = ['long_short', 'defi_yield', 'quant_arb'];
+
+// Users per journal_balances query — one `account.like` pattern each
+const HOLDINGS_BATCH = 50;
+
+/**
+ * What each user holds in each strategy:
+ * { [userId]: { [strategy]: { [asset]: amount } } }.
+ */
+async function holdingsFor(userIds) {
+  const result = Object.fromEntries(userIds.map(id => [id, Object.fromEntries(STRATEGIES.map(s => [s, {}]))]));
+  for (let i = 0; i < userIds.length; i += HOLDINGS_BATCH) {
+    const patterns = userIds.slice(i, i + HOLDINGS_BATCH)
+      .map(id => `account.like.${encodeURIComponent(ledger.strategyAccount(id, '*'))}`);
+    const rows = await supabase.getAll(
+      '/rest/v1/journal_balances',
+      `or=(${patterns.join(',')})&select=account,asset,amount&order=account.asc,asset.asc`
+    );
+    for (const r of rows) {
+      const [, userId, strategy] = /^user:([^:]+):strategy:(.+)$/.exec(r.account) || [];
+      const amount = parseFloat(r.amount);
+      if (result[userId]?.[strategy] && amount > 0) result[userId][strategy][r.asset] = amount;
+    }
+  }
+  return result;
+}
+
+/**
+ * What the user holds in each strategy: { [strategy]: { [asset]: amount } }.
+ */
+async function holdings(userId) {
+  return (await holdingsFor([userId]))[userId];
+}
+
+/**
+ * Value holdings() at `prices`: [ { strategy, usd_value, pct } ], pct being
+ * each strategy's share of everything invested. Assets without a price count
+ * as 0 — callers that mustn't undervalue check for them first.
+ */
+function valueAllocations(held, prices) {
+  const values = STRATEGIES.map(strategy => ({
+    strategy,
+    usd_value: Object.entries(held[strategy])
+      .reduce((s, [asset, amount]) => s + amount * (prices[asset] || 0), 0),
+  }));
+  const total = values.reduce((s, v) => s + v.usd_value, 0);
+  return values.map(v => ({
+    strategy:  v.strategy,
+    usd_value: parseFloat(v.usd_value.toFixed(2)),
+    pct:       total > 0 ? parseFloat((v.usd_value / total * 100).toFixed(2)) : 0,
+  }));
+}
+
+/**
+ * Re-value every strategy_allocations row for the user at `prices`.
+ */
+async function refreshAllocations(userId, prices) {
+  const allocations = valueAllocations(await holdings(userId), prices);
+  const now         = new Date().toISOString();
+  await supabase('/rest/v1/strategy_allocations?on_conflict=user_id,strategy', {
+    method:  'POST',
+    headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+    body:    JSON.stringify(allocations.map(a => ({ user_id: userId, ...a, updated_at: now }))),
+  });
+  return allocations;
+}
+
+/**
+ * Move `amount` of `asset` between the user's available balance and a
+ * strategy. direction: 'allocation' (into the strategy) or 'redemption'
+ * (back out). `txId` is the transaction id (requestId, see _idempotency.js).
+ * Returns the transaction row, which is posted with the journal entry.
+ * Throws 'Insufficient balance' / 'Insufficient strategy balance' from the journal.
+ */
+async function moveFunds({ txId = crypto.randomUUID(), userId, strategy, asset, amount, usdValue, direction }) {
+  const sign = direction === 'allocation' ? 1 : -1;
+  const now  = new Date().toISOString();
+  const tx   = {
+    id:         txId,
+    user_id:    userId,
+    type:       direction,
+    asset,
+    amount,
+    usd_value:  usdValue,
+    strategy,
+    status:     'completed',
+    created_at: now,
+    updated_at: now,
+  };
+
+  await ledger.post({
+    eventType: direction,
+    reference: txId,
+    memo:      `${direction} ${strategy}`,
+    createdBy: `user:${userId}`,
+    lines: [
+      { account: ledger.userAccount(userId),               asset, amount: -sign * amount },
+      { account: ledger.strategyAccount(userId, strategy), asset, amount: sign * amount },
+    ],
+    transactions: [tx],
+  });
+  await recordTransition({ transactionId: txId, to: 'completed', actor: `user:${userId}` });
+  return tx;
+}
+
+module.exports = { STRATEGIES, holdings, holdingsFor, valueAllocations, refreshAllocations, moveFunds };
@@ -0,0 +1,120 @@
+// netlify/functions/_transactions.js
+// Transaction lifecycle — the allowed status transitions and the append-only
+// history of every status change.
+// Prefixed with _ so Netlify does NOT deploy it as a function endpoint.
+//
+// Withdrawals:  pending → approved → broadcast → completed
+//               pending | approved → rejected   (balance refunded)
+//               broadcast          → failed     (balance refunded)
+// Deposits:     processing → completed          (funds confirmed)
+//               processing → failed             (credit reversed)
+//
+// completed, rejected, failed and cancelled are terminal, so a refund can only
+// ever be triggered once; the journal's unique (event_type, reference) backs
+// that up if two admins race.
+//
+// 'processing' withdrawals and 'cancelled' transactions predate the state
+// machine: a processing withdrawal may still move to broadcast, completed,
+// rejected or failed; cancelled is treated like rejected.
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS transaction_status_history (
+//   id             BIGSERIAL PRIMARY KEY,
+//   transaction_id UUID NOT NULL REFERENCES transactions(id),
+//   from_status    TEXT,                -- NULL for the row written at creation
+//   to_status      TEXT NOT NULL,
+//   actor          TEXT NOT NULL,       -- 'user:<uuid>', 'admin:<email>' or 'system'
+//   notes          TEXT,
+//   created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+// );
+// CREATE INDEX IF NOT EXISTS transaction_status_history_tx_idx
+//   ON transaction_status_history (transaction_id, created_at);
+//
+// ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_status_check;
+// ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (status IN
+//   ('pending', 'approved', 'broadcast', 'processing', 'completed', 'rejected', 'failed', 'cancelled'));
+
+const { supabase } = require('./_db');
+
+const TRANSITIONS = {
+  withdrawal: {
+    pending:    ['approved', 'rejected'],
+    approved:   ['broadcast', 'rejected'],
+    broadcast:  ['completed', 'failed'],
+    processing: ['broadcast', 'completed', 'rejected', 'failed'],
+  },
+  deposit: {
+    pending:    ['completed', 'failed'],
+    processing: ['completed', 'failed'],
+  },
+};
+
+const ALL_STATUSES = ['pending', 'approved', 'broadcast', 'processing', 'completed', 'rejected', 'failed', 'cancelled'];
+
+// Withdrawal statuses that give the user their money back
+const REFUND_STATUSES = new Set(['rejected', 'failed']);
+
+/**
+ * Statuses a transaction may move to next ([] once it's terminal).
+ */
+function nextStatuses(tx) {
+  return TRANSITIONS[tx.type]?.[tx.status] || [];
+}
+
+function canTransition(tx, status) {
+  return nextStatuses(tx).includes(status);
+}
+
+/**
+ * Append a row to transaction_status_history. Never throws — a missing
+ * history row shouldn't undo a status change that has already happened.
+ */
+async function recordTransition({ transactionId, from = null, to, actor, notes = null }) {
+  try {
+    await supabase.post('/rest/v1/transaction_status_history', {
+      transaction_id: transactionId,
+      from_status:    from,
+      to_status:      to,
+      actor,
+      notes:          notes || null,
+      created_at:     new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('recordTransition error:', err.message);
+  }
+}
+
+/**
+ * Move tx to `status` if it is still in the status we read it in.
+ * Returns the updated row, or null if someone else changed it first.
+ * Callers check canTransition() beforehand.
+ */
+async function transition({ tx, status, actor, notes = null }) {
+  const now = new Date().toISOString();
+  const updated = await supabase.patch(
+    '/rest/v1/transactions',
+    `id=eq.${tx.id}&status=eq.${tx.status}`,
+    {
+      status,
+      notes:      notes ? `${tx.notes || ''}\n[ADMIN ${now}] ${notes}`.trim() : tx.notes,
+      updated_at: now,
+    }
+  );
+  if (!updated.length) return null;
+
+  await recordTransition({ transactionId: tx.id, from: tx.status, to: status, actor, notes });
+  return updated[0];
+}
+
+function history(transactionId) {
+  return supabase.get(
+    '/rest/v1/transaction_status_history',
+    `transaction_id=eq.${transactionId}&select=from_status,to_status,actor,notes,created_at&order=created_at.asc`
+  );
+}
+
+module.exports = {
+  TRANSITIONS, ALL_STATUSES, REFUND_STATUSES,
+  nextStatuses, canTransition, recordTransition, transition, history,
+};
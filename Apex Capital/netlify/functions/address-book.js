@@ -0,0 +1,163 @@
+// netlify/functions/address-book.js
+// The authenticated user's saved withdrawal addresses (see _address-book.js)
+// and their "whitelist only" setting.
+//
+// GET  /.netlify/functions/address-book
+//   → { ok, whitelist_only, cooling_off_hours,
+//       addresses: [ { id, label, asset, network, address, status, confirmed_at, usable_at, created_at } ] }
+//
+// POST /.netlify/functions/address-book
+// Auth: apex_session cookie required
+// Body (JSON):
+//   { action: 'add', label, asset, network, address }
+//       → { address }              (needs a fresh code if 2FA is enabled; emails a confirmation link)
+//                                  address and network are validated as for withdrawals (see _address.js)
+//   { action: 'remove', addressId }
+//   { action: 'whitelist', enabled: boolean }
+//                                  (turning it off needs a fresh code if 2FA is enabled)
+
+const crypto = require('crypto');
+const { supabase, getSession, auditLog, ok, created, badReq, unauth, serverErr, UUID_RE } = require('./_db');
+const { requireFreshMfa } = require('./_mfa');
+const notify = require('./_notify');
+const { COOLING_OFF_HOURS, CONFIRM_HOURS, hashToken, formatEntry } = require('./_address-book');
+const { ASSET_NETWORKS, validateWithdrawalAddress } = require('./_address');
+
+const MAX_ADDRESSES = 50;
+const SITE_URL      = process.env.URL || 'https://apexcapital.com';
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,email,name,whitelist_only`
+    );
+    if (!users.length) return unauth();
+    const user = users[0];
+
+    if (event.httpMethod === 'GET') {
+      const rows = await supabase.get(
+        '/rest/v1/withdrawal_addresses',
+        `user_id=eq.${user.id}&select=*&order=asset.asc,created_at.asc`
+      );
+      return ok({
+        whitelist_only:    !!user.whitelist_only,
+        cooling_off_hours: COOLING_OFF_HOURS,
+        addresses:         rows.map(formatEntry),
+      });
+    }
+
+    let body;
+    try { body = JSON.parse(event.body || '{}'); }
+    catch { return badReq('Invalid JSON'); }
+
+    const { action } = body;
+
+    // ── Remove ──────────────────────────────────────────────────────────────
+    if (action === 'remove') {
+      if (!UUID_RE.test(body.addressId || '')) return badReq('addressId is required');
+      const removed = await supabase.delete(
+        '/rest/v1/withdrawal_addresses',
+        `id=eq.${body.addressId}&user_id=eq.${user.id}`
+      );
+      if (!removed.length) return badReq('Address not found');
+      await auditLog({
+        userId: user.id,
+        action: 'withdrawal_address_removed',
+        meta:   { address_id: body.addressId, label: removed[0].label, asset: removed[0].asset, address: removed[0].address },
+        event,
+      });
+      return ok({ removed: body.addressId });
+    }
+
+    // ── Whitelist-only mode ─────────────────────────────────────────────────
+    if (action === 'whitelist') {
+      if (typeof body.enabled !== 'boolean') return badReq('enabled must be true or false');
+      // Loosening the restriction is what an attacker would want — make them prove it's the owner
+      if (!body.enabled) {
+        const mfaErr = await requireFreshMfa(session);
+        if (mfaErr) return mfaErr;
+      }
+      await supabase.patch('/rest/v1/users', `id=eq.${user.id}`, { whitelist_only: body.enabled });
+      await auditLog({
+        userId: user.id,
+        action: body.enabled ? 'whitelist_only_enabled' : 'whitelist_only_disabled',
+        meta:   {},
+        event,
+      });
+      return ok({ whitelist_only: body.enabled });
+    }
+
+    if (action !== 'add') return badReq(`Invalid action: ${action}`);
+
+    // ── Add ─────────────────────────────────────────────────────────────────
+    const label = String(body.label || '').trim();
+    const asset = body.asset;
+
+    if (!label || label.length > 60)              return badReq('label is required (max 60 characters)');
+    if (!ASSET_NETWORKS[asset])                   return badReq(`Unsupported asset: ${asset}`);
+    if (String(body.address || '').length > 128)  return badReq('address must be at most 128 characters');
+
+    const valid = validateWithdrawalAddress({ asset, network: body.network, address: body.address });
+    if (valid.error) return badReq(valid.error);
+    const { network, address } = valid;
+
+    const mfaErr = await requireFreshMfa(session);
+    if (mfaErr) return mfaErr;
+
+    const existing = await supabase.get('/rest/v1/withdrawal_addresses', `user_id=eq.${user.id}&select=asset,network,address`);
+    if (existing.length >= MAX_ADDRESSES) return badReq(`You can save at most ${MAX_ADDRESSES} addresses. Remove one first.`);
+    if (existing.some(e => e.asset === asset && e.network === network && e.address === address)) {
+      return badReq('This address is already in your address book');
+    }
+
+    const token     = crypto.randomBytes(32).toString('base64url');
+    const now       = new Date();
+    const usableAt  = new Date(now.getTime() + COOLING_OFF_HOURS * 3600 * 1000).toISOString();
+    const expiresAt = new Date(now.getTime() + CONFIRM_HOURS * 3600 * 1000).toISOString();
+
+    const [row] = await supabase.post('/rest/v1/withdrawal_addresses', {
+      user_id:            user.id,
+      label,
+      asset,
+      network,
+      address,
+      confirm_token_hash: hashToken(token),
+      confirm_expires_at: expiresAt,
+      usable_at:          usableAt,
+      created_at:         now.toISOString(),
+    });
+
+    await auditLog({
+      userId: user.id,
+      action: 'withdrawal_address_added',
+      meta:   { address_id: row.id, label, asset, network, address, usable_at: usableAt },
+      event,
+    });
+
+    // ── Confirmation email (non-blocking) ───────────────────────────────────
+    notify.addressAdded({
+      name:       user.name || session.name || user.email,
+      email:      user.email || session.email,
+      label,
+      asset,
+      network,
+      address,
+      confirmUrl: `${SITE_URL}/.netlify/functions/address-confirm?token=${token}`,
+      usableAt,
+      expiresAt,
+    }).catch(err => console.error('notify.addressAdded error:', err));
+
+    return created({ address: formatEntry(row) });
+  } catch (err) {
+    console.error('address-book error:', err);
+    return serverErr(err.message);
+  }
+};
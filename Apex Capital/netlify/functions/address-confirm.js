@@ -0,0 +1,115 @@
+// netlify/functions/address-confirm.js
+// Target of the confirmation link address-book emails when a withdrawal
+// address is added. Following the link only shows the address and a Confirm
+// button — mail scanners and link previews fetch URLs, so a GET must not
+// confirm anything. The button POSTs the token back, which marks the address
+// confirmed — it still can't be used until its cooling-off period ends (see
+// _address-book.js) — and redirects to the dashboard.
+//
+// GET  /.netlify/functions/address-confirm?token=<token>
+//   → 200 confirmation page   (or the =0 redirect below if the link is invalid, used or expired)
+// POST /.netlify/functions/address-confirm   (form: token=<token>)
+// Auth: none — the single-use token from the email is the credential
+//   → 302 /dashboard.html?address_confirmed=1   (or =0 if the link is invalid, used or expired)
+//
+// The link expires ADDRESS_CONFIRM_HOURS after the address was added (see
+// _address-book.js).
+
+const { supabase, auditLog } = require('./_db');
+const { hashToken } = require('./_address-book');
+
+const TOKEN_RE = /^[A-Za-z0-9_-]{43}$/;
+
+const redirect = (confirmed) => ({
+  statusCode: 302,
+  headers:    { Location: `/dashboard.html?address_confirmed=${confirmed ? 1 : 0}`, 'Cache-Control': 'no-store' },
+  body:       '',
+});
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function confirmPage(token, entry) {
+  const row = (k, v) => `<dt>${k}</dt><dd>${escapeHtml(v)}</dd>`;
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type':    'text/html; charset=utf-8',
+      'Cache-Control':   'no-store',
+      'Referrer-Policy': 'no-referrer',
+      'X-Frame-Options': 'DENY',
+    },
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>Confirm withdrawal address — Apex Capital</title>
+<style>
+  body { margin:0; min-height:100vh; display:flex; align-items:center; justify-content:center; background:#0a0f1e; color:#f7f3ea; font-family:'DM Sans',sans-serif; }
+  main { max-width:460px; padding:36px; border:1px solid rgba(201,168,76,0.2); background:#111827; }
+  h1 { margin:0 0 12px; font-size:22px; font-weight:500; color:#c9a84c; }
+  p { color:#8a9ab5; font-size:14px; line-height:1.6; }
+  dl { display:grid; grid-template-columns:auto 1fr; gap:8px 16px; margin:20px 0; font-size:13px; }
+  dt { color:#8a9ab5; } dd { margin:0; font-family:'DM Mono',monospace; word-break:break-all; }
+  button { padding:12px 28px; border:0; background:#c9a84c; color:#0a0f1e; font-size:13px; letter-spacing:1px; text-transform:uppercase; cursor:pointer; }
+</style>
+</head>
+<body>
+<main>
+  <h1>Confirm withdrawal address</h1>
+  <p>Confirm this address only if you added it to your address book. If you didn't, ignore this page and change your password.</p>
+  <dl>${row('Label', entry.label)}${row('Asset', entry.asset)}${row('Network', entry.network)}${row('Address', entry.address)}</dl>
+  <form method="POST" action="/.netlify/functions/address-confirm">
+    <input type="hidden" name="token" value="${token}">
+    <button type="submit">Confirm address</button>
+  </form>
+</main>
+</body>
+</html>`,
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  let token;
+  if (event.httpMethod === 'GET') {
+    token = event.queryStringParameters?.token || '';
+  } else {
+    const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString() : event.body || '';
+    token = new URLSearchParams(body).get('token') || '';
+  }
+  if (!TOKEN_RE.test(token)) return redirect(false);
+
+  try {
+    const live = `confirm_token_hash=eq.${hashToken(token)}&confirmed_at=is.null&confirm_expires_at=gt.${new Date().toISOString()}`;
+    if (event.httpMethod === 'GET') {
+      const [entry] = await supabase.get(
+        '/rest/v1/withdrawal_addresses',
+        `${live}&select=label,asset,network,address`
+      );
+      return entry ? confirmPage(token, entry) : redirect(false);
+    }
+
+    // Clearing the hash in the same update makes the link single-use
+    const confirmed = await supabase.patch(
+      '/rest/v1/withdrawal_addresses',
+      live,
+      { confirmed_at: new Date().toISOString(), confirm_token_hash: null }
+    );
+    if (!confirmed.length) return redirect(false);
+
+    const entry = confirmed[0];
+    await auditLog({
+      userId: entry.user_id,
+      action: 'withdrawal_address_confirmed',
+      meta:   { address_id: entry.id, label: entry.label, asset: entry.asset, usable_at: entry.usable_at },
+      event,
+    });
+    return redirect(true);
+  } catch (err) {
+    console.error('address-confirm error:', err);
+    return redirect(false);
+  }
+};
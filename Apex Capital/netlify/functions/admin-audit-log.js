@@ -1,14 +1,14 @@
 // netlify/functions/admin-audit-log.js
 // Returns the full audit log across all users, paginated and filterable.
-// Admin only.
+// Admin only — read-only, requires audit:read (any admin role).
 //
 // GET /.netlify/functions/admin-audit-log
 // Query params: page=1, limit=50, action=login, user_id=uuid
 
-const { ok, serverErr } = require('./_db');
-const { requireAdmin }  = require('./_admin-guard');
+const { ok, serverErr }     = require('./_db');
+const { requirePermission } = require('./_admin-guard');
 
-exports.handler = requireAdmin(async (event) => {
+exports.handler = requirePermission('audit:read', async (event) => {
   const q      = event.queryStringParameters || {};
   const page   = Math.max(1, parseInt(q.page  || '1'));
   const limit  = Math.min(200, parseInt(q.limit || '50'));
@@ -1,19 +1,35 @@
 // netlify/functions/admin-balance-adjust.js
-// Manually credit or debit a user's balance. Creates an admin adjustment
-// transaction record and writes a full audit entry.
-// Admin only.
+// Manually credit or debit a user's balance. Posts the adjustment to the
+// journal against platform:suspense (see _ledger.js), creates an admin
+// adjustment transaction record (adjustment_in / adjustment_out — a
+// correction, not a deposit the user made or a sale) and writes a full
+// audit entry.
+// Admin only — requires balances:adjust (finance, superadmin) and a fresh
+// TOTP step-up (see _mfa.js).
 //
 // POST /.netlify/functions/admin-balance-adjust
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
 // Body: { userId, asset, delta, reason }
 //   delta > 0 = credit, delta < 0 = debit
+//
+// Requires (adjustments made before these types existed):
+//
+// UPDATE transactions
+//   SET type = CASE type WHEN 'deposit' THEN 'adjustment_in' ELSE 'adjustment_out' END
+//   WHERE type IN ('deposit', 'withdrawal') AND notes LIKE '[ADMIN ADJUSTMENT]%';
 
 const { supabase, auditLog, ok, badReq, serverErr } = require('./_db');
-const { requireAdmin } = require('./_admin-guard');
-const notify           = require('./_notify');
+const { requirePermission } = require('./_admin-guard');
+const notify                = require('./_notify');
+const ledger                = require('./_ledger');
+const { recordTransition }  = require('./_transactions');
+const { idempotent, requestId, recordedTransaction } = require('./_idempotency');
+const { getPrices }         = require('./_prices');
+const { requireFreshMfa }   = require('./_mfa');
 
 const ALLOWED_ASSETS = new Set(['BTC','ETH','USDT','USDC','SOL','USD']);
 
-exports.handler = requireAdmin(async (event, session) => {
+exports.handler = requirePermission('balances:adjust', idempotent('admin-balance-adjust', async (event, session) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
 
   let body;
@@ -30,34 +46,60 @@ exports.handler = requireAdmin(async (event, session) => {
 
   const numDelta = parseFloat(parseFloat(delta).toFixed(8));
 
+  // Admin money movements always need a second factor, enrolled or not
+  const mfaErr = await requireFreshMfa(session, { required: true });
+  if (mfaErr) return mfaErr;
+
   // Verify user exists
   const users = await supabase.get('/rest/v1/users', `id=eq.${userId}&select=id,email,name`);
   if (!users.length) return badReq('User not found');
   const user = users[0];
 
-  // Atomic balance update
-  try {
-    await supabase.rpc('upsert_balance', {
-      p_user_id: userId,
-      p_asset:   asset,
-      p_delta:   numDelta,
-    });
-  } catch (err) {
-    if (err.message.includes('Insufficient balance')) return badReq('Insufficient balance — debit would go negative');
-    throw err;
+  // A retry of a request recorded before its response was lost reports that
+  // adjustment instead of making another
+  let tx = await recordedTransaction(event, userId);
+  if (!tx) {
+    // The USD value at today's price becomes the cost basis of a credit —
+    // see _lots.js; a debit just takes lots away
+    const price     = (await getPrices())[asset];
+    const usd_value = price != null ? parseFloat((Math.abs(numDelta) * price).toFixed(2)) : null;
+    const txId      = requestId(event);
+    tx = {
+      id:         txId,
+      user_id:    userId,
+      type:       numDelta > 0 ? 'adjustment_in' : 'adjustment_out',
+      asset,
+      amount:     Math.abs(numDelta),
+      usd_value,
+      status:     'completed',
+      notes:      `[ADMIN ADJUSTMENT] ${reason} — by ${session.email}`,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+
+    // Atomic balance update and admin adjustment transaction record —
+    // suspense is the counter-account until finance reconciles what the
+    // adjustment was for
+    try {
+      await ledger.post({
+        eventType: 'admin_adjustment',
+        reference: txId,
+        memo:      reason,
+        createdBy: `admin:${session.email}`,
+        lines: [
+          { account: ledger.userAccount(userId), asset, amount: numDelta },
+          { account: ledger.SUSPENSE_ACCOUNT,    asset, amount: -numDelta },
+        ],
+        transactions: [tx],
+      });
+    } catch (err) {
+      if (err.message.includes('Insufficient balance')) return badReq('Insufficient balance — debit would go negative');
+      throw err;
+    }
   }
+  const usd_value = tx.usd_value != null ? parseFloat(tx.usd_value) : null;
 
-  // Create an admin adjustment transaction record
-  const [tx] = await supabase.post('/rest/v1/transactions', {
-    user_id:    userId,
-    type:       numDelta > 0 ? 'deposit' : 'withdrawal',
-    asset,
-    amount:     Math.abs(numDelta),
-    status:     'completed',
-    notes:      `[ADMIN ADJUSTMENT] ${reason} — by ${session.email}`,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-  });
+  await recordTransition({ transactionId: tx.id, to: 'completed', actor: `admin:${session.email}`, notes: reason });
 
   // Audit log
   await auditLog({
@@ -70,7 +112,7 @@ exports.handler = requireAdmin(async (event, session) => {
       asset,
       delta:          numDelta,
       reason,
-      transaction_id: tx?.id,
+      transaction_id: tx.id,
     },
     event,
   });
@@ -82,9 +124,9 @@ exports.handler = requireAdmin(async (event, session) => {
     type:      numDelta > 0 ? 'deposit' : 'withdrawal',
     asset,
     amount:    Math.abs(numDelta),
-    usdValue:  0, // admin adjustments skip USD calc
+    usdValue:  usd_value || 0,
     status:    'completed',
-    txId:      tx?.id || 'admin-adj',
+    txId:      tx.id,
     ip:        event.headers['x-forwarded-for']?.split(',')[0] || 'admin',
   }).catch(() => {});
 
@@ -101,6 +143,6 @@ exports.handler = requireAdmin(async (event, session) => {
     asset,
     delta:       numDelta,
     new_balance: newBalance,
-    transaction_id: tx?.id,
+    transaction_id: tx.id,
   });
-});
+}));
@@ -0,0 +1,203 @@
+// netlify/functions/admin-fee-schedule.js
+// View and edit the fee schedule (see _fees.js) and users' client fee tiers.
+// Viewing requires transactions:read; changes require fees:write (finance,
+// superadmin). Every change is audited with the admin's reason.
+//
+// GET  /.netlify/functions/admin-fee-schedule
+//   → { ok, schedules: [ ...fee_schedules rows ], defaults, types }
+//
+// POST /.netlify/functions/admin-fee-schedule
+// Body:
+//   { action: 'save', id?, tx_type, asset, network, pct, network_fee,
+//     min_fee_usd, max_fee_usd, tiers, active, reason }
+//       id present → update that row, otherwise add a new one
+//       asset: 'BTC' | 'ETH' | 'USDT' | 'USDC' | 'SOL' | '*'
+//       network: a network the asset is withdrawn on (see _address.js), or
+//                null for any network ('*' rows must use null)
+//       pct: 0 – 0.1 (0.001 = 0.1%); network_fee: asset units ≥ 0
+//       tiers: [ { discount_pct: 0 – 1, min_volume_usd } | { discount_pct, client_tier } ]
+//   { action: 'delete', id, reason }
+//   { action: 'client_tier', userId, fee_tier, reason }   — fee_tier null clears it
+
+const { supabase, auditLog, ok, created, badReq, UUID_RE } = require('./_db');
+const { requirePermission } = require('./_admin-guard');
+const { FEE_TYPES, DEFAULT_SCHEDULE } = require('./_fees');
+const { resolveNetwork } = require('./_address');
+
+const ASSETS    = new Set(['BTC', 'ETH', 'USDT', 'USDC', 'SOL', '*']);
+const MAX_PCT   = 0.1;
+const MAX_TIERS = 10;
+const TIER_RE   = /^[a-z0-9_-]{1,40}$/;
+
+const optionalUsd = (v, name) => {
+  if (v === null || v === undefined || v === '') return { value: null };
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return { error: `${name} must be a non-negative number or null` };
+  return { value: parseFloat(n.toFixed(2)) };
+};
+
+/**
+ * Validate a schedule from the request body. Returns { error } or { row }.
+ */
+function validateSchedule(body) {
+  const { tx_type, asset } = body;
+  let network = body.network ? String(body.network).trim() : null;
+
+  if (!FEE_TYPES.includes(tx_type)) return { error: `tx_type must be one of: ${FEE_TYPES.join(', ')}` };
+  if (!ASSETS.has(asset))           return { error: `Unsupported asset: ${asset}` };
+  if (asset === '*' && network)     return { error: "A schedule for every asset ('*') cannot name a network" };
+  if (network) {
+    const resolved = resolveNetwork(asset, network);
+    if (resolved.error) return { error: resolved.error };
+    network = resolved.network;
+  }
+
+  const pct = Number(body.pct ?? 0);
+  if (!Number.isFinite(pct) || pct < 0 || pct > MAX_PCT) return { error: `pct must be between 0 and ${MAX_PCT}` };
+
+  const networkFee = Number(body.network_fee ?? 0);
+  if (!Number.isFinite(networkFee) || networkFee < 0) return { error: 'network_fee must be a non-negative number' };
+  if (asset === '*' && networkFee > 0) return { error: "network_fee is in asset units, so it can't be set for every asset ('*')" };
+
+  const min = optionalUsd(body.min_fee_usd, 'min_fee_usd');
+  const max = optionalUsd(body.max_fee_usd, 'max_fee_usd');
+  if (min.error) return { error: min.error };
+  if (max.error) return { error: max.error };
+  if (min.value != null && max.value != null && min.value > max.value) {
+    return { error: 'min_fee_usd cannot be more than max_fee_usd' };
+  }
+
+  const tiers = body.tiers ?? [];
+  if (!Array.isArray(tiers) || tiers.length > MAX_TIERS) return { error: `tiers must be an array of at most ${MAX_TIERS} entries` };
+  const cleanTiers = [];
+  for (const t of tiers) {
+    const discount = Number(t?.discount_pct);
+    if (!Number.isFinite(discount) || discount <= 0 || discount > 1) return { error: 'Each tier needs a discount_pct between 0 and 1' };
+    const hasVolume = t.min_volume_usd != null && t.min_volume_usd !== '';
+    if (hasVolume === !!t.client_tier) return { error: 'Each tier needs exactly one of min_volume_usd or client_tier' };
+    if (hasVolume) {
+      const v = Number(t.min_volume_usd);
+      if (!Number.isFinite(v) || v < 0) return { error: 'min_volume_usd must be a non-negative number' };
+      cleanTiers.push({ min_volume_usd: v, discount_pct: discount });
+    } else {
+      if (!TIER_RE.test(t.client_tier)) return { error: 'client_tier must be lowercase letters, digits, - or _' };
+      cleanTiers.push({ client_tier: t.client_tier, discount_pct: discount });
+    }
+  }
+
+  return {
+    row: {
+      tx_type,
+      asset,
+      network,
+      pct,
+      network_fee: parseFloat(networkFee.toFixed(8)),
+      min_fee_usd: min.value,
+      max_fee_usd: max.value,
+      tiers:       cleanTiers,
+      active:      body.active !== false,
+    },
+  };
+}
+
+const viewSchedule = requirePermission('transactions:read', async () => {
+  const schedules = await supabase.get(
+    '/rest/v1/fee_schedules',
+    'select=*&order=tx_type.asc,asset.asc,network.asc.nullsfirst'
+  );
+  return ok({ schedules, defaults: DEFAULT_SCHEDULE, types: FEE_TYPES });
+});
+
+const editSchedule = requirePermission('fees:write', async (event, session) => {
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  const { action } = body;
+  const reason = body.reason?.trim();
+  if (!reason) return badReq('reason is required for audit trail');
+
+  // ── Client fee tier ─────────────────────────────────────────────────────────
+  if (action === 'client_tier') {
+    const { userId } = body;
+    const feeTier = body.fee_tier || null;
+    if (!UUID_RE.test(userId || ''))          return badReq('userId is required');
+    if (feeTier && !TIER_RE.test(feeTier))    return badReq('fee_tier must be lowercase letters, digits, - or _');
+
+    const users = await supabase.get('/rest/v1/users', `id=eq.${userId}&select=id,email,fee_tier`);
+    if (!users.length) return badReq('User not found');
+
+    await supabase.patch('/rest/v1/users', `id=eq.${userId}`, { fee_tier: feeTier });
+    await auditLog({
+      userId: null,
+      action: 'admin_fee_tier_update',
+      meta: {
+        admin_email:    session.email,
+        target_user_id: userId,
+        target_email:   users[0].email,
+        prev_tier:      users[0].fee_tier || null,
+        new_tier:       feeTier,
+        reason,
+      },
+      event,
+    });
+    return ok({ userId, fee_tier: feeTier });
+  }
+
+  // ── Delete ──────────────────────────────────────────────────────────────────
+  if (action === 'delete') {
+    if (!UUID_RE.test(body.id || '')) return badReq('id is required');
+    const removed = await supabase.delete('/rest/v1/fee_schedules', `id=eq.${body.id}`);
+    if (!removed.length) return badReq('Schedule not found');
+    await auditLog({
+      userId: null,
+      action: 'admin_fee_schedule_update',
+      meta:   { admin_email: session.email, deleted: true, prev: removed[0], reason },
+      event,
+    });
+    return ok({ removed: body.id });
+  }
+
+  if (action !== 'save') return badReq(`Invalid action: ${action}`);
+
+  // ── Add / update ────────────────────────────────────────────────────────────
+  const { error, row } = validateSchedule(body);
+  if (error) return badReq(error);
+  if (body.id && !UUID_RE.test(body.id)) return badReq('id must be a schedule id');
+
+  // The unique index is on an expression, so check for a clash ourselves to
+  // give a readable error
+  const clashes = await supabase.get(
+    '/rest/v1/fee_schedules',
+    `tx_type=eq.${row.tx_type}&asset=eq.${encodeURIComponent(row.asset)}` +
+    `&network=${row.network ? `eq.${encodeURIComponent(row.network)}` : 'is.null'}&select=id`
+  );
+  if (clashes.some(c => c.id !== body.id)) {
+    return badReq('A schedule for this type, asset and network already exists — edit that one instead');
+  }
+
+  const stamp = { updated_by: session.email, updated_at: new Date().toISOString() };
+  let prev = null, saved;
+  if (body.id) {
+    [prev] = await supabase.get('/rest/v1/fee_schedules', `id=eq.${body.id}&select=*`);
+    if (!prev) return badReq('Schedule not found');
+    [saved] = await supabase.patch('/rest/v1/fee_schedules', `id=eq.${body.id}`, { ...row, ...stamp });
+  } else {
+    [saved] = await supabase.post('/rest/v1/fee_schedules', { ...row, ...stamp });
+  }
+
+  await auditLog({
+    userId: null,
+    action: 'admin_fee_schedule_update',
+    meta:   { admin_email: session.email, schedule_id: saved.id, prev, new: row, reason },
+    event,
+  });
+
+  return body.id ? ok({ schedule: saved }) : created({ schedule: saved });
+});
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'GET')  return viewSchedule(event);
+  if (event.httpMethod === 'POST') return editSchedule(event);
+  return { statusCode: 405, body: 'Method Not Allowed' };
+};
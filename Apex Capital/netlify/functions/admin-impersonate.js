@@ -0,0 +1,103 @@
+// netlify/functions/admin-impersonate.js
+// "View as user" for support. Starts or ends a time-limited, read-only
+// impersonation on the admin's own session: while it's active, user-facing
+// GET endpoints (ledger-balance, ledger-transaction-history, deposit-status, …)
+// answer as the target user and every write is refused (see getSession in
+// _db.js). Start, end and each request made in between are audited.
+// Admin only — requires users:impersonate.
+//
+// GET  /.netlify/functions/admin-impersonate
+//   → { ok, impersonating: { userId, email, until } | null }
+//
+// POST /.netlify/functions/admin-impersonate
+// Body (JSON):
+//   { action: 'start', userId, reason }
+//   { action: 'end' }
+//
+// Optional env vars:
+//   IMPERSONATION_MINUTES   how long an impersonation lasts (default 15)
+
+const { supabase, auditLog, ok, badReq, UUID_RE } = require('./_db');
+const { requirePermission } = require('./_admin-guard');
+
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES || '15');
+
+exports.handler = requirePermission('users:impersonate', async (event, session) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const [current] = await supabase.get(
+    '/rest/v1/sessions',
+    `id=eq.${session.sid}&select=impersonate_user_id,impersonate_until`
+  );
+  const active = current?.impersonate_user_id && new Date(current.impersonate_until) > new Date();
+
+  if (event.httpMethod === 'GET') {
+    if (!active) return ok({ impersonating: null });
+    const users = await supabase.get('/rest/v1/users', `id=eq.${current.impersonate_user_id}&select=email`);
+    return ok({
+      impersonating: {
+        userId: current.impersonate_user_id,
+        email:  users[0]?.email || null,
+        until:  current.impersonate_until,
+      },
+    });
+  }
+
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  const { action, userId, reason } = body;
+
+  if (action === 'end') {
+    await supabase.patch('/rest/v1/sessions', `id=eq.${session.sid}`, {
+      impersonate_user_id: null,
+      impersonate_until:   null,
+    });
+    if (current?.impersonate_user_id) {
+      await auditLog({
+        userId: null,
+        action: 'admin_impersonation_ended',
+        meta: {
+          admin_email:    session.email,
+          target_user_id: current.impersonate_user_id,
+          expired:        !active,
+        },
+        event,
+      });
+    }
+    return ok({ impersonating: null });
+  }
+
+  if (action !== 'start')           return badReq(`Invalid action: ${action}`);
+  if (!UUID_RE.test(userId || ''))  return badReq('userId is required');
+  if (!reason?.trim())              return badReq('reason is required for audit trail');
+
+  const users = await supabase.get('/rest/v1/users', `id=eq.${userId}&select=id,auth0_sub,email`);
+  if (!users.length) return badReq('User not found');
+  const user = users[0];
+  if (user.auth0_sub === session.sub) return badReq('You cannot impersonate yourself');
+
+  const until = new Date(Date.now() + IMPERSONATION_MINUTES * 60 * 1000).toISOString();
+  await supabase.patch('/rest/v1/sessions', `id=eq.${session.sid}`, {
+    impersonate_user_id: userId,
+    impersonate_until:   until,
+  });
+
+  await auditLog({
+    userId: null,
+    action: 'admin_impersonation_started',
+    meta: {
+      admin_email:    session.email,
+      target_user_id: userId,
+      target_email:   user.email,
+      until,
+      reason,
+    },
+    event,
+  });
+
+  return ok({ impersonating: { userId, email: user.email, until } });
+});
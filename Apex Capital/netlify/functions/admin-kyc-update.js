@@ -1,16 +1,17 @@
 // netlify/functions/admin-kyc-update.js
-// Update a user's KYC status. Admin only.
+// Update a user's KYC status. Admin only — requires kyc:write
+// (compliance, superadmin).
 //
 // POST /.netlify/functions/admin-kyc-update
 // Body: { userId, kyc_status, notes }
 //   kyc_status: 'pending' | 'verified' | 'rejected'
 
 const { supabase, auditLog, ok, badReq } = require('./_db');
-const { requireAdmin } = require('./_admin-guard');
+const { requirePermission } = require('./_admin-guard');
 
 const ALLOWED_STATUSES = new Set(['pending','verified','rejected']);
 
-exports.handler = requireAdmin(async (event, session) => {
+exports.handler = requirePermission('kyc:write', async (event, session) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
 
   let body;
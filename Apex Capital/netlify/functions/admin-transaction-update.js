@@ -1,20 +1,48 @@
 // netlify/functions/admin-transaction-update.js
-// Update a transaction's status. Handles special logic for approvals/rejections
-// (e.g. rejection refunds the balance).
-// Admin only.
+// Move a transaction through its lifecycle (see _transactions.js for the
+// transition table). Illegal moves are rejected; every change is recorded in
+// transaction_status_history with the admin who made it.
+//   withdrawal → rejected / failed   reverses its journal entry (refund, once)
+//   deposit    → failed              reverses the credit
+//   any        → completed           moves the amount out of platform:suspense
+//                                    and onto the hot wallet (see _ledger.js)
+// Admin only — requires transactions:write (finance, superadmin).
+//
+// GET  /.netlify/functions/admin-transaction-update?transactionId=<uuid>
+//   → { ok, transaction: { id, type, status, … }, next_statuses: [...], history: [...] }
 //
 // POST /.netlify/functions/admin-transaction-update
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
 // Body: { transactionId, status, notes }
-//   status: 'completed' | 'processing' | 'failed' | 'cancelled'
+//   status: one of next_statuses for the transaction
+//   409 if the transaction changed status while the request was in flight
 
-const { supabase, auditLog, ok, badReq, serverErr } = require('./_db');
-const { requireAdmin } = require('./_admin-guard');
-const notify           = require('./_notify');
+const { supabase, auditLog, json, ok, badReq, serverErr, UUID_RE } = require('./_db');
+const { requirePermission } = require('./_admin-guard');
+const notify                = require('./_notify');
+const ledger                = require('./_ledger');
+const lifecycle             = require('./_transactions');
+const { idempotent }        = require('./_idempotency');
 
-const ALLOWED_STATUSES = new Set(['completed','processing','failed','cancelled']);
+exports.handler = requirePermission('transactions:write', idempotent('admin-transaction-update', async (event, session) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
 
-exports.handler = requireAdmin(async (event, session) => {
-  if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+  if (event.httpMethod === 'GET') {
+    const { transactionId } = event.queryStringParameters || {};
+    if (!UUID_RE.test(transactionId || '')) return badReq('transactionId is required');
+    const txRows = await supabase.get(
+      '/rest/v1/transactions',
+      `id=eq.${transactionId}&select=id,user_id,type,asset,amount,fee_amount,status,created_at,updated_at`
+    );
+    if (!txRows.length) return badReq('Transaction not found');
+    return ok({
+      transaction:   txRows[0],
+      next_statuses: lifecycle.nextStatuses(txRows[0]),
+      history:       await lifecycle.history(transactionId),
+    });
+  }
 
   let body;
   try { body = JSON.parse(event.body || '{}'); }
@@ -22,8 +50,10 @@ exports.handler = requireAdmin(async (event, session) => {
 
   const { transactionId, status, notes } = body;
 
-  if (!transactionId)              return badReq('transactionId is required');
-  if (!ALLOWED_STATUSES.has(status)) return badReq(`Invalid status: ${status}. Must be one of: ${[...ALLOWED_STATUSES].join(', ')}`);
+  if (!UUID_RE.test(transactionId || '')) return badReq('transactionId is required');
+  if (!lifecycle.ALL_STATUSES.includes(status)) {
+    return badReq(`Invalid status: ${status}. Must be one of: ${lifecycle.ALL_STATUSES.join(', ')}`);
+  }
 
   // Fetch the transaction + user
   const txRows = await supabase.get(
@@ -35,33 +65,49 @@ exports.handler = requireAdmin(async (event, session) => {
 
   const prevStatus = tx.status;
   if (prevStatus === status) return badReq(`Transaction is already ${status}`);
+  if (!lifecycle.canTransition(tx, status)) {
+    const next = lifecycle.nextStatuses(tx);
+    return badReq(
+      `Cannot move a ${prevStatus} ${tx.type} to ${status}. ` +
+      (next.length ? `Allowed: ${next.join(', ')}` : `${prevStatus} is final`)
+    );
+  }
 
-  // If a withdrawal is being failed/cancelled → refund the balance
-  // (the balance was already debited when the withdrawal was created)
-  if (tx.type === 'withdrawal' && (status === 'failed' || status === 'cancelled') &&
-      prevStatus !== 'failed' && prevStatus !== 'cancelled') {
-    try {
-      await supabase.rpc('upsert_balance', {
-        p_user_id: tx.user_id,
-        p_asset:   tx.asset,
-        p_delta:   parseFloat(tx.amount) + (parseFloat(tx.fee_amount) || 0),
-      });
-    } catch (err) {
-      console.error('Refund failed:', err);
-      // Continue — log it but don't block status update
-    }
+  // Claim the transition first (conditional on the status we read), so two
+  // admins racing can't both act on the same transaction
+  const actor = `admin:${session.email}`;
+  const moved = await lifecycle.transition({ tx, status, actor, notes });
+  if (!moved) {
+    return json(409, { ok: false, error: 'Transaction was updated by someone else — reload and try again' });
   }
 
-  // Update transaction
-  await supabase.patch(
-    '/rest/v1/transactions',
-    `id=eq.${transactionId}`,
-    {
-      status,
-      notes:      notes ? `${tx.notes || ''}\n[ADMIN ${new Date().toISOString()}] ${notes}`.trim() : tx.notes,
-      updated_at: new Date().toISOString(),
+  // Money moves for the new status. If the journal refuses, put the status back.
+  const reverses = tx.type === 'withdrawal' ? lifecycle.REFUND_STATUSES.has(status) : status === 'failed';
+  let refunded = false;
+  try {
+    if (reverses) {
+      await reverseTransaction(tx, actor).catch(err => {
+        if (!ledger.isAlreadyPosted(err)) throw err;
+      });
+      refunded = true;
+    } else if (status === 'completed') {
+      await settle(tx, actor).catch(err => {
+        if (!ledger.isAlreadyPosted(err)) throw err;
+      });
     }
-  );
+  } catch (err) {
+    console.error('Journal posting failed — reverting status:', err);
+    await lifecycle.transition({
+      tx:     moved,
+      status: prevStatus,
+      actor:  'system',
+      notes:  `Reverted: journal posting for ${status} failed (${err.message})`,
+    });
+    if (err.message.includes('Insufficient balance')) {
+      return badReq('The user no longer holds enough of this asset to reverse the credit — adjust the balance first');
+    }
+    return serverErr(err.message);
+  }
 
   // Fetch user for notification
   const userRows = await supabase.get('/rest/v1/users', `id=eq.${tx.user_id}&select=email,name`);
@@ -80,7 +126,7 @@ exports.handler = requireAdmin(async (event, session) => {
       asset:          tx.asset,
       amount:         tx.amount,
       notes,
-      refunded:       tx.type === 'withdrawal' && (status === 'failed' || status === 'cancelled'),
+      refunded,
     },
     event,
   });
@@ -106,6 +152,54 @@ exports.handler = requireAdmin(async (event, session) => {
     transactionId,
     prev_status:    prevStatus,
     new_status:     status,
-    refunded:       tx.type === 'withdrawal' && (status === 'failed' || status === 'cancelled'),
+    refunded,
+  });
+}));
+
+// ── Journal postings ──────────────────────────────────────────────────────────
+
+// Undo the transaction's entry line for line: a withdrawal's amount + fee go
+// back to the user, a deposit's credit (amount less fee) comes back off. Transactions from
+// before the journal have no entry — their effect lives in the opening
+// balance, so the reversal goes against suspense.
+async function reverseTransaction(tx, createdBy) {
+  const as = tx.type === 'withdrawal' ? 'withdrawal_refund' : 'deposit_reversal';
+  const reversed = await ledger.reverse({ eventType: tx.type, reference: tx.id, as, createdBy });
+  if (reversed) return reversed;
+
+  const total = tx.type === 'withdrawal'
+    ? parseFloat(tx.amount) + (parseFloat(tx.fee_amount) || 0)
+    : -(parseFloat(tx.amount) - (parseFloat(tx.fee_amount) || 0));
+  return ledger.post({
+    eventType: as,
+    reference: tx.id,
+    memo:      `Reversal of pre-journal ${tx.type}`,
+    createdBy,
+    lines: [
+      { account: ledger.userAccount(tx.user_id), asset: tx.asset, amount: total },
+      { account: ledger.SUSPENSE_ACCOUNT,        asset: tx.asset, amount: -total },
+    ],
+  });
+}
+
+// Move the amount a deposit/withdrawal parked in suspense onto the hot wallet.
+// Only transactions whose original entry went through suspense need this —
+// Coinbase deposits and admin adjustments post their final entry up front.
+async function settle(tx, createdBy) {
+  if (tx.type !== 'deposit' && tx.type !== 'withdrawal') return null;
+
+  const entry = await ledger.getEntry(tx.type, tx.id);
+  const parked = entry?.journal_lines.find(l => l.account === ledger.SUSPENSE_ACCOUNT);
+  if (!parked) return null;
+
+  const amount = Number(parked.amount);
+  return ledger.post({
+    eventType: `${tx.type}_settled`,
+    reference: tx.id,
+    createdBy,
+    lines: [
+      { account: ledger.SUSPENSE_ACCOUNT,   asset: tx.asset, amount: -amount },
+      { account: ledger.HOT_WALLET_ACCOUNT, asset: tx.asset, amount },
+    ],
   });
-});
+}
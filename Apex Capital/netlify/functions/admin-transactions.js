@@ -0,0 +1,90 @@
+// netlify/functions/admin-transactions.js
+// Transactions across all users, paged for the admin panel or exported as
+// CSV / OFX (see _export.js). Admin only — requires transactions:read (any
+// admin role). Exports are audited.
+//
+// GET /.netlify/functions/admin-transactions
+// Query params:
+//   page=1, limit=20 (max 100)
+//   type, asset, status, from, to, tz   as in ledger-transaction-history
+//   userId=<uuid>                       one user's transactions
+//   search=text                         users whose email or name contains text
+//   format=csv | ofx, columns=…         export every match instead of a page;
+//                                       CSV columns may include user_id, user_email
+//
+// Response (JSON):
+// { ok, transactions: [ { …transactions row, user: { email, name } } ], pagination }
+
+const { supabase, auditLog, ok, badReq, UUID_RE } = require('./_db');
+const { requirePermission } = require('./_admin-guard');
+const { parseFilters, parseExport, fetchAll, exportResponse } = require('./_export');
+
+exports.handler = requirePermission('transactions:read', async (event, session) => {
+  if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const q = event.queryStringParameters || {};
+  const filters = parseFilters(q);
+  if (filters.error) return badReq(filters.error);
+  const exportOpts = parseExport(q, { admin: true });
+  if (exportOpts?.error) return badReq(exportOpts.error);
+  if (q.userId && !UUID_RE.test(q.userId)) return badReq('userId must be a user id');
+
+  const search = q.search?.trim() || '';
+
+  // Searching on the user needs an inner join so non-matching rows drop out
+  let filter = filters.filter;
+  if (q.userId) filter += `&user_id=eq.${q.userId}`;
+  if (search)   filter += `&users.or=(email.ilike.*${encodeURIComponent(search)}*,name.ilike.*${encodeURIComponent(search)}*)`;
+  const select = search ? '*,users!inner(email,name)' : '*,users(email,name)';
+
+  if (exportOpts) {
+    const { rows, error } = await fetchAll(filter, select);
+    if (error) return badReq(error);
+    await auditLog({
+      userId: null,
+      action: 'admin_transactions_exported',
+      meta: {
+        admin_email:    session.email,
+        format:         exportOpts.format,
+        rows:           rows.length,
+        target_user_id: q.userId || null,
+        filters:        { type: q.type || null, asset: q.asset || null, status: q.status || null, search: search || null, from: filters.from, to: filters.to },
+      },
+      event,
+    });
+    return exportResponse({ ...exportOpts, rows, tz: filters.tz, from: filters.from, to: filters.to, name: 'all-transactions' });
+  }
+
+  const page  = Math.max(1, parseInt(q.page  || '1'));
+  const limit = Math.min(100, Math.max(1, parseInt(q.limit || '20')));
+  const from  = (page - 1) * limit;
+  const to    = from + limit - 1;
+
+  const res = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/transactions?${filter.replace(/^&/, '')}&select=${select}&order=created_at.desc`,
+    {
+      headers: {
+        'apikey':        process.env.SUPABASE_SERVICE_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY}`,
+        'Range':         `${from}-${to}`,
+        'Range-Unit':    'items',
+        'Prefer':        'count=exact',
+      },
+    }
+  );
+  const rows = await res.json();
+  if (!res.ok) throw new Error(rows.message || `Supabase error ${res.status}`);
+  const total = parseInt((res.headers.get('content-range') || '').split('/')[1]) || rows.length;
+
+  return ok({
+    transactions: rows.map(({ users, ...tx }) => ({ ...tx, user: users || null })),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+      has_next:    page * limit < total,
+      has_prev:    page > 1,
+    },
+  });
+});
@@ -0,0 +1,72 @@
+// netlify/functions/admin-user-sessions.js
+// List or kill every active session for a user (e.g. after a suspected
+// account compromise). Killing also revokes the user's API keys — a stolen
+// key would otherwise keep working after every session is gone. Admin only —
+// listing requires users:read, revoking requires sessions:revoke.
+//
+// GET  /.netlify/functions/admin-user-sessions?userId=<uuid>
+// POST /.netlify/functions/admin-user-sessions
+// Body: { userId, reason }
+//   → { ok, revoked, api_keys_revoked, userId, email }
+
+const { supabase, revokeSessions, auditLog, ok, badReq, UUID_RE } = require('./_db');
+const { requirePermission, hasPermission, forbidden } = require('./_admin-guard');
+
+exports.handler = requirePermission('users:read', async (event, session) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  let body = {};
+  if (event.httpMethod === 'POST') {
+    try { body = JSON.parse(event.body || '{}'); }
+    catch { return badReq('Invalid JSON'); }
+  }
+
+  const userId = event.httpMethod === 'GET'
+    ? event.queryStringParameters?.userId
+    : body.userId;
+  if (!UUID_RE.test(userId || '')) return badReq('userId is required');
+
+  const users = await supabase.get('/rest/v1/users', `id=eq.${userId}&select=id,auth0_sub,email`);
+  if (!users.length) return badReq('User not found');
+  const user = users[0];
+
+  if (event.httpMethod === 'GET') {
+    const sessions = await supabase.get(
+      '/rest/v1/sessions',
+      `auth0_sub=eq.${encodeURIComponent(user.auth0_sub)}&revoked_at=is.null` +
+      `&expires_at=gt.${new Date().toISOString()}` +
+      `&select=id,ip_address,user_agent,created_at,expires_at&order=created_at.desc`
+    );
+    return ok({ userId, email: user.email, sessions });
+  }
+
+  if (!hasPermission(session, 'sessions:revoke')) return forbidden('sessions:revoke');
+
+  const { reason } = body;
+  if (!reason?.trim()) return badReq('reason is required for audit trail');
+
+  const revoked = await revokeSessions({ sub: user.auth0_sub, reason: `admin: ${reason}` });
+  const keys    = await supabase.patch(
+    '/rest/v1/api_keys',
+    `user_id=eq.${userId}&revoked_at=is.null`,
+    { revoked_at: new Date().toISOString() }
+  );
+
+  await auditLog({
+    userId: null,
+    action: 'admin_sessions_revoked',
+    meta: {
+      admin_email:    session.email,
+      target_user_id: userId,
+      target_email:   user.email,
+      session_ids:    revoked.map(r => r.id),
+      api_key_ids:    keys.map(k => k.id),
+      reason,
+    },
+    event,
+  });
+
+  return ok({ revoked: revoked.length, api_keys_revoked: keys.length, userId, email: user.email });
+});
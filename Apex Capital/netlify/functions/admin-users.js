@@ -1,14 +1,16 @@
 // netlify/functions/admin-users.js
 // GET all users with their total USD balance and KYC status.
-// Admin only.
+// Admin only — requires users:read (any admin role).
 //
 // GET /.netlify/functions/admin-users
 // Query params: page=1, limit=20, search=email_or_name, kyc_status=pending|verified|rejected
 
-const { supabase, ok, serverErr } = require('./_db');
-const { requireAdmin }            = require('./_admin-guard');
+const { supabase, ok, serverErr }         = require('./_db');
+const { requirePermission }               = require('./_admin-guard');
+const { getPrices }                       = require('./_prices');
+const { holdingsFor, valueAllocations }   = require('./_strategies');
 
-exports.handler = requireAdmin(async (event) => {
+exports.handler = requirePermission('users:read', async (event) => {
   const q      = event.queryStringParameters || {};
   const page   = Math.max(1, parseInt(q.page  || '1'));
   const limit  = Math.min(100, parseInt(q.limit || '20'));
@@ -18,7 +20,7 @@ exports.handler = requireAdmin(async (event) => {
   const kycFilter = q.kyc_status || '';
 
   // Build filter
-  let filter = 'select=id,auth0_sub,email,name,picture_url,kyc_status,created_at&order=created_at.desc';
+  let filter = 'select=id,auth0_sub,email,name,picture_url,kyc_status,fee_tier,created_at&order=created_at.desc';
   if (kycFilter) filter += `&kyc_status=eq.${encodeURIComponent(kycFilter)}`;
   if (search)    filter += `&or=(email.ilike.*${encodeURIComponent(search)}*,name.ilike.*${encodeURIComponent(search)}*)`;
 
@@ -49,17 +51,19 @@ exports.handler = requireAdmin(async (event) => {
     );
 
     // Fetch live prices once
-    let prices = { USD:1, USDT:1, USDC:1 };
-    try {
-      const pr = await fetch(`${process.env.URL}/.netlify/functions/crypto-prices`);
-      const pj = await pr.json();
-      if (pj.ok) pj.data.forEach(c => { prices[c.sym] = c.priceRaw; });
-    } catch {}
+    const prices = await getPrices();
 
     balRows.forEach(b => {
       if (!balanceMap[b.user_id]) balanceMap[b.user_id] = 0;
       balanceMap[b.user_id] += parseFloat(b.amount) * (prices[b.asset] || 0);
     });
+
+    // Funds allocated to strategies aren't in balances
+    const held = await holdingsFor(userIds);
+    for (const [userId, strategies] of Object.entries(held)) {
+      const invested = valueAllocations(strategies, prices).reduce((s, a) => s + a.usd_value, 0);
+      balanceMap[userId] = (balanceMap[userId] || 0) + invested;
+    }
   }
 
   const enriched = users.map(u => ({
@@ -0,0 +1,126 @@
+// netlify/functions/admin-withdrawal-limits.js
+// View or override a user's rolling withdrawal limits (see _limits.js).
+// Viewing requires users:read; changing requires limits:write (compliance,
+// finance, superadmin). Every change is audited with the admin's reason.
+//
+// GET  /.netlify/functions/admin-withdrawal-limits?userId=<uuid>
+//   → { ok, limits, usage, remaining, defaults, kyc_status }
+//
+// POST /.netlify/functions/admin-withdrawal-limits
+// Body:
+//   { userId, daily_usd, monthly_usd, over_limit_action, reason }
+//       daily_usd / monthly_usd: number ≥ 0, or null for the KYC default
+//       over_limit_action: 'reject' | 'review' | null (platform default)
+//   { userId, clear: true, reason }   — back to the KYC defaults
+
+const { supabase, auditLog, ok, badReq, UUID_RE } = require('./_db');
+const { requirePermission } = require('./_admin-guard');
+const { DEFAULT_LIMITS, OVER_LIMIT_ACTIONS, getHeadroom } = require('./_limits');
+
+const MAX_LIMIT_USD = 1e12;
+
+const summary = ({ daily_usd, monthly_usd, over_limit_action, source }) =>
+  ({ daily_usd, monthly_usd, over_limit_action, source });
+
+async function loadUser(userId) {
+  const users = await supabase.get('/rest/v1/users', `id=eq.${userId}&select=id,email,kyc_status`);
+  return users[0] || null;
+}
+
+const viewLimits = requirePermission('users:read', async (event) => {
+  const { userId } = event.queryStringParameters || {};
+  if (!UUID_RE.test(userId || '')) return badReq('userId is required');
+
+  const user = await loadUser(userId);
+  if (!user) return badReq('User not found');
+
+  const { limits, usage, remaining } = await getHeadroom(userId, user.kyc_status);
+  return ok({
+    limits,
+    usage,
+    remaining,
+    defaults:   DEFAULT_LIMITS[user.kyc_status] || DEFAULT_LIMITS.pending,
+    kyc_status: user.kyc_status,
+  });
+});
+
+const setLimits = requirePermission('limits:write', async (event, session) => {
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  const { userId, clear = false } = body;
+  const reason = body.reason?.trim();
+
+  if (!UUID_RE.test(userId || '')) return badReq('userId is required');
+  if (!reason)                     return badReq('reason is required for audit trail');
+
+  const amount = (v, name) => {
+    if (v === null || v === undefined || v === '') return { value: null };
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_LIMIT_USD) return { error: `${name} must be a non-negative number or null` };
+    return { value: parseFloat(n.toFixed(2)) };
+  };
+  const daily   = amount(body.daily_usd,   'daily_usd');
+  const monthly = amount(body.monthly_usd, 'monthly_usd');
+  const action  = body.over_limit_action || null;
+
+  if (!clear) {
+    if (daily.error)   return badReq(daily.error);
+    if (monthly.error) return badReq(monthly.error);
+    if (action && !OVER_LIMIT_ACTIONS.includes(action)) {
+      return badReq(`over_limit_action must be one of: ${OVER_LIMIT_ACTIONS.join(', ')}`);
+    }
+    if (daily.value != null && monthly.value != null && daily.value > monthly.value) {
+      return badReq('daily_usd cannot be more than monthly_usd');
+    }
+  }
+
+  const user = await loadUser(userId);
+  if (!user) return badReq('User not found');
+
+  const before = await getHeadroom(userId, user.kyc_status);
+
+  if (clear) {
+    await supabase.delete('/rest/v1/withdrawal_limits', `user_id=eq.${userId}`);
+  } else {
+    await supabase('/rest/v1/withdrawal_limits?on_conflict=user_id', {
+      method:  'POST',
+      headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+      body:    JSON.stringify({
+        user_id:           userId,
+        daily_usd:         daily.value,
+        monthly_usd:       monthly.value,
+        over_limit_action: action,
+        reason,
+        set_by:            session.email,
+        updated_at:        new Date().toISOString(),
+      }),
+    });
+  }
+
+  const after = await getHeadroom(userId, user.kyc_status);
+
+  await auditLog({
+    userId: null,
+    action: 'admin_withdrawal_limits_update',
+    meta: {
+      admin_email:    session.email,
+      target_user_id: userId,
+      target_email:   user.email,
+      cleared:        !!clear,
+      prev_limits:    summary(before.limits),
+      new_limits:     summary(after.limits),
+      reason,
+    },
+    event,
+  });
+
+  return ok({ limits: after.limits, usage: after.usage, remaining: after.remaining });
+});
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'GET')  return viewLimits(event);
+  if (event.httpMethod === 'POST') return setLimits(event);
+  return { statusCode: 405, body: 'Method Not Allowed' };
+};
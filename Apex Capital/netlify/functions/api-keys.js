@@ -0,0 +1,124 @@
+// netlify/functions/api-keys.js
+// Create, list and revoke personal API keys for read-only scripted access to
+// ledger-balance and ledger-transaction-history. Keys are stored hashed and
+// shown once, at creation.
+//
+// GET  /.netlify/functions/api-keys
+//   → { ok, scopes, keys: [ { id, name, prefix, scopes, created_at, expires_at, last_used_at } ] }
+//
+// POST /.netlify/functions/api-keys
+// Auth: apex_session cookie required (keys can't manage keys)
+// Body (JSON):
+//   { action: 'create', name, scopes: ['balances:read', 'history:read'], expires_in_days? }
+//       → { key, id, prefix }                (needs a fresh code if 2FA is enabled)
+//   { action: 'revoke', keyId }
+//
+// Usage: curl -H "Authorization: Bearer apx_…" https://…/.netlify/functions/ledger-balance
+
+const crypto = require('crypto');
+const {
+  supabase, getSession, auditLog, ok, created, badReq, unauth, serverErr, UUID_RE,
+  hashApiKey, API_KEY_PREFIX, API_KEY_SCOPES,
+} = require('./_db');
+const { requireFreshMfa } = require('./_mfa');
+
+const MAX_KEYS_PER_USER = 10;
+const MAX_EXPIRY_DAYS   = 365;
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id`
+    );
+    if (!users.length) return unauth();
+    const userId = users[0].id;
+
+    if (event.httpMethod === 'GET') {
+      const keys = await supabase.get(
+        '/rest/v1/api_keys',
+        `user_id=eq.${userId}&revoked_at=is.null` +
+        '&select=id,name,prefix,scopes,created_at,expires_at,last_used_at&order=created_at.desc'
+      );
+      return ok({ scopes: API_KEY_SCOPES, keys });
+    }
+
+    let body;
+    try { body = JSON.parse(event.body || '{}'); }
+    catch { return badReq('Invalid JSON'); }
+
+    const { action } = body;
+
+    if (action === 'revoke') {
+      if (!UUID_RE.test(body.keyId || '')) return badReq('keyId is required');
+      const revoked = await supabase.patch(
+        '/rest/v1/api_keys',
+        `id=eq.${body.keyId}&user_id=eq.${userId}&revoked_at=is.null`,
+        { revoked_at: new Date().toISOString() }
+      );
+      if (!revoked.length) return badReq('API key not found');
+      await auditLog({
+        userId,
+        action: 'api_key_revoked',
+        meta:   { key_id: body.keyId, key_name: revoked[0].name },
+        event,
+      });
+      return ok({ revoked: body.keyId });
+    }
+
+    if (action !== 'create') return badReq(`Invalid action: ${action}`);
+
+    const name   = String(body.name || '').trim();
+    const scopes = [...new Set(body.scopes || [])];
+    const days   = body.expires_in_days != null ? parseInt(body.expires_in_days) : null;
+
+    if (!name || name.length > 60)                      return badReq('name is required (max 60 characters)');
+    if (!scopes.length)                                 return badReq('Choose at least one scope');
+    const badScope = scopes.find(s => !API_KEY_SCOPES.includes(s));
+    if (badScope)                                       return badReq(`Unknown scope: ${badScope}`);
+    if (days !== null && !(days >= 1 && days <= MAX_EXPIRY_DAYS)) {
+      return badReq(`expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+
+    const mfaErr = await requireFreshMfa(session);
+    if (mfaErr) return mfaErr;
+
+    const active = await supabase.get('/rest/v1/api_keys', `user_id=eq.${userId}&revoked_at=is.null&select=id`);
+    if (active.length >= MAX_KEYS_PER_USER) {
+      return badReq(`You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`);
+    }
+
+    const key    = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const prefix = key.slice(0, API_KEY_PREFIX.length + 6);
+
+    const [row] = await supabase.post('/rest/v1/api_keys', {
+      user_id:    userId,
+      auth0_sub:  session.sub,
+      name,
+      prefix,
+      key_hash:   hashApiKey(key),
+      scopes,
+      created_at: new Date().toISOString(),
+      expires_at: days ? new Date(Date.now() + days * 86400 * 1000).toISOString() : null,
+    });
+
+    await auditLog({
+      userId,
+      action: 'api_key_created',
+      meta:   { key_id: row.id, key_name: name, scopes, expires_at: row.expires_at },
+      event,
+    });
+
+    return created({ id: row.id, prefix, key });
+  } catch (err) {
+    console.error('api-keys error:', err);
+    return serverErr(err.message);
+  }
+};
@@ -1,27 +1,43 @@
 // netlify/functions/auth-callback.js
 // Handles the Auth0 redirect after login.
-// Exchanges the authorization code for tokens, sets a secure HttpOnly
-// session cookie, detects admin role, and routes accordingly.
+// Checks `state` against the signed apex_oauth cookie set by auth-login.js,
+// exchanges the authorization code (with the PKCE verifier) for tokens,
+// checks the ID token nonce, remembers the device (emailing the user only for
+// a new device or location), records the session in the `sessions` registry,
+// sets a secure HttpOnly session cookie, detects admin role, and routes
+// accordingly.
 
-const crypto   = require('crypto');
-const { supabase } = require('./_db');
+const {
+  supabase, createSession, parseCookie, signPayload, verifyPayload, safeEqual, sessionCookie, csrfCookie,
+  SESSION_TTL_SECONDS, SESSION_MAX_SECONDS,
+} = require('./_db');
 const notify       = require('./_notify');
+const { adminRoles } = require('./_admin-guard');
+const { recordDevice } = require('./_device');
 
 const {
   AUTH0_DOMAIN,
   AUTH0_CLIENT_ID,
   AUTH0_CLIENT_SECRET,
-  AUTH0_COOKIE_SECRET,
   URL: SITE_URL,
 } = process.env;
 
-const COOKIE_NAME     = 'apex_session';
-const MAX_AGE_SECONDS = 60 * 60 * 8; // 8 hours
+const OAUTH_COOKIE    = 'apex_oauth';
 const ROLES_CLAIM     = 'https://apexcapital.com/roles';
 
+// Always expire the one-time OAuth cookie, whatever the outcome
+const CLEAR_OAUTH_COOKIE = [
+  `${OAUTH_COOKIE}=`,
+  'Max-Age=0',
+  'Path=/.netlify/functions/auth-callback',
+  'HttpOnly',
+  'SameSite=Lax',
+  'Secure',
+].join('; ');
+
 exports.handler = async (event) => {
   const params = event.queryStringParameters || {};
-  const { code, error, error_description } = params;
+  const { code, state, error, error_description } = params;
 
   if (error) {
     console.error('Auth0 error:', error, error_description);
@@ -29,6 +45,18 @@ exports.handler = async (event) => {
   }
   if (!code) return redirect('/?auth_error=missing_code');
 
+  // 0. Login-CSRF / code-injection guard: the callback must answer a login
+  //    this browser started via auth-login.js
+  const oauthToken = parseCookie(event, OAUTH_COOKIE);
+  const oauth      = oauthToken ? verifyPayload(oauthToken) : null;
+  if (!oauth || !oauth.exp || Date.now() / 1000 > oauth.exp) {
+    return redirect('/?auth_error=login_expired');
+  }
+  if (!state || !safeEqual(state, oauth.state)) {
+    console.warn('auth-callback: state mismatch');
+    return redirect('/?auth_error=invalid_state');
+  }
+
   const ip        = event.headers['x-forwarded-for']?.split(',')[0]?.trim() || 'unknown';
   const userAgent = event.headers['user-agent'] || 'unknown';
 
@@ -42,6 +70,7 @@ exports.handler = async (event) => {
         client_id:     AUTH0_CLIENT_ID,
         client_secret: AUTH0_CLIENT_SECRET,
         code,
+        code_verifier: oauth.verifier,
         redirect_uri:  `${SITE_URL}/.netlify/functions/auth-callback`,
       }),
     });
@@ -51,7 +80,19 @@ exports.handler = async (event) => {
       return redirect('/?auth_error=token_exchange_failed');
     }
 
-    const { access_token } = await tokenRes.json();
+    const { access_token, id_token } = await tokenRes.json();
+
+    // 1b. The ID token must carry the nonce we issued. It came straight from
+    //     Auth0's token endpoint over TLS, so its claims can be trusted without
+    //     re-verifying the JWS signature (OIDC Core §3.1.3.7).
+    const claims = decodeJwt(id_token);
+    if (!claims
+        || !safeEqual(String(claims.nonce || ''), oauth.nonce)
+        || claims.iss !== `https://${AUTH0_DOMAIN}/`
+        || ![].concat(claims.aud).includes(AUTH0_CLIENT_ID)) {
+      console.warn('auth-callback: ID token nonce/issuer/audience mismatch');
+      return redirect('/?auth_error=invalid_nonce');
+    }
 
     // 2. Fetch Auth0 user profile (includes custom claims if action is configured)
     const userRes = await fetch(`https://${AUTH0_DOMAIN}/userinfo`, {
@@ -74,9 +115,10 @@ exports.handler = async (event) => {
     //      api.accessToken.setCustomClaim(ns, event.authorization?.roles || []);
     //    };
     //
-    //    → User Management → Roles → Create "admin" role → assign to your account.
-    const roles   = user[ROLES_CLAIM] || [];
-    const isAdmin = roles.includes('admin');
+    //    → User Management → Roles → Create the staff roles (support, compliance,
+    //      finance, superadmin — see _admin-guard.js) and assign them.
+    const roles   = adminRoles(user[ROLES_CLAIM]);
+    const isAdmin = roles.length > 0;
 
     // 4. Detect new signup vs returning login
     let isNewUser = false;
@@ -88,43 +130,63 @@ exports.handler = async (event) => {
       isNewUser = existing.length === 0;
     } catch { /* safe default: assume returning */ }
 
-    // 5. Fire notifications (non-blocking)
+    // 5. Remember the device; alert only when an existing user signs in from
+    //    a device or location we haven't seen (never blocks the login)
+    let device = null;
+    try {
+      device = await recordDevice({ sub, event });
+    } catch (err) {
+      console.error('recordDevice error:', err.message);
+    }
+
+    // 6. Fire notifications (non-blocking)
     if (isNewUser) {
       notify.newSignup({ name, email, sub, ip, userAgent })
         .catch(err => console.error('notify.newSignup error:', err));
-    } else {
-      notify.loginDetected({ name, email, ip, userAgent })
-        .catch(err => console.error('notify.loginDetected error:', err));
+    } else if (device?.isNew && !device.firstEver) {
+      notify.newDeviceLogin({
+        name, email, ip,
+        device:      device.device.label,
+        location:    device.device.location_label,
+        newDevice:   device.newDevice,
+        newLocation: device.newLocation,
+      }).catch(err => console.error('notify.newDeviceLogin error:', err));
     }
 
-    // 6. Build signed session — isAdmin baked in server-side
+    // 7. Register the session server-side so it can be revoked before expiry.
+    //    The row carries the absolute lifetime; the cookie is shorter and is
+    //    slid forward by auth-refresh.js while the user is active.
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + SESSION_TTL_SECONDS;
+    const sid = await createSession({ sub, expiresAt: new Date((iat + SESSION_MAX_SECONDS) * 1000), event });
+
+    // 8. Build signed session — admin roles baked in server-side
     const payload = {
       sub,
       email,
       name,
       picture: user.picture || null,
       isAdmin,
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + MAX_AGE_SECONDS,
+      roles,
+      sid,
+      iat,
+      exp,
     };
 
-    const sessionValue = signPayload(payload, AUTH0_COOKIE_SECRET);
+    const sessionValue = signPayload(payload);
 
-    // 7. Admins → /admin.html, users → /dashboard.html
+    // 9. Admins → /admin.html, users → /dashboard.html
     const destination = isAdmin ? '/admin.html' : '/dashboard.html';
 
     return {
       statusCode: 302,
-      headers: {
-        Location: destination,
+      headers: { Location: destination },
+      multiValueHeaders: {
         'Set-Cookie': [
-          `${COOKIE_NAME}=${sessionValue}`,
-          `Max-Age=${MAX_AGE_SECONDS}`,
-          'Path=/',
-          'HttpOnly',
-          'SameSite=Lax',
-          'Secure',
-        ].join('; '),
+          sessionCookie(sessionValue, SESSION_TTL_SECONDS),
+          csrfCookie(sid, SESSION_TTL_SECONDS),
+          CLEAR_OAUTH_COOKIE,
+        ],
       },
       body: '',
     };
@@ -135,11 +197,17 @@ exports.handler = async (event) => {
 };
 
 function redirect(location) {
-  return { statusCode: 302, headers: { Location: location }, body: '' };
+  return {
+    statusCode: 302,
+    headers: { Location: location, 'Set-Cookie': CLEAR_OAUTH_COOKIE },
+    body: '',
+  };
 }
 
-function signPayload(payload, secret) {
-  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
-  const sig  = crypto.createHmac('sha256', secret).update(data).digest('base64url');
-  return `${data}.${sig}`;
+function decodeJwt(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
 }
@@ -0,0 +1,75 @@
+// netlify/functions/auth-devices.js
+// Lists and forgets the devices the signed-in user has logged in from.
+// Forgetting a device means the next login from it sends a new-device email.
+//
+// GET  /.netlify/functions/auth-devices
+//   → { ok, devices: [ { id, label, location, location_label, last_ip, first_seen_at, last_seen_at, current } ] }
+//
+// POST /.netlify/functions/auth-devices
+// Auth: apex_session cookie required
+// Body (JSON):
+//   { action: 'forget', deviceId }   forget one device
+//   { action: 'forget_all' }         forget every device
+
+const { supabase, getSession, auditLog, ok, badReq, unauth, serverErr, UUID_RE } = require('./_db');
+const { fingerprint, startTracking } = require('./_device');
+
+const ALLOWED_ACTIONS = new Set(['forget', 'forget_all']);
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  const sub = encodeURIComponent(session.sub);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const current = fingerprint(event).hash;
+      const rows = await supabase.get(
+        '/rest/v1/known_devices',
+        `auth0_sub=eq.${sub}` +
+        '&select=id,fingerprint,label,location,location_label,last_ip,first_seen_at,last_seen_at' +
+        '&order=last_seen_at.desc'
+      );
+      return ok({
+        devices: rows.map(({ fingerprint: fp, ...d }) => ({ ...d, current: fp === current })),
+      });
+    }
+
+    // ── POST: forget ──────────────────────────────────────────────────────────
+    let body;
+    try { body = JSON.parse(event.body || '{}'); }
+    catch { return badReq('Invalid JSON'); }
+
+    const { action, deviceId } = body;
+    if (!ALLOWED_ACTIONS.has(action)) return badReq(`Invalid action: ${action}`);
+    if (action === 'forget' && !UUID_RE.test(deviceId || '')) return badReq('deviceId is required');
+
+    const qs = action === 'forget'
+      ? `auth0_sub=eq.${sub}&id=eq.${deviceId}`
+      : `auth0_sub=eq.${sub}`;
+    // Forgotten devices must alert when they log in again, even with none left
+    await startTracking(session.sub);
+    const forgotten = await supabase.delete('/rest/v1/known_devices', qs);
+
+    const users = await supabase.get('/rest/v1/users', `auth0_sub=eq.${sub}&select=id`);
+    await auditLog({
+      userId: users[0]?.id || null,
+      action: 'devices_forgotten',
+      meta: {
+        mode:    action,
+        devices: forgotten.map(d => ({ id: d.id, label: d.label, location: d.location })),
+      },
+      event,
+    });
+
+    return ok({ forgotten: forgotten.length });
+  } catch (err) {
+    console.error('auth-devices error:', err);
+    return serverErr(err.message);
+  }
+};
@@ -0,0 +1,67 @@
+// netlify/functions/auth-login.js
+// Starts the Auth0 login flow. Generates `state`, `nonce` and a PKCE code
+// verifier, stores them in a short-lived signed cookie scoped to the callback,
+// and redirects to Auth0's /authorize endpoint. auth-callback.js checks the
+// returned state and the ID token nonce against this cookie before
+// exchanging the code.
+//
+// GET /.netlify/functions/auth-login               → sign in
+// GET /.netlify/functions/auth-login?screen_hint=signup  → create account
+//
+// Required env vars: AUTH0_DOMAIN, AUTH0_CLIENT_ID, SESSION_SIGNING_KEYS, URL
+
+const crypto = require('crypto');
+const { signPayload } = require('./_db');
+
+const { AUTH0_DOMAIN, AUTH0_CLIENT_ID, URL: SITE_URL } = process.env;
+
+const OAUTH_COOKIE        = 'apex_oauth';
+const OAUTH_MAX_AGE       = 60 * 10; // 10 minutes to complete the Auth0 login
+const ALLOWED_SCREEN_HINT = new Set(['signup']);
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const screenHint = event.queryStringParameters?.screen_hint;
+
+  const state    = crypto.randomBytes(24).toString('base64url');
+  const nonce    = crypto.randomBytes(24).toString('base64url');
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  const cookieValue = signPayload({
+    state,
+    nonce,
+    verifier,
+    exp: Math.floor(Date.now() / 1000) + OAUTH_MAX_AGE,
+  });
+
+  const params = new URLSearchParams({
+    response_type:         'code',
+    client_id:             AUTH0_CLIENT_ID,
+    redirect_uri:          `${SITE_URL}/.netlify/functions/auth-callback`,
+    scope:                 'openid profile email',
+    state,
+    nonce,
+    code_challenge:        challenge,
+    code_challenge_method: 'S256',
+    ...(ALLOWED_SCREEN_HINT.has(screenHint) && { screen_hint: screenHint }),
+  });
+
+  return {
+    statusCode: 302,
+    headers: {
+      Location: `https://${AUTH0_DOMAIN}/authorize?${params}`,
+      'Cache-Control': 'no-store',
+      'Set-Cookie': [
+        `${OAUTH_COOKIE}=${cookieValue}`,
+        `Max-Age=${OAUTH_MAX_AGE}`,
+        'Path=/.netlify/functions/auth-callback',
+        'HttpOnly',
+        'SameSite=Lax',
+        'Secure',
+      ].join('; '),
+    },
+    body: '',
+  };
+};
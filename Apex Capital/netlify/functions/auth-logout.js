@@ -1,13 +1,24 @@
 // netlify/functions/auth-logout.js
-// Clears the session cookie and redirects to Auth0's logout endpoint,
-// which then redirects back to the site homepage.
+// Revokes the current session in the `sessions` registry, clears the session
+// cookie and redirects to Auth0's logout endpoint, which then redirects back
+// to the site homepage.
 //
 // Required env vars: AUTH0_DOMAIN, AUTH0_CLIENT_ID, URL
 
+const { parseCookie, verifyPayload, revokeSessions, sessionCookie, csrfCookie, UUID_RE } = require('./_db');
+
 const { AUTH0_DOMAIN, AUTH0_CLIENT_ID, URL: SITE_URL } = process.env;
 const COOKIE_NAME = 'apex_session';
 
-exports.handler = async () => {
+exports.handler = async (event) => {
+  // Revoke server-side even if the cookie has already expired — never block logout
+  const token   = parseCookie(event, COOKIE_NAME);
+  const payload = token ? verifyPayload(token) : null;
+  if (payload?.sid && UUID_RE.test(payload.sid)) {
+    await revokeSessions({ sub: payload.sub, sessionId: payload.sid, reason: 'logout' })
+      .catch(err => console.error('auth-logout revoke error:', err.message));
+  }
+
   const returnTo = encodeURIComponent(SITE_URL || '/');
   const auth0Logout =
     `https://${AUTH0_DOMAIN}/v2/logout` +
@@ -16,17 +27,10 @@ exports.handler = async () => {
 
   return {
     statusCode: 302,
-    headers: {
-      Location: auth0Logout,
-      // Expire the cookie immediately
-      'Set-Cookie': [
-        `${COOKIE_NAME}=`,
-        'Max-Age=0',
-        'Path=/',
-        'HttpOnly',
-        'SameSite=Lax',
-        'Secure',
-      ].join('; '),
+    headers: { Location: auth0Logout },
+    // Expire the session and CSRF cookies immediately
+    multiValueHeaders: {
+      'Set-Cookie': [sessionCookie('', 0), csrfCookie(null, 0)],
     },
     body: '',
   };
@@ -0,0 +1,57 @@
+// netlify/functions/auth-refresh.js
+// Keeps an active session alive. The frontend calls this when the user has
+// interacted with the page; it records the activity (resetting the idle timer)
+// and re-issues the session cookie with a fresh expiry, capped at the
+// session's absolute lifetime.
+//
+// POST /.netlify/functions/auth-refresh
+// Auth: apex_session cookie required
+//   → { ok, idle_timeout_seconds, idle_expires_at, expires_at }
+//   401 once the session is idle, expired or revoked — the user must sign in again
+
+const {
+  supabase, getSession, signPayload, sessionCookie, csrfCookie, idleTimeoutSeconds,
+  SESSION_TTL_SECONDS, ok, unauth, serverErr,
+} = require('./_db');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  // Keep the admin's own session alive while they impersonate a user
+  const session = await getSession(event, { realPrincipal: true });
+  if (!session) return unauth();
+
+  // Strip the server-side state getSession adds — only the signed claims go back in the cookie
+  const { mfaVerifiedAt, lastSeenAt, sessionExpiresAt, ...claims } = session;
+
+  try {
+    const now = new Date();
+    const updated = await supabase.patch(
+      '/rest/v1/sessions',
+      `id=eq.${session.sid}&revoked_at=is.null`,
+      { last_seen_at: now.toISOString() }
+    );
+    if (!updated.length) return unauth();
+
+    const nowSec   = Math.floor(now.getTime() / 1000);
+    const hardExp  = Math.floor(new Date(sessionExpiresAt).getTime() / 1000);
+    const exp      = Math.min(nowSec + SESSION_TTL_SECONDS, hardExp);
+    const idleSecs = idleTimeoutSeconds(claims);
+
+    const response = ok({
+      idle_timeout_seconds: idleSecs,
+      idle_expires_at:      new Date(Math.min(now.getTime() + idleSecs * 1000, hardExp * 1000)).toISOString(),
+      expires_at:           new Date(hardExp * 1000).toISOString(),
+    });
+    response.multiValueHeaders = {
+      'Set-Cookie': [
+        sessionCookie(signPayload({ ...claims, exp }), exp - nowSec),
+        csrfCookie(session.sid, exp - nowSec),
+      ],
+    };
+    return response;
+  } catch (err) {
+    console.error('auth-refresh error:', err);
+    return serverErr(err.message);
+  }
+};
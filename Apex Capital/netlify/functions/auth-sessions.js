@@ -0,0 +1,85 @@
+// netlify/functions/auth-sessions.js
+// Lists and revokes the authenticated user's active sessions.
+//
+// GET  /.netlify/functions/auth-sessions
+//   → { ok, sessions: [ { id, ip_address, user_agent, created_at, last_seen_at, expires_at, current } ] }
+//
+// POST /.netlify/functions/auth-sessions
+// Auth: apex_session cookie required
+// Body (JSON):
+//   { action: 'revoke', sessionId }   sign out one session
+//   { action: 'revoke_others' }       sign out every session except this one
+//   { action: 'revoke_all' }          sign out everywhere, including this browser
+
+const {
+  supabase, getSession, revokeSessions, sessionCookie, csrfCookie,
+  auditLog, ok, badReq, unauth, serverErr, UUID_RE,
+} = require('./_db');
+
+const ALLOWED_ACTIONS = new Set(['revoke', 'revoke_others', 'revoke_all']);
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const rows = await supabase.get(
+        '/rest/v1/sessions',
+        `auth0_sub=eq.${encodeURIComponent(session.sub)}&revoked_at=is.null` +
+        `&expires_at=gt.${new Date().toISOString()}` +
+        `&select=id,ip_address,user_agent,created_at,last_seen_at,expires_at&order=created_at.desc`
+      );
+      return ok({
+        sessions: rows.map(r => ({ ...r, current: r.id === session.sid })),
+      });
+    }
+
+    // ── POST: revoke ──────────────────────────────────────────────────────────
+    let body;
+    try { body = JSON.parse(event.body || '{}'); }
+    catch { return badReq('Invalid JSON'); }
+
+    const { action, sessionId } = body;
+    if (!ALLOWED_ACTIONS.has(action)) return badReq(`Invalid action: ${action}`);
+    if (action === 'revoke' && !UUID_RE.test(sessionId || '')) return badReq('sessionId is required');
+
+    const revoked = await revokeSessions({
+      sub:       session.sub,
+      sessionId: action === 'revoke'        ? sessionId   : null,
+      exceptId:  action === 'revoke_others' ? session.sid : null,
+      reason:    `user_${action}`,
+    });
+
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id`
+    );
+    await auditLog({
+      userId: users[0]?.id || null,
+      action: 'sessions_revoked',
+      meta: {
+        mode:        action,
+        session_ids: revoked.map(r => r.id),
+        current:     session.sid,
+      },
+      event,
+    });
+
+    const signedOut = action === 'revoke_all' || (action === 'revoke' && sessionId === session.sid);
+    const response  = ok({ revoked: revoked.length, signed_out: signedOut });
+    if (signedOut) {
+      response.multiValueHeaders = {
+        'Set-Cookie': [sessionCookie('', 0), csrfCookie(null, 0)],
+      };
+    }
+    return response;
+  } catch (err) {
+    console.error('auth-sessions error:', err);
+    return serverErr(err.message);
+  }
+};
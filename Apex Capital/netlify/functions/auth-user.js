@@ -1,69 +1,32 @@
 // netlify/functions/auth-user.js
 // Called by the frontend to verify the session cookie and get user info.
-// Returns { ok: true, user: { email, name, picture, sub } }
-// or      { ok: false } with a 401 if the session is missing/invalid/expired.
+// Returns { ok: true, user: { email, name, picture, sub, isAdmin, roles, permissions } }
+// or      { ok: false } with a 401 if the session is missing/invalid/expired/revoked.
+// `permissions` is only used to hide UI — every admin endpoint re-checks it.
+// While an admin is impersonating, `user` is the target and `impersonation`
+// carries { admin_email, until } so the dashboard can show its read-only banner.
 
-const crypto = require('crypto');
-
-const { AUTH0_COOKIE_SECRET } = process.env;
-const COOKIE_NAME = 'apex_session';
+const { getSession, ok, unauth } = require('./_db');
+const { permissionsFor, rolesFor } = require('./_admin-guard');
 
 exports.handler = async (event) => {
-  const cookieHeader = event.headers['cookie'] || '';
-  const raw = parseCookie(cookieHeader, COOKIE_NAME);
-
-  if (!raw) return unauth();
-
-  const payload = verifyPayload(raw, AUTH0_COOKIE_SECRET);
+  const payload = await getSession(event);
   if (!payload) return unauth();
 
-  // Check expiry
-  if (payload.exp && Date.now() / 1000 > payload.exp) return unauth();
-
-  return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': 'no-store',
+  const permissions = permissionsFor(payload);
+
+  return ok({
+    user: {
+      sub:         payload.sub,
+      email:       payload.email,
+      name:        payload.name,
+      picture:     payload.picture,
+      isAdmin:     permissions.length > 0,
+      roles:       rolesFor(payload),
+      permissions,
     },
-    body: JSON.stringify({
-      ok: true,
-      user: {
-        sub:     payload.sub,
-        email:   payload.email,
-        name:    payload.name,
-        picture: payload.picture,
-      },
-    }),
-  };
+    impersonation: payload.impersonator
+      ? { admin_email: payload.impersonator.email, until: payload.impersonator.until }
+      : null,
+  });
 };
-
-// ── helpers ───────────────────────────────────────────────────────────────────
-
-function unauth() {
-  return {
-    statusCode: 401,
-    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
-    body: JSON.stringify({ ok: false }),
-  };
-}
-
-function parseCookie(header, name) {
-  const match = header.split(';').map(s => s.trim()).find(s => s.startsWith(name + '='));
-  return match ? match.slice(name.length + 1) : null;
-}
-
-function verifyPayload(token, secret) {
-  try {
-    const [data, sig] = token.split('.');
-    if (!data || !sig) return null;
-    const expected = crypto
-      .createHmac('sha256', secret)
-      .update(data)
-      .digest('base64url');
-    if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
-    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
-  } catch {
-    return null;
-  }
-}
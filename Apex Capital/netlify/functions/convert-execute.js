@@ -0,0 +1,170 @@
+// netlify/functions/convert-execute.js
+// Fills a quote from convert-quote at its locked rate: one journal entry
+// debits the `from` balance and credits the `to` balance against the
+// platform's conversion account (see _ledger.js), and a 'conversion'
+// transaction records both legs. Each quote can be executed once, before it
+// expires.
+//
+// POST /.netlify/functions/convert-execute
+// Auth: apex_session cookie required
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
+// Body (JSON): { quote_id: uuid }
+//   → { ok, transaction: { id, type, asset, amount, counter_asset, counter_amount,
+//                          rate, usd_value, fee_usd, status, created_at } }
+//
+// Requires (besides conversion_quotes, see convert-quote.js):
+//
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS counter_asset  TEXT;            -- conversion only
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS counter_amount NUMERIC(28, 8);  -- conversion only
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS quote_id       UUID REFERENCES conversion_quotes(id);
+
+const { supabase, getSession, auditLog, ok, unauth, badReq, json, serverErr, UUID_RE } = require('./_db');
+const ledger = require('./_ledger');
+const { recordTransition } = require('./_transactions');
+const { idempotent, requestId, recordedTransaction } = require('./_idempotency');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  return executeQuote(event, session);
+};
+
+const executeQuote = idempotent('convert-execute', async (event, session) => {
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  const { quote_id } = body;
+  if (!quote_id || !UUID_RE.test(quote_id)) return badReq('quote_id is required');
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,kyc_status`
+    );
+    if (!users.length) return unauth();
+    const { id: userId, kyc_status } = users[0];
+
+    if (kyc_status === 'rejected') return badReq('Account suspended. Contact support.');
+
+    // ── Retry of a request recorded before its response was lost ────────────
+    let tx = await recordedTransaction(event, userId);
+    let q, fromAmount, toAmount, usd_value, fee_usd;
+    if (tx) {
+      [q] = await supabase.get('/rest/v1/conversion_quotes', `id=eq.${tx.quote_id}&select=*`);
+      fromAmount = parseFloat(tx.amount);
+      toAmount   = parseFloat(tx.counter_amount);
+      usd_value  = parseFloat(tx.usd_value);
+      fee_usd    = parseFloat(tx.fee_usd) || 0;
+    } else {
+      // ── Claim the quote: unexecuted and unexpired, in one conditional update
+      const now     = new Date().toISOString();
+      const txId    = requestId(event);
+      const claimed = await supabase.patch(
+        '/rest/v1/conversion_quotes',
+        `id=eq.${quote_id}&user_id=eq.${userId}&executed_at=is.null&expires_at=gt.${encodeURIComponent(now)}`,
+        { executed_at: now }
+      );
+
+      if (!claimed.length) {
+        const [quote] = await supabase.get(
+          '/rest/v1/conversion_quotes',
+          `id=eq.${quote_id}&user_id=eq.${userId}&select=executed_at,expires_at`
+        );
+        if (!quote)            return badReq('Quote not found');
+        if (quote.executed_at) return json(409, { ok: false, error: 'Quote has already been executed' });
+        return json(410, { ok: false, error: 'Quote has expired. Request a new quote.' });
+      }
+      q = claimed[0];
+
+      fromAmount = parseFloat(q.from_amount);
+      toAmount   = parseFloat(q.to_amount);
+      usd_value  = parseFloat((fromAmount * parseFloat(q.from_usd_price)).toFixed(2));
+      fee_usd    = parseFloat(Math.max(0, usd_value - toAmount * parseFloat(q.to_usd_price)).toFixed(2));
+      tx = {
+        id:             txId,
+        user_id:        userId,
+        type:           'conversion',
+        asset:          q.from_asset,
+        amount:         fromAmount,
+        counter_asset:  q.to_asset,
+        counter_amount: toAmount,
+        quote_id:       q.id,
+        usd_value,
+        fee_usd:        fee_usd || null,
+        status:         'completed',
+        created_at:     now,
+        updated_at:     now,
+      };
+
+      // ── Journal entry: both legs against the platform's conversion book,
+      // posted with the transaction record
+      try {
+        await ledger.post({
+          eventType: 'conversion',
+          reference: txId,
+          memo:      `convert ${q.from_asset} → ${q.to_asset} (quote ${q.id})`,
+          createdBy: `user:${userId}`,
+          lines: [
+            { account: ledger.userAccount(userId), asset: q.from_asset, amount: -fromAmount },
+            { account: ledger.CONVERSION_ACCOUNT,  asset: q.from_asset, amount: fromAmount },
+            { account: ledger.CONVERSION_ACCOUNT,  asset: q.to_asset,   amount: -toAmount },
+            { account: ledger.userAccount(userId), asset: q.to_asset,   amount: toAmount },
+          ],
+          transactions: [tx],
+        });
+      } catch (err) {
+        // Refused, so nothing moved — release the quote so it can be retried
+        // while still valid. Any other error may have come after the posting
+        // committed, so the quote stays used; a retry with the same
+        // Idempotency-Key picks up the recorded transaction above.
+        if (!err.message.includes('Insufficient balance')) throw err;
+        await supabase.patch('/rest/v1/conversion_quotes', `id=eq.${q.id}`, { executed_at: null })
+          .catch(e => console.error('convert-execute: failed to release quote', q.id, e));
+        return badReq(`Insufficient ${q.from_asset} balance`);
+      }
+    }
+
+    await recordTransition({ transactionId: tx.id, to: 'completed', actor: `user:${userId}` });
+    await supabase.patch('/rest/v1/conversion_quotes', `id=eq.${q.id}`, { transaction_id: tx.id });
+
+    await auditLog({
+      userId,
+      action: 'conversion_executed',
+      meta: {
+        transaction_id: tx.id,
+        quote_id:       q.id,
+        from_asset:     q.from_asset,
+        from_amount:    fromAmount,
+        to_asset:       q.to_asset,
+        to_amount:      toAmount,
+        rate:           parseFloat(q.rate),
+        usd_value,
+        fee_usd,
+      },
+      event,
+    });
+
+    return ok({
+      transaction: {
+        id:             tx.id,
+        type:           'conversion',
+        asset:          q.from_asset,
+        amount:         fromAmount,
+        counter_asset:  q.to_asset,
+        counter_amount: toAmount,
+        rate:           parseFloat(q.rate),
+        usd_value,
+        fee_usd,
+        status:         tx.status,
+        created_at:     tx.created_at,
+      },
+    });
+  } catch (err) {
+    console.error('convert-execute error:', err);
+    return serverErr(err.message);
+  }
+});
@@ -0,0 +1,137 @@
+// netlify/functions/convert-quote.js
+// Prices a conversion between two of the user's balances and locks that
+// price for a short time. The rate is the live crypto-prices cross rate less
+// the platform spread; convert-execute fills the quote at exactly that rate.
+//
+// POST /.netlify/functions/convert-quote
+// Auth: apex_session cookie required
+// Body (JSON):
+// {
+//   from:   'BTC' | 'ETH' | 'SOL' | 'USDT' | 'USDC' | 'USD',
+//   to:     same set, different from `from`,
+//   amount: number,           // in `from` units
+// }
+//   → { ok, quote: { id, from_asset, to_asset, from_amount, to_amount, rate,
+//                    spread_bps, usd_value, spread_usd, expires_at } }
+//
+// Env vars:
+//   CONVERSION_SPREAD_BPS    spread in basis points (default 50 = 0.5%)
+//   CONVERSION_QUOTE_TTL     seconds a quote stays valid (default 30)
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS conversion_quotes (
+//   id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+//   user_id         UUID NOT NULL REFERENCES users(id),
+//   from_asset      TEXT NOT NULL,
+//   to_asset        TEXT NOT NULL,
+//   from_amount     NUMERIC(28, 8) NOT NULL,
+//   to_amount       NUMERIC(28, 8) NOT NULL,
+//   rate            NUMERIC(28, 12) NOT NULL,   -- to units per from unit, after spread
+//   spread_bps      INTEGER NOT NULL,
+//   from_usd_price  NUMERIC(20, 8) NOT NULL,
+//   to_usd_price    NUMERIC(20, 8) NOT NULL,
+//   expires_at      TIMESTAMPTZ NOT NULL,
+//   executed_at     TIMESTAMPTZ,                -- set once, by convert-execute
+//   transaction_id  UUID REFERENCES transactions(id),
+//   created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+// );
+// CREATE INDEX IF NOT EXISTS conversion_quotes_user_idx ON conversion_quotes (user_id, created_at DESC);
+
+const { supabase, getSession, ok, unauth, badReq, json, serverErr } = require('./_db');
+const { getPrices } = require('./_prices');
+
+const ALLOWED_ASSETS = new Set(['BTC', 'ETH', 'SOL', 'USDT', 'USDC', 'USD']);
+const SPREAD_BPS     = parseInt(process.env.CONVERSION_SPREAD_BPS || '50');
+const QUOTE_TTL      = parseInt(process.env.CONVERSION_QUOTE_TTL  || '30'); // seconds
+const MIN_USD        = 10;
+
+// Decimal places a balance is kept to — the received amount is rounded down to it
+const DECIMALS = { USD: 2 };
+const floorTo  = (n, asset) => {
+  const f = 10 ** (DECIMALS[asset] ?? 8);
+  return Math.floor(n * f + 1e-9) / f;
+};
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  const { from, to, amount } = body;
+
+  if (!ALLOWED_ASSETS.has(from)) return badReq(`Unsupported asset: ${from}`);
+  if (!ALLOWED_ASSETS.has(to))   return badReq(`Unsupported asset: ${to}`);
+  if (from === to)               return badReq('from and to must be different assets');
+  if (!amount || isNaN(amount) || amount <= 0) return badReq('amount must be a positive number');
+
+  const fromAmount = floorTo(parseFloat(amount), from);
+  if (fromAmount <= 0) return badReq('amount is too small');
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,kyc_status`
+    );
+    if (!users.length) return unauth();
+    const { id: userId, kyc_status } = users[0];
+
+    if (kyc_status === 'rejected') return badReq('Account suspended. Contact support.');
+
+    // Live prices only — never lock a price from the fallback table
+    const prices = await getPrices();
+    if (prices[from] == null || prices[to] == null) {
+      return json(503, { ok: false, error: 'Live prices are unavailable. Try again shortly.' });
+    }
+
+    const usdValue = fromAmount * prices[from];
+    if (usdValue < MIN_USD) return badReq(`Minimum conversion is $${MIN_USD} USD equivalent`);
+
+    // Fail early on an obvious shortfall; convert-execute's journal posting is the real check
+    const [balance] = await supabase.get(
+      '/rest/v1/balances',
+      `user_id=eq.${userId}&asset=eq.${from}&select=amount`
+    );
+    if (!balance || parseFloat(balance.amount) < fromAmount) return badReq(`Insufficient ${from} balance`);
+
+    const rate     = prices[from] / prices[to] * (1 - SPREAD_BPS / 10000);
+    const toAmount = floorTo(fromAmount * rate, to);
+    if (toAmount <= 0) return badReq('amount is too small');
+
+    const [quote] = await supabase.post('/rest/v1/conversion_quotes', {
+      user_id:        userId,
+      from_asset:     from,
+      to_asset:       to,
+      from_amount:    fromAmount,
+      to_amount:      toAmount,
+      rate:           parseFloat(rate.toFixed(12)),
+      spread_bps:     SPREAD_BPS,
+      from_usd_price: prices[from],
+      to_usd_price:   prices[to],
+      expires_at:     new Date(Date.now() + QUOTE_TTL * 1000).toISOString(),
+    });
+
+    return ok({
+      quote: {
+        id:          quote.id,
+        from_asset:  from,
+        to_asset:    to,
+        from_amount: fromAmount,
+        to_amount:   toAmount,
+        rate:        parseFloat(rate.toFixed(12)),
+        spread_bps:  SPREAD_BPS,
+        usd_value:   parseFloat(usdValue.toFixed(2)),
+        spread_usd:  parseFloat((usdValue - toAmount * prices[to]).toFixed(2)),
+        expires_at:  quote.expires_at,
+      },
+    });
+  } catch (err) {
+    console.error('convert-quote error:', err);
+    return serverErr(err.message);
+  }
+};
@@ -4,6 +4,7 @@
 //
 // POST /.netlify/functions/deposit-create
 // Auth: apex_session cookie required
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
 // Body: { asset: 'BTC'|'ETH'|'USDT'|'USDC'|'SOL', amount_usd: number }
 //
 // Required env vars:
@@ -11,6 +12,7 @@
 //   URL                         your Netlify site URL
 
 const { supabase, getSession, auditLog, ok, badReq, unauth, serverErr } = require('./_db');
+const { idempotent } = require('./_idempotency');
 
 const COINBASE_API = 'https://api.commerce.coinbase.com';
 
@@ -37,9 +39,14 @@ const MINIMUM_USD = 500; // platform minimum
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
 
-  const session = getSession(event);
+  const session = await getSession(event);
   if (!session) return unauth();
 
+  return createCharge(event, session);
+};
+
+// A retried submit with the same Idempotency-Key replays the first response
+const createCharge = idempotent('deposit-create', async (event, session) => {
   let body;
   try { body = JSON.parse(event.body || '{}'); }
   catch { return badReq('Invalid JSON'); }
@@ -184,4 +191,4 @@ exports.handler = async (event) => {
     console.error('deposit-create error:', err);
     return serverErr(err.message);
   }
-};
+});
@@ -10,7 +10,7 @@ const { supabase, getSession, ok, badReq, unauth, serverErr } = require('./_db')
 exports.handler = async (event) => {
   if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
 
-  const session = getSession(event);
+  const session = await getSession(event);
   if (!session) return unauth();
 
   const chargeId = event.queryStringParameters?.charge_id;
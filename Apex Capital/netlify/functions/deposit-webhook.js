@@ -3,7 +3,9 @@
 // Verifies the HMAC-SHA256 signature, then handles:
 //   charge:created    → update status to pending (usually already set)
 //   charge:pending    → payment detected on-chain, not confirmed yet
-//   charge:confirmed  → N confirmations reached → credit balance
+//   charge:confirmed  → N confirmations reached → credit balance less any
+//                       deposit fee (journal entry against the hot wallet,
+//                       see _ledger.js and _fees.js)
 //   charge:failed     → payment failed / expired → mark failed
 //   charge:delayed    → under-payment detected
 //   charge:resolved   → manually resolved by Coinbase
@@ -17,6 +19,9 @@
 const crypto = require('crypto');
 const { supabase, auditLog, serverErr } = require('./_db');
 const notify = require('./_notify');
+const ledger = require('./_ledger');
+const { recordTransition } = require('./_transactions');
+const { quoteFee } = require('./_fees');
 
 const WEBHOOK_SECRET = process.env.COINBASE_COMMERCE_WEBHOOK_SECRET;
 
@@ -132,40 +137,95 @@ exports.handler = async (event) => {
           break;
         }
 
-        // Atomic balance credit
-        await supabase.rpc('upsert_balance', {
-          p_user_id: charge.user_id,
-          p_asset:   charge.asset,
-          p_delta:   cryptoAmount || charge.crypto_amount,
+        // Atomic balance credit — keyed on the Coinbase charge, so a retried
+        // webhook that races past the `credited` check still can't post twice
+        const txId   = crypto.randomUUID();
+        const amount = cryptoAmount || parseFloat(charge.crypto_amount);
+
+        // The funds have already arrived, so a fee bigger than the deposit is
+        // capped at the deposit rather than refused
+        const userRows = await supabase.get('/rest/v1/users', `id=eq.${charge.user_id}&select=email,name,fee_tier`);
+        const fee = await quoteFee({
+          userId:  charge.user_id,
+          feeTier: userRows[0]?.fee_tier || null,
+          type:    'deposit',
+          asset:   charge.asset,
+          amount,
+          price:   amount > 0 ? parseFloat(charge.amount_usd) / amount : 0,
         });
-
-        // Create transaction record
-        const [tx] = await supabase.post('/rest/v1/transactions', {
+        const fee_amount = Math.min(fee.fee_amount, amount);
+        const fee_usd    = fee_amount === fee.fee_amount ? fee.fee_usd : parseFloat(charge.amount_usd);
+
+        const lines = [
+          { account: ledger.userAccount(charge.user_id), asset: charge.asset, amount: parseFloat((amount - fee_amount).toFixed(8)) },
+          { account: ledger.HOT_WALLET_ACCOUNT,           asset: charge.asset, amount: -amount },
+        ];
+        if (fee_amount > 0) lines.push({ account: ledger.FEES_ACCOUNT, asset: charge.asset, amount: fee_amount });
+
+        // Transaction record, posted with the entry so neither exists alone
+        const tx = {
+          id:         txId,
           user_id:    charge.user_id,
           type:       'deposit',
           asset:      charge.asset,
-          amount:     cryptoAmount || charge.crypto_amount,
+          amount,
           usd_value:  charge.amount_usd,
+          fee_amount: fee_amount || null,
+          fee_usd:    fee_usd    || null,
           status:     'completed',
           tx_hash:    networkTx,
           notes:      `Coinbase Commerce — charge ${charge.coinbase_charge_code}`,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
-        });
+        };
+
+        // The transaction the charge was credited with — normally this one
+        let credited = tx;
+        let resumed  = false;
+        try {
+          await ledger.post({
+            eventType:    'deposit',
+            reference:    `coinbase:${coinbaseChargeId}`,
+            memo:         `Coinbase Commerce — charge ${charge.coinbase_charge_code} (transaction ${txId})`,
+            lines,
+            transactions: [tx],
+          });
+        } catch (err) {
+          if (!ledger.isAlreadyPosted(err)) throw err;
+          // An earlier delivery posted the credit but stopped before marking
+          // the charge — find its transaction and finish the bookkeeping
+          const [earlier] = await supabase.get(
+            '/rest/v1/transactions',
+            `user_id=eq.${charge.user_id}&type=eq.deposit&notes=eq.${encodeURIComponent(tx.notes)}` +
+            '&select=id,amount,fee_usd&order=created_at.asc&limit=1'
+          );
+          console.log(`Charge ${charge.id} already posted to the journal — marking it credited`);
+          credited = earlier ? { ...earlier, amount: parseFloat(earlier.amount) } : { id: null, amount, fee_usd };
+          resumed  = true;
+        }
+
+        if (!resumed) {
+          await recordTransition({ transactionId: txId, to: 'completed', actor: 'system', notes: 'Coinbase Commerce confirmation' });
+        }
 
-        // Mark charge as credited (idempotency)
-        await supabase.patch(
+        // Mark charge as credited (idempotency). Only one delivery gets to do
+        // it, so a resumed one racing the original doesn't notify twice.
+        const marked = await supabase.patch(
           '/rest/v1/deposit_charges',
-          `id=eq.${charge.id}`,
+          `id=eq.${charge.id}&credited=is.false`,
           {
             status:        'completed',
             credited:      true,
             confirmations,
             network_tx:    networkTx,
-            transaction_id: tx?.id || null,
+            transaction_id: credited.id,
             updated_at:    new Date().toISOString(),
           }
         );
+        if (!marked.length) {
+          console.log(`Charge ${charge.id} already credited — skipping`);
+          break;
+        }
 
         // Audit log
         await auditLog({
@@ -177,30 +237,32 @@ exports.handler = async (event) => {
             asset:          charge.asset,
             crypto_amount:  cryptoAmount,
             usd_value:      charge.amount_usd,
+            fee_usd:        credited.fee_usd,
             confirmations,
             network_tx:     networkTx,
-            transaction_id: tx?.id,
+            transaction_id: credited.id,
+            resumed,
           },
           event: { headers: {} }, // webhook — no real client IP
         });
 
         // Notify user of successful credit
-        const userRows = await supabase.get('/rest/v1/users', `id=eq.${charge.user_id}&select=email,name`);
         if (userRows.length) {
           notify.transactionInitiated({
             userName:  userRows[0].name || userRows[0].email,
             userEmail: userRows[0].email,
             type:      'deposit',
             asset:     charge.asset,
-            amount:    cryptoAmount || charge.crypto_amount,
+            amount:    credited.amount,
             usdValue:  charge.amount_usd,
+            feeUsd:    credited.fee_usd || null,
             status:    'completed',
-            txId:      tx?.id || charge.id,
+            txId:      credited.id || charge.id,
             ip:        'coinbase-webhook',
           }).catch(() => {});
         }
 
-        console.log(`✓ Credited ${cryptoAmount} ${charge.asset} to user ${charge.user_id}`);
+        console.log(`✓ Credited ${credited.amount} ${charge.asset} to user ${charge.user_id}`);
         break;
       }
 
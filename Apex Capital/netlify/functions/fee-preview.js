@@ -0,0 +1,87 @@
+// netlify/functions/fee-preview.js
+// The exact fee the authenticated user would pay on a deposit or withdrawal,
+// worked out from the fee schedule the same way ledger-transaction-create and
+// deposit-webhook charge it (see _fees.js).
+//
+// GET /.netlify/functions/fee-preview?type=withdrawal&asset=BTC&amount=0.5&network=Bitcoin
+// GET /.netlify/functions/fee-preview?type=deposit&asset=ETH&amount_usd=1000
+// Auth: apex_session cookie, or `Authorization: Bearer <api key>` with balances:read
+//
+// Response:
+// {
+//   ok: true,
+//   type, asset, network, amount, usd_value, usd_price,
+//   fee_amount, fee_usd,
+//   total_debit,   // withdrawals: amount + fee, taken from the balance
+//   net_amount,    // deposits: amount − fee, credited to the balance
+//   breakdown: { schedule_id, pct, discount_pct, discount_for, service_fee,
+//                network_fee, capped: 'min' | 'max' | null, volume_usd }
+// }
+
+const { supabase, getSession, ok, badReq, unauth, serverErr } = require('./_db');
+const { getPrices } = require('./_prices');
+const { FEE_TYPES, quoteFee } = require('./_fees');
+const { ASSET_NETWORKS, resolveNetwork } = require('./_address');
+
+const round8 = n => parseFloat(n.toFixed(8));
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event, { apiKeyScope: 'balances:read' });
+  if (!session) return unauth();
+
+  const q     = event.queryStringParameters || {};
+  const type  = q.type;
+  const asset = q.asset;
+
+  if (!FEE_TYPES.includes(type)) return badReq(`type must be one of: ${FEE_TYPES.join(', ')}`);
+  if (!ASSET_NETWORKS[asset])    return badReq(`Unsupported asset: ${asset}`);
+
+  // The canonical network name the transaction will be stored under. A
+  // withdrawal of a single-network asset gets that network even when none is
+  // given; otherwise no network means the asset-wide schedule.
+  let network = null;
+  if (q.network?.trim() || type === 'withdrawal') {
+    const resolved = resolveNetwork(asset, q.network);
+    if (resolved.error && q.network?.trim()) return badReq(resolved.error);
+    network = resolved.network || null;
+  }
+
+  const amount    = q.amount     != null ? Number(q.amount)     : null;
+  const amountUsd = q.amount_usd != null ? Number(q.amount_usd) : null;
+  if (!(amount > 0) && !(amountUsd > 0)) return badReq('amount or amount_usd must be a positive number');
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,fee_tier`
+    );
+    if (!users.length) return unauth();
+    const { id: userId, fee_tier } = users[0];
+
+    const price     = (await getPrices({ fallback: true }))[asset] || 1;
+    const numAmount = round8(amount > 0 ? amount : amountUsd / price);
+
+    const { fee_amount, fee_usd, breakdown } = await quoteFee({
+      userId, feeTier: fee_tier, type, asset, network, amount: numAmount, price,
+    });
+
+    return ok({
+      type,
+      asset,
+      network,
+      amount:      numAmount,
+      usd_value:   parseFloat((numAmount * price).toFixed(2)),
+      usd_price:   price,
+      fee_amount,
+      fee_usd,
+      total_debit: type === 'withdrawal' ? round8(numAmount + fee_amount)           : null,
+      net_amount:  type === 'deposit'    ? round8(Math.max(0, numAmount - fee_amount)) : null,
+      breakdown,
+    });
+  } catch (err) {
+    console.error('fee-preview error:', err);
+    return serverErr(err.message);
+  }
+};
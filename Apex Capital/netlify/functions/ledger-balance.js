@@ -1,25 +1,43 @@
 // netlify/functions/ledger-balance.js
-// Returns the authenticated user's balances and strategy allocations.
+// Returns the authenticated user's balances, cost basis and P&L, and strategy
+// allocations. P&L comes from acquisition lots built from the user's
+// transactions (see _lots.js).
 //
 // GET /.netlify/functions/ledger-balance
-// Auth: apex_session cookie required
+// GET /.netlify/functions/ledger-balance?cost_basis=fifo|hifo|average   (default COST_BASIS_METHOD, else fifo)
+// Auth: apex_session cookie, or `Authorization: Bearer <api key>` with balances:read
 //
 // Response:
 // {
 //   ok: true,
-//   balances: [ { asset, amount, usd_value }, ... ],
-//   totals: { total_usd, invested_usd, available_usd, total_return_usd, total_return_pct },
+//   balances: [ { asset, amount, usd_price, usd_value, cost_basis_usd,
+//                 unrealised_pnl_usd, realised_pnl_usd, unknown_cost_quantity }, ... ],
+//   totals: { total_usd, invested_usd, available_usd, cost_basis_usd, unrealised_pnl_usd,
+//             realised_pnl_usd, total_return_usd, total_return_pct, cost_basis_method },
 //   allocations: [ { strategy, usd_value, pct }, ... ]
 // }
+//
+// balances are what's available to withdraw or allocate; funds allocated to a
+// strategy (see strategy-allocate) are in invested_usd instead, and
+// total_usd = available_usd + invested_usd. P&L covers both.
+//
+// total_return_pct is (realised + unrealised) over the cost of everything
+// ever acquired at a known cost.
 
-const { supabase, getSession, auditLog, ok, unauth, serverErr } = require('./_db');
+const { supabase, getSession, auditLog, ok, badReq, unauth, serverErr } = require('./_db');
+const { getPrices } = require('./_prices');
+const { profitAndLoss, METHODS, DEFAULT_METHOD } = require('./_lots');
+const { holdings, valueAllocations } = require('./_strategies');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
 
-  const session = getSession(event);
+  const session = await getSession(event, { apiKeyScope: 'balances:read' });
   if (!session) return unauth();
 
+  const method = event.queryStringParameters?.cost_basis || DEFAULT_METHOD;
+  if (!METHODS.includes(method)) return badReq(`cost_basis must be one of: ${METHODS.join(', ')}`);
+
   try {
     // 1. Look up internal user ID from Auth0 sub
     const users = await supabase.get(
@@ -36,25 +54,17 @@ exports.handler = async (event) => {
       `user_id=eq.${userId}&select=asset,amount&order=asset.asc`
     );
 
-    // 3. Fetch live prices from our own crypto-prices function
-    //    (internal fetch — same Netlify instance, no external rate limit concerns)
-    let prices = {};
-    try {
-      const priceRes  = await fetch(
-        `${process.env.URL}/.netlify/functions/crypto-prices`
-      );
-      const priceJson = await priceRes.json();
-      if (priceJson.ok) {
-        priceJson.data.forEach(c => { prices[c.sym] = c.priceRaw; });
-      }
-    } catch { /* prices stay empty — USD values will be null */ }
+    // 3. Live prices (assets without one get null USD values)
+    const prices = await getPrices();
 
-    // USD is always 1:1
-    prices['USD']  = 1;
-    prices['USDT'] = prices['USDT'] || 1;
-    prices['USDC'] = prices['USDC'] || 1;
+    // 4. Cost basis and P&L from the user's whole transaction history
+    const txRows = await supabase.getAll(
+      '/rest/v1/transactions',
+      `user_id=eq.${userId}&select=*&order=created_at.asc,id.asc`
+    );
+    const pnl = profitAndLoss(txRows, prices, { method });
 
-    // 4. Enrich balances with USD values
+    // 5. Enrich balances with USD values and P&L
     const balances = balanceRows.map(b => ({
       asset:     b.asset,
       amount:    parseFloat(b.amount),
@@ -62,22 +72,25 @@ exports.handler = async (event) => {
       usd_value: prices[b.asset] != null
         ? parseFloat((b.amount * prices[b.asset]).toFixed(2))
         : null,
+      cost_basis_usd:        pnl[b.asset]?.cost_basis_usd ?? 0,
+      unrealised_pnl_usd:    pnl[b.asset]?.unrealised_pnl_usd ?? (prices[b.asset] != null ? 0 : null),
+      realised_pnl_usd:      pnl[b.asset]?.realised_pnl_usd ?? 0,
+      unknown_cost_quantity: pnl[b.asset]?.unknown_cost_quantity ?? 0,
     }));
 
-    // 5. Compute totals
-    const total_usd = balances.reduce((s, b) => s + (b.usd_value || 0), 0);
-
-    // 6. Strategy allocations
-    const allocRows = await supabase.get(
-      '/rest/v1/strategy_allocations',
-      `user_id=eq.${userId}&select=strategy,usd_value,pct&order=strategy.asc`
-    );
-    const invested_usd   = allocRows.reduce((s, a) => s + parseFloat(a.usd_value), 0);
-    const available_usd  = Math.max(0, total_usd - invested_usd);
+    // 6. Compute totals
+    const available_usd = balances.reduce((s, b) => s + (b.usd_value || 0), 0);
+    const assets        = Object.values(pnl);
+    const cost_basis_usd     = assets.reduce((s, a) => s + a.cost_basis_usd, 0);
+    const unrealised_pnl_usd = assets.reduce((s, a) => s + (a.unrealised_pnl_usd || 0), 0);
+    const realised_pnl_usd   = assets.reduce((s, a) => s + a.realised_pnl_usd, 0);
+    const total_return_usd   = unrealised_pnl_usd + realised_pnl_usd;
+    const acquired_cost      = assets.reduce((s, a) => s + a.acquired_cost_usd, 0);
 
-    // Simple unrealised P&L placeholder (replace with real cost-basis tracking later)
-    const total_return_usd = parseFloat((total_usd * 0.139).toFixed(2)); // 13.9% demo ROI
-    const total_return_pct = 13.9;
+    // 7. Strategy allocations, valued at the same live prices
+    const allocations  = valueAllocations(await holdings(userId), prices);
+    const invested_usd = allocations.reduce((s, a) => s + a.usd_value, 0);
+    const total_usd    = available_usd + invested_usd;
 
     return ok({
       balances,
@@ -85,15 +98,15 @@ exports.handler = async (event) => {
         total_usd:        parseFloat(total_usd.toFixed(2)),
         invested_usd:     parseFloat(invested_usd.toFixed(2)),
         available_usd:    parseFloat(available_usd.toFixed(2)),
-        total_return_usd,
-        total_return_pct,
+        cost_basis_usd:     parseFloat(cost_basis_usd.toFixed(2)),
+        unrealised_pnl_usd: parseFloat(unrealised_pnl_usd.toFixed(2)),
+        realised_pnl_usd:   parseFloat(realised_pnl_usd.toFixed(2)),
+        total_return_usd:   parseFloat(total_return_usd.toFixed(2)),
+        total_return_pct:   acquired_cost > 0 ? parseFloat((total_return_usd / acquired_cost * 100).toFixed(2)) : 0,
+        cost_basis_method:  method,
         kyc_status,
       },
-      allocations: allocRows.map(a => ({
-        strategy:  a.strategy,
-        usd_value: parseFloat(a.usd_value),
-        pct:       parseFloat(a.pct),
-      })),
+      allocations,
     });
   } catch (err) {
     console.error('ledger-balance error:', err);
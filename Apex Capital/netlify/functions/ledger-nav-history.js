@@ -0,0 +1,125 @@
+// netlify/functions/ledger-nav-history.js
+// Daily portfolio value history for the authenticated user, from the
+// snapshots portfolio-snapshot takes each night, with each day's net
+// external flows (deposits and transfers in, withdrawals and transfers out)
+// so growth can be told apart from money added.
+//
+// GET /.netlify/functions/ledger-nav-history
+// Auth: apex_session cookie, or `Authorization: Bearer <api key>` with balances:read
+// Query params:
+//   range=1m | 3m | 6m | 1y | all   (default 3m)
+//   from=YYYY-MM-DD&to=YYYY-MM-DD   (instead of range; at most 5 years)
+//
+// Response:
+// {
+//   ok: true,
+//   from, to,
+//   series: [ { date, total_usd, invested_usd, assets: { BTC: usd_value, … }, net_flow_usd } ],
+//   summary: { start_usd, end_usd, net_flows_usd, change_usd }
+// }
+// change_usd is end − start − net flows: what the portfolio made or lost.
+
+const { supabase, getSession, ok, unauth, badReq, serverErr } = require('./_db');
+
+const RANGE_DAYS = { '1m': 30, '3m': 91, '6m': 182, '1y': 365 };
+const MAX_DAYS   = 5 * 366;
+const DATE_RE    = /^\d{4}-\d{2}-\d{2}$/;
+
+// Statuses whose balance effect was reversed — not real flows
+const REVERSED_STATUSES = new Set(['rejected', 'failed', 'cancelled']);
+
+// Transaction types that move value into (+1) or out of (−1) the account
+const FLOW_SIGN = { deposit: 1, withdrawal: -1, transfer_in: 1, transfer_out: -1, adjustment_in: 1, adjustment_out: -1 };
+
+const day = d => new Date(d).toISOString().slice(0, 10);
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event, { apiKeyScope: 'balances:read' });
+  if (!session) return unauth();
+
+  const q     = event.queryStringParameters || {};
+  const today = day(Date.now());
+  let from, to;
+
+  if (q.from || q.to) {
+    const valid = d => DATE_RE.test(d || '') && !isNaN(Date.parse(d));
+    if (!valid(q.from) || !valid(q.to)) return badReq('from and to must both be YYYY-MM-DD');
+    from = q.from;
+    to   = q.to;
+    if (from > to) return badReq('from must be on or before to');
+    if ((new Date(to) - new Date(from)) / 86400000 > MAX_DAYS) return badReq('Range is limited to 5 years');
+  } else {
+    const range = q.range || '3m';
+    if (range !== 'all' && !RANGE_DAYS[range]) return badReq(`range must be one of: ${[...Object.keys(RANGE_DAYS), 'all'].join(', ')}`);
+    to   = today;
+    from = range === 'all' ? null : day(Date.now() - RANGE_DAYS[range] * 86400000);
+  }
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id`
+    );
+    if (!users.length) return unauth();
+    const userId = users[0].id;
+
+    const since   = from ? `&snapshot_date=gte.${from}` : '';
+    const txSince = from ? `&created_at=gte.${from}` : '';
+    const txUntil = day(new Date(to).getTime() + 86400000);
+
+    const [snapshots, txRows] = await Promise.all([
+      // A snapshot a day, so long ranges run past a single page
+      supabase.getAll(
+        '/rest/v1/portfolio_snapshots',
+        `user_id=eq.${userId}${since}&snapshot_date=lte.${to}` +
+        '&select=snapshot_date,total_usd,invested_usd,balances&order=snapshot_date.asc'
+      ),
+      supabase.getAll(
+        '/rest/v1/transactions',
+        `user_id=eq.${userId}${txSince}&created_at=lt.${txUntil}` +
+        '&select=type,usd_value,status,created_at&order=created_at.asc,id.asc'
+      ),
+    ]);
+
+    // Net external flows per UTC day
+    const flows = {};
+    for (const tx of txRows) {
+      const sign = FLOW_SIGN[tx.type];
+      if (!sign || REVERSED_STATUSES.has(tx.status) || tx.usd_value == null) continue;
+      const d = day(tx.created_at);
+      flows[d] = (flows[d] || 0) + sign * parseFloat(tx.usd_value);
+    }
+
+    const series = snapshots.map(s => ({
+      date:         s.snapshot_date,
+      total_usd:    parseFloat(s.total_usd),
+      invested_usd: parseFloat(s.invested_usd),
+      assets:       Object.fromEntries(s.balances.map(b => [b.asset, b.usd_value])),
+      net_flow_usd: parseFloat((flows[s.snapshot_date] || 0).toFixed(2)),
+    }));
+
+    // Flows after the first snapshot day are what moved the value besides performance
+    const first = series[0];
+    const last  = series[series.length - 1];
+    const netFlows = first
+      ? Object.entries(flows).filter(([d]) => d > first.date && d <= last.date).reduce((s, [, v]) => s + v, 0)
+      : 0;
+
+    return ok({
+      from: from || first?.date || to,
+      to,
+      series,
+      summary: {
+        start_usd:     first?.total_usd ?? null,
+        end_usd:       last?.total_usd  ?? null,
+        net_flows_usd: parseFloat(netFlows.toFixed(2)),
+        change_usd:    first ? parseFloat((last.total_usd - first.total_usd - netFlows).toFixed(2)) : null,
+      },
+    });
+  } catch (err) {
+    console.error('ledger-nav-history error:', err);
+    return serverErr(err.message);
+  }
+};
@@ -21,7 +21,7 @@ const DEFAULT_STRATEGIES = [
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
 
-  const session = getSession(event);
+  const session = await getSession(event);
   if (!session) return unauth();
 
   try {
@@ -0,0 +1,90 @@
+// netlify/functions/ledger-statement.js
+// Monthly account statements for the authenticated user (see _statement.js),
+// as a branded PDF or as JSON, and the opt-in for having each month's
+// statement emailed by statement-monthly.
+//
+// GET /.netlify/functions/ledger-statement
+//   → { ok, months: ['2026-09', …], monthly_email }   statement months available, newest first
+// GET /.netlify/functions/ledger-statement?month=2026-09             → application/pdf download
+// GET /.netlify/functions/ledger-statement?month=2026-09&format=json → { ok, statement }
+// Auth: apex_session cookie, or `Authorization: Bearer <api key>` with history:read
+//
+// POST /.netlify/functions/ledger-statement
+// Auth: apex_session cookie
+// Body: { monthly_email: boolean }   → { ok, monthly_email }
+
+const { supabase, getSession, auditLog, ok, badReq, unauth, serverErr } = require('./_db');
+const { parseMonth, availableMonths, buildStatement, renderStatementPdf, statementFilename } = require('./_statement');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = event.httpMethod === 'GET'
+    ? await getSession(event, { apiKeyScope: 'history:read' })
+    : await getSession(event);
+  if (!session) return unauth();
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,email,name,created_at,statement_emails`
+    );
+    if (!users.length) return unauth();
+    const user = users[0];
+
+    // ── Email opt-in ──────────────────────────────────────────────────────────
+    if (event.httpMethod === 'POST') {
+      let body;
+      try { body = JSON.parse(event.body || '{}'); }
+      catch { return badReq('Invalid JSON'); }
+
+      if (typeof body.monthly_email !== 'boolean') return badReq('monthly_email must be true or false');
+      await supabase.patch('/rest/v1/users', `id=eq.${user.id}`, { statement_emails: body.monthly_email });
+      return ok({ monthly_email: body.monthly_email });
+    }
+
+    const q = event.queryStringParameters || {};
+
+    if (!q.month) {
+      return ok({ months: availableMonths(user.created_at), monthly_email: !!user.statement_emails });
+    }
+
+    const format = q.format || 'pdf';
+    if (format !== 'pdf' && format !== 'json') return badReq('format must be pdf or json');
+
+    const period = parseMonth(q.month);
+    if (period.error) return badReq(period.error);
+    if (!availableMonths(user.created_at).includes(q.month)) {
+      return badReq('No statement for that month — it is before the account was opened');
+    }
+
+    const statement = await buildStatement(user, q.month);
+    if (statement.error) return badReq(statement.error);
+
+    await auditLog({
+      userId: user.id,
+      action: 'statement_downloaded',
+      meta:   { month: q.month, format, via: session.apiKey ? 'api_key' : 'session' },
+      event,
+    });
+
+    if (format === 'json') return ok({ statement });
+
+    const pdf = renderStatementPdf(statement);
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type':        'application/pdf',
+        'Content-Disposition': `attachment; filename="${statementFilename(q.month)}"`,
+        'Cache-Control':       'no-store',
+      },
+      body:            pdf.toString('base64'),
+      isBase64Encoded: true,
+    };
+  } catch (err) {
+    console.error('ledger-statement error:', err);
+    return serverErr(err.message);
+  }
+};
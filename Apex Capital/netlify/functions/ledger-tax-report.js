@@ -0,0 +1,418 @@
+// netlify/functions/ledger-tax-report.js
+// Realised gains and losses for a tax year: every disposal (withdrawal, or
+// the sold side of a conversion) matched against the acquisition lots it
+// used up (see _lots.js), with proceeds, cost basis, holding period and
+// short / long-term classification. Exportable as CSV in the IRS Form 8949
+// layout.
+//
+// Transfers to another Apex account and admin debit corrections
+// (adjustment_out) aren't sales: they still take lots out of the holding,
+// but aren't reported. Only completed transactions count — a withdrawal
+// still pending or processing hasn't realised anything yet.
+//
+// GET /.netlify/functions/ledger-tax-report?year=2025&method=fifo
+// Auth: apex_session cookie, or `Authorization: Bearer <api key>` with history:read
+// Query params:
+//   year=2025                         tax year (UTC calendar year; the current
+//                                     year gives year-to-date figures)
+//   method=fifo | hifo | specific     lot matching (default fifo); specific uses
+//                                     the lots chosen below, then FIFO
+//   format=json | csv                 csv → Form 8949 rows, Part I (short-term)
+//                                     then Part II (long-term)
+//
+// Response (JSON):
+// {
+//   ok: true, year, method, closed,   closed: lot choices for the year can no longer change
+//   disposals: [ { tx_id, type, asset, disposed_at, quantity, proceeds, cost_basis, gain,
+//                  term: 'short' | 'long' | 'mixed', selection_shortfall,
+//                  legs: [ { lot_tx_id, acquired_at, quantity, cost, holding_days, term } ] } ],
+//   summary: { short_term: { proceeds, cost_basis, gain, count },
+//              long_term:  { … }, unknown_cost_disposals }
+// }
+// cost_basis / gain are null when part of the disposal has no known cost (it
+// came from lots recorded without a USD value, or from more than the ledger
+// shows was acquired); those are left out of the summary totals.
+//
+// GET /.netlify/functions/ledger-tax-report?lots_for=<disposal tx id>
+//   → { ok, disposal, lots: [ { lot_tx_id, acquired_at, quantity, cost, unit_cost } ], selection }
+//   the lots open just before the disposal, for choosing specific lots
+//
+// POST /.netlify/functions/ledger-tax-report
+// Auth: apex_session cookie
+// Body: { disposal_id, lots: [ { lot_tx_id, quantity } ] }   (empty lots clears the choice)
+// Only for disposals in the current year — once a tax year has ended its
+// figures may have been filed, so the lots behind them are fixed.
+//
+// For the same reason the first CSV export of an ended year pins the method
+// it used (tax_year_methods). That year is then always reported with it, and
+// every later report replays it with that method, so switching method for
+// this year can't change the basis of the lots carried into it.
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS lot_selections (
+//   id              BIGSERIAL PRIMARY KEY,
+//   user_id         UUID NOT NULL REFERENCES users(id),
+//   disposal_tx_id  UUID NOT NULL REFERENCES transactions(id),
+//   lot_tx_id       UUID NOT NULL REFERENCES transactions(id),  -- the transaction that acquired the lot
+//   quantity        NUMERIC(28, 8) NOT NULL CHECK (quantity > 0),
+//   created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   UNIQUE (disposal_tx_id, lot_tx_id)
+// );
+// CREATE INDEX IF NOT EXISTS lot_selections_user_idx ON lot_selections (user_id);
+//
+// CREATE TABLE IF NOT EXISTS tax_year_methods (
+//   user_id    UUID NOT NULL REFERENCES users(id),
+//   year       INT NOT NULL,
+//   method     TEXT NOT NULL,              -- fifo | hifo | specific
+//   pinned_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   PRIMARY KEY (user_id, year)
+// );
+
+const { supabase, getSession, auditLog, ok, badReq, unauth, serverErr, UUID_RE } = require('./_db');
+const { buildLots, TAX_METHODS } = require('./_lots');
+const { csvCell } = require('./_export');
+
+const DISPOSAL_TYPES    = ['withdrawal', 'conversion'];
+const FIRST_YEAR        = 2009;
+const MAX_SELECTED_LOTS = 50;
+const EPSILON           = 1e-9;
+
+const TX_SELECT = 'id,type,asset,amount,fee_amount,usd_value,counter_asset,counter_amount,status,created_at';
+
+const round2 = n => (n == null ? null : parseFloat(n.toFixed(2)));
+const round8 = n => parseFloat(n.toFixed(8));
+const day    = d => new Date(d).toISOString().slice(0, 10);
+
+// Tax years before the current UTC year are closed
+const yearClosed = year => year < new Date().getUTCFullYear();
+
+/**
+ * Long-term means held for more than one year: sold after the first
+ * anniversary of the acquisition day.
+ */
+function termOf(acquiredAt, disposedAt) {
+  if (!acquiredAt) return 'short';   // unknown acquisition — treated as short-term
+  const acquired    = day(acquiredAt);
+  const anniversary = `${Number(acquired.slice(0, 4)) + 1}${acquired.slice(4)}`;
+  return day(disposedAt) > anniversary ? 'long' : 'short';
+}
+
+/**
+ * All of the user's settled transactions up to `until`, for lot matching.
+ * Every one counts towards the lots, so there's no row cap as for exports.
+ */
+async function loadHistory(userId, until) {
+  return supabase.getAll(
+    '/rest/v1/transactions',
+    `user_id=eq.${userId}&status=eq.completed` + (until ? `&created_at=lt.${until}` : '') +
+    `&select=${TX_SELECT}&order=created_at.asc,id.asc`
+  );
+}
+
+/**
+ * Methods pinned for ended tax years: { [year]: method }.
+ */
+async function loadPinnedMethods(userId) {
+  const rows = await supabase.get('/rest/v1/tax_year_methods', `user_id=eq.${userId}&select=year,method`);
+  return Object.fromEntries(rows.map(r => [r.year, r.method]));
+}
+
+/**
+ * Pin `method` for an ended year. False if another export pinned it first.
+ */
+async function pinMethod(userId, year, method) {
+  const rows = await supabase('/rest/v1/tax_year_methods', {
+    method:  'POST',
+    headers: { Prefer: 'resolution=ignore-duplicates,return=representation' },
+    body:    JSON.stringify({ user_id: userId, year, method, pinned_at: new Date().toISOString() }),
+  });
+  return rows.length > 0;
+}
+
+// Disposals in a pinned year use its method, everything else `method`
+const methodFor = (pinned, method) => tx => pinned[new Date(tx.created_at).getUTCFullYear()] || method;
+
+async function loadSelections(userId) {
+  const rows = await supabase.get(
+    '/rest/v1/lot_selections',
+    `user_id=eq.${userId}&select=disposal_tx_id,lot_tx_id,quantity&order=id.asc`
+  );
+  const selections = {};
+  for (const r of rows) {
+    (selections[r.disposal_tx_id] ||= []).push({ lot_tx_id: r.lot_tx_id, quantity: parseFloat(r.quantity) });
+  }
+  return selections;
+}
+
+/**
+ * The taxable disposals in [start, end) (epoch ms) from buildLots, with legs
+ * classified. Other disposals (transfers out) have already used up their
+ * lots in buildLots; they just aren't reported.
+ */
+function yearDisposals(books, { start, end, selections, method }) {
+  const result = [];
+  for (const [asset, { disposals }] of Object.entries(books)) {
+    for (const d of disposals) {
+      if (!DISPOSAL_TYPES.includes(d.type)) continue;
+      const at = Date.parse(d.disposed_at);
+      if (at < start || at >= end) continue;
+      const legs = d.legs.map(l => ({
+        lot_tx_id:    l.lot_tx_id,
+        acquired_at:  l.acquired_at,
+        quantity:     round8(l.quantity),
+        cost:         round2(l.cost),
+        holding_days: l.acquired_at ? Math.floor((new Date(d.disposed_at) - new Date(l.acquired_at)) / 86400000) : null,
+        term:         termOf(l.acquired_at, d.disposed_at),
+      }));
+      const terms = new Set(legs.map(l => l.term));
+
+      // How much of the user's chosen lots couldn't be used (already disposed of)
+      let shortfall = null;
+      if (method === 'specific' && selections[d.tx_id]) {
+        const chosen = selections[d.tx_id];
+        const used   = chosen.reduce((s, c) => s + Math.min(c.quantity,
+          d.legs.filter(l => l.lot_tx_id === c.lot_tx_id).reduce((q, l) => q + l.quantity, 0)), 0);
+        const wanted = chosen.reduce((s, c) => s + c.quantity, 0);
+        shortfall    = round8(Math.max(0, Math.min(wanted, d.quantity) - used));
+      }
+
+      result.push({
+        tx_id:               d.tx_id,
+        type:                d.type,
+        asset,
+        disposed_at:         d.disposed_at,
+        quantity:            round8(d.quantity),
+        proceeds:            round2(d.proceeds),
+        cost_basis:          round2(d.cost),
+        gain:                round2(d.gain),
+        term:                terms.size > 1 ? 'mixed' : [...terms][0] || 'short',
+        selection_shortfall: shortfall,
+        legs,
+      });
+    }
+  }
+  return result.sort((a, b) => new Date(a.disposed_at) - new Date(b.disposed_at));
+}
+
+/**
+ * Form 8949 rows: one per disposal and holding term, proceeds split pro rata
+ * by quantity when a disposal used both short and long-term lots.
+ */
+function form8949Rows(disposals) {
+  const rows = [];
+  for (const d of disposals) {
+    for (const term of ['short', 'long']) {
+      const legs = d.legs.filter(l => l.term === term);
+      if (!legs.length) continue;
+      const quantity = legs.reduce((s, l) => s + l.quantity, 0);
+      const proceeds = d.proceeds == null ? null : d.proceeds * (quantity / d.quantity);
+      const cost     = legs.some(l => l.cost == null) ? null : legs.reduce((s, l) => s + l.cost, 0);
+      const dates    = [...new Set(legs.map(l => (l.acquired_at ? day(l.acquired_at) : null)))];
+      rows.push({
+        term,
+        tx_id:       d.tx_id,
+        description: `${round8(quantity)} ${d.asset}`,
+        acquired:    dates.length > 1 ? 'VARIOUS' : dates[0],
+        disposed:    day(d.disposed_at),
+        proceeds:    round2(proceeds),
+        cost:        round2(cost),
+        gain:        proceeds != null && cost != null ? round2(proceeds - cost) : null,
+      });
+    }
+  }
+  return rows;
+}
+
+function summarize(rows, disposals) {
+  const part = term => {
+    const known = rows.filter(r => r.term === term && r.gain != null);
+    return {
+      proceeds:   round2(known.reduce((s, r) => s + r.proceeds, 0)),
+      cost_basis: round2(known.reduce((s, r) => s + r.cost, 0)),
+      gain:       round2(known.reduce((s, r) => s + r.gain, 0)),
+      count:      known.length,
+    };
+  };
+  return {
+    short_term:             part('short'),
+    long_term:              part('long'),
+    unknown_cost_disposals: disposals.filter(d => d.gain == null).length,
+  };
+}
+
+const usDate = d => (d && d !== 'VARIOUS' ? `${d.slice(5, 7)}/${d.slice(8, 10)}/${d.slice(0, 4)}` : d || '');
+const money  = n => (n == null ? '' : n.toFixed(2));
+
+function form8949Csv(rows) {
+  const header = [
+    'Part', '(a) Description of property', '(b) Date acquired', '(c) Date sold or disposed of',
+    '(d) Proceeds (sales price)', '(e) Cost or other basis', '(f) Code(s)', '(g) Amount of adjustment',
+    '(h) Gain or (loss)', 'Transaction ID',
+  ];
+  const ordered = [...rows.filter(r => r.term === 'short'), ...rows.filter(r => r.term === 'long')];
+  const lines = [header, ...ordered.map(r => [
+    r.term === 'short' ? 'I (short-term)' : 'II (long-term)',
+    r.description, usDate(r.acquired), usDate(r.disposed),
+    money(r.proceeds), money(r.cost), '', '', money(r.gain), r.tx_id,
+  ])];
+  // BOM so Excel opens the file as UTF-8
+  return '\ufeff' + lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * The open lots of the disposal's asset just before it, under 'specific'
+ * matching with the user's other choices (pinned years keep their method).
+ */
+function lotsBefore(transactions, disposal, selections, pinned) {
+  const ordered = [...transactions].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const before  = ordered.slice(0, ordered.findIndex(t => t.id === disposal.id));
+  const books   = buildLots(before, { selections, methodFor: methodFor(pinned, 'specific') });
+  return (books[disposal.asset]?.lots || []).map(l => ({
+    lot_tx_id:   l.tx_id,
+    acquired_at: l.acquired_at,
+    quantity:    round8(l.quantity),
+    cost:        round2(l.cost),
+    unit_cost:   l.cost == null ? null : round2(l.cost / l.quantity),
+  }));
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = event.httpMethod === 'GET'
+    ? await getSession(event, { apiKeyScope: 'history:read' })
+    : await getSession(event);
+  if (!session) return unauth();
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id`
+    );
+    if (!users.length) return unauth();
+    const userId = users[0].id;
+
+    // ── Choose specific lots for a disposal ─────────────────────────────────
+    if (event.httpMethod === 'POST') {
+      let body;
+      try { body = JSON.parse(event.body || '{}'); }
+      catch { return badReq('Invalid JSON'); }
+
+      const { disposal_id } = body;
+      const lots = body.lots || [];
+      if (!UUID_RE.test(disposal_id || '')) return badReq('disposal_id is required');
+      if (!Array.isArray(lots) || lots.length > MAX_SELECTED_LOTS) return badReq(`lots must be an array of at most ${MAX_SELECTED_LOTS} entries`);
+      for (const l of lots) {
+        if (!UUID_RE.test(l?.lot_tx_id || '')) return badReq('Each lot needs a lot_tx_id');
+        if (!(Number(l.quantity) > 0))         return badReq('Each lot needs a positive quantity');
+      }
+      if (new Set(lots.map(l => l.lot_tx_id)).size !== lots.length) return badReq('Each lot can only be chosen once');
+
+      const history = await loadHistory(userId, null);
+      const disposal = history.find(t => t.id === disposal_id);
+      if (!disposal || !DISPOSAL_TYPES.includes(disposal.type)) return badReq('Disposal not found');
+
+      const disposalYear = new Date(disposal.created_at).getUTCFullYear();
+      if (yearClosed(disposalYear)) {
+        return badReq(`The ${disposalYear} tax year has ended, so the lots used for this disposal can no longer be changed`);
+      }
+
+      const [selections, pinned] = await Promise.all([loadSelections(userId), loadPinnedMethods(userId)]);
+      delete selections[disposal_id];
+      const open = lotsBefore(history, disposal, selections, pinned);
+
+      const disposed = parseFloat(disposal.amount) + (disposal.type === 'conversion' ? 0 : parseFloat(disposal.fee_amount) || 0);
+      const chosen   = lots.map(l => ({ lot_tx_id: l.lot_tx_id, quantity: round8(Number(l.quantity)) }));
+      for (const c of chosen) {
+        const lot = open.find(o => o.lot_tx_id === c.lot_tx_id);
+        if (!lot) return badReq(`Lot ${c.lot_tx_id} isn't an open ${disposal.asset} lot at the time of this disposal`);
+        if (c.quantity > lot.quantity + EPSILON) return badReq(`Only ${lot.quantity} ${disposal.asset} of lot ${c.lot_tx_id} was still held`);
+      }
+      if (chosen.reduce((s, c) => s + c.quantity, 0) > disposed + EPSILON) {
+        return badReq(`The chosen lots add up to more than the ${round8(disposed)} ${disposal.asset} disposed of`);
+      }
+
+      await supabase.delete('/rest/v1/lot_selections', `user_id=eq.${userId}&disposal_tx_id=eq.${disposal_id}`);
+      if (chosen.length) {
+        await supabase.post('/rest/v1/lot_selections', chosen.map(c => ({ user_id: userId, disposal_tx_id: disposal_id, ...c })));
+      }
+      await auditLog({
+        userId,
+        action: 'tax_lots_selected',
+        meta:   { disposal_id, lots: chosen },
+        event,
+      });
+      return ok({ disposal_id, lots: chosen });
+    }
+
+    const q = event.queryStringParameters || {};
+
+    // ── Lots open at a disposal ─────────────────────────────────────────────
+    if (q.lots_for) {
+      if (!UUID_RE.test(q.lots_for)) return badReq('lots_for must be a transaction id');
+      const history = await loadHistory(userId, null);
+      const disposal = history.find(t => t.id === q.lots_for);
+      if (!disposal || !DISPOSAL_TYPES.includes(disposal.type)) return badReq('Disposal not found');
+
+      const [selections, pinned] = await Promise.all([loadSelections(userId), loadPinnedMethods(userId)]);
+      const selection  = selections[disposal.id] || [];
+      delete selections[disposal.id];
+      return ok({
+        disposal: { id: disposal.id, type: disposal.type, asset: disposal.asset, amount: parseFloat(disposal.amount), created_at: disposal.created_at },
+        lots:     lotsBefore(history, disposal, selections, pinned),
+        selection,
+      });
+    }
+
+    // ── Report ──────────────────────────────────────────────────────────────
+    const thisYear = new Date().getUTCFullYear();
+    const year     = parseInt(q.year || String(thisYear - 1));
+    if (!(year >= FIRST_YEAR && year <= thisYear)) return badReq(`year must be between ${FIRST_YEAR} and ${thisYear}`);
+    const method = q.method || 'fifo';
+    if (!TAX_METHODS.includes(method)) return badReq(`method must be one of: ${TAX_METHODS.join(', ')}`);
+    const format = q.format || 'json';
+    if (format !== 'json' && format !== 'csv') return badReq('format must be json or csv');
+
+    const start = new Date(Date.UTC(year, 0, 1)).toISOString();
+    const end   = new Date(Date.UTC(year + 1, 0, 1)).toISOString();
+
+    const pinned = await loadPinnedMethods(userId);
+    if (pinned[year] && pinned[year] !== method) {
+      return badReq(`Your ${year} report was exported using ${pinned[year].toUpperCase()}, so that year is reported with it`);
+    }
+    if (format === 'csv' && yearClosed(year) && !pinned[year]) {
+      if (!(await pinMethod(userId, year, method))) return badReq(`Your ${year} report is being exported with another method — try again`);
+      pinned[year] = method;
+    }
+
+    const [history, selections] = await Promise.all([
+      loadHistory(userId, end),
+      method === 'specific' || Object.values(pinned).includes('specific') ? loadSelections(userId) : {},
+    ]);
+
+    const books     = buildLots(history, { selections, methodFor: methodFor(pinned, method) });
+    const disposals = yearDisposals(books, { start: Date.parse(start), end: Date.parse(end), selections, method });
+    const rows      = form8949Rows(disposals);
+
+    if (format === 'csv') {
+      await auditLog({ userId, action: 'tax_report_exported', meta: { year, method, rows: rows.length }, event });
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type':        'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="form-8949-${year}-${method}.csv"`,
+          'Cache-Control':       'no-store',
+        },
+        body: form8949Csv(rows),
+      };
+    }
+
+    return ok({ year, method, closed: yearClosed(year), disposals, summary: summarize(rows, disposals) });
+  } catch (err) {
+    console.error('ledger-tax-report error:', err);
+    return serverErr(err.message);
+  }
+};
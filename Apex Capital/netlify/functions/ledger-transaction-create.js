@@ -1,171 +1,269 @@
 // netlify/functions/ledger-transaction-create.js
-// Creates a new deposit or withdrawal transaction and atomically updates
-// the user's balance via the upsert_balance() Postgres function.
+// Creates a new deposit or withdrawal transaction and posts the matching
+// journal entry (see _ledger.js), which atomically updates the user's balance.
 //
 // POST /.netlify/functions/ledger-transaction-create
-// Auth: apex_session cookie required
+// Auth: apex_session cookie required (+ fresh TOTP step-up for withdrawals, see _mfa.js)
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
 // Body (JSON):
 // {
 //   type:    'deposit' | 'withdrawal',
 //   asset:   'BTC' | 'ETH' | 'USDT' | 'USDC' | 'SOL',
 //   amount:  number,          // in asset units
-//   network: string,          // e.g. 'Ethereum (ERC-20)'
+//   network: string,          // e.g. 'Ethereum (ERC-20)' — optional when the asset is on one network
 //   address: string,          // source (deposit) or destination (withdrawal)
+//   address_id: uuid,         // withdrawals: a saved address instead of address/network
 //   tx_hash: string | null,   // optional, can be added later
 //   notes:   string | null,
 // }
+//
+// Withdrawal addresses are checked against the network's address format and
+// checksum, and the network against the asset (see _address.js).
+// Withdrawals to a saved address must wait out its cooling-off period; with
+// whitelist_only set, every withdrawal must go to one (see _address-book.js).
+// Withdrawals count towards the user's rolling 24h / 30d limits (see
+// _limits.js); one over a limit is rejected or flagged with a review_reason.
+// Fees come from the fee schedule for the asset, network and type (see
+// _fees.js): a withdrawal's fee is charged on top of the amount, a deposit's
+// is taken out of it.
 
-const { supabase, getSession, auditLog, ok, unauth, badReq, serverErr } = require('./_db');
+const { supabase, getSession, auditLog, ok, unauth, badReq, serverErr, UUID_RE } = require('./_db');
 const notify = require('./_notify');
+const ledger = require('./_ledger');
+const { recordTransition } = require('./_transactions');
+const { idempotent, requestId, recordedTransaction } = require('./_idempotency');
+const { getPrices } = require('./_prices');
+const { requireFreshMfa } = require('./_mfa');
+const { resolveWithdrawalAddress } = require('./_address-book');
+const { validateWithdrawalAddress } = require('./_address');
+const { checkOutgoing, getHeadroom, journalLimit, overLimitReason } = require('./_limits');
+const { quoteFee } = require('./_fees');
+
+const ALLOWED_ASSETS = new Set(['BTC', 'ETH', 'USDT', 'USDC', 'SOL']);
+const ALLOWED_TYPES  = new Set(['deposit', 'withdrawal']);
+
+const round8 = n => parseFloat(n.toFixed(8));
+const num    = v => (v == null ? null : parseFloat(v));
+
+const overLimit = (reason, { remaining }) =>
+  badReq(`Withdrawal ${reason.toLowerCase()}. You can withdraw up to ` +
+    `$${Math.min(remaining.daily_usd, remaining.monthly_usd).toLocaleString('en-US')} right now.`);
+
+/**
+ * Everything after the posting: status history, audit, email and the
+ * response. A retry whose transaction an earlier attempt already recorded
+ * comes straight here (resumed) instead of posting again.
+ */
+async function finishTransaction({ tx, userId, session, event, resumed = false }) {
+  const { type, asset, status } = tx;
+  const amount    = num(tx.amount);
+  const usd_value = num(tx.usd_value);
+  const fee_usd   = num(tx.fee_usd);
+
+  await recordTransition({ transactionId: tx.id, to: status, actor: `user:${userId}`, notes: resumed ? 'Recorded on retry' : null });
+
+  // ── Audit log ─────────────────────────────────────────────────────────────
+  await auditLog({
+    userId,
+    action: `${type}_initiated`,
+    meta: {
+      transaction_id: tx.id,
+      asset,
+      amount,
+      usd_value,
+      fee_usd,
+      network:       tx.network,
+      address:       tx.address,
+      status,
+      review_reason: tx.review_reason,
+      ...(resumed && { resumed: true }),
+    },
+    event,
+  });
 
-const ALLOWED_ASSETS   = new Set(['BTC', 'ETH', 'USDT', 'USDC', 'SOL']);
-const ALLOWED_TYPES    = new Set(['deposit', 'withdrawal']);
-const PLATFORM_FEE_PCT = 0.001; // 0.1% on withdrawals
+  // ── Email notification (non-blocking) ─────────────────────────────────────
+  notify.transactionInitiated({
+    userName:  session.name  || session.email,
+    userEmail: session.email,
+    type,
+    asset,
+    amount,
+    usdValue: usd_value,
+    feeUsd:   fee_usd || null,
+    status,
+    txId:     tx.id,
+    ip: event.headers['x-forwarded-for']?.split(',')[0]?.trim() || 'unknown',
+  }).catch(err => console.error('notify.transactionInitiated error:', err));
 
-// Approximate USD prices as fallback when live prices are unavailable
-const FALLBACK_PRICES = { BTC: 67000, ETH: 3500, USDT: 1, USDC: 1, SOL: 180 };
+  return ok({
+    transaction: {
+      id:            tx.id,
+      type,
+      asset,
+      amount,
+      usd_value,
+      fee_amount:    num(tx.fee_amount) || 0,
+      fee_usd:       fee_usd || 0,
+      status,
+      tx_hash:       tx.tx_hash,
+      network:       tx.network,
+      review_reason: tx.review_reason,
+      created_at:    tx.created_at,
+    },
+  });
+}
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
 
-  const session = getSession(event);
+  const session = await getSession(event);
   if (!session) return unauth();
 
+  return createTransaction(event, session);
+};
+
+// A retried submit with the same Idempotency-Key replays the first response
+const createTransaction = idempotent('ledger-transaction-create', async (event, session) => {
   // ── Parse & validate body ─────────────────────────────────────────────────
   let body;
   try { body = JSON.parse(event.body || '{}'); }
   catch { return badReq('Invalid JSON'); }
 
-  const { type, asset, amount, network, address, tx_hash = null, notes = null } = body;
+  const { type, asset, amount, address_id = null, tx_hash = null, notes = null } = body;
+  let { network, address } = body;
 
   if (!ALLOWED_TYPES.has(type))   return badReq(`Invalid type: ${type}`);
   if (!ALLOWED_ASSETS.has(asset)) return badReq(`Unsupported asset: ${asset}`);
   if (!amount || isNaN(amount) || amount <= 0) return badReq('amount must be a positive number');
-  if (type === 'withdrawal' && !address) return badReq('address is required for withdrawals');
+  if (type === 'withdrawal' && !address && !address_id) return badReq('address or address_id is required for withdrawals');
+  if (address_id && !UUID_RE.test(address_id)) return badReq('address_id must be a saved address id');
 
   const numAmount = parseFloat(parseFloat(amount).toFixed(8));
 
   try {
+    // ── Second factor: withdrawals need a fresh TOTP verification ─────────────
+    if (type === 'withdrawal') {
+      const mfaErr = await requireFreshMfa(session);
+      if (mfaErr) return mfaErr;
+    }
+
     // ── Lookup internal user ──────────────────────────────────────────────────
     const users = await supabase.get(
       '/rest/v1/users',
-      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,kyc_status`
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,kyc_status,whitelist_only,fee_tier`
     );
     if (!users.length) return unauth();
-    const { id: userId, kyc_status } = users[0];
+    const { id: userId, kyc_status, whitelist_only, fee_tier } = users[0];
 
     if (kyc_status === 'rejected') return badReq('Account suspended. Contact support.');
 
+    // ── Retry of a request recorded before its response was lost ────────────
+    const earlier = await recordedTransaction(event, userId);
+    if (earlier) return finishTransaction({ tx: earlier, userId, session, event, resumed: true });
+
+    // ── Destination: address book / whitelist-only checks ───────────────────
+    let addressEntry = null;
+    if (type === 'withdrawal') {
+      const dest = await resolveWithdrawalAddress({
+        userId, whitelistOnly: whitelist_only, asset, addressId: address_id, address, network,
+      });
+      if (dest.error) return badReq(dest.error);
+      ({ address, network, entry: addressEntry } = dest);
+
+      const valid = validateWithdrawalAddress({ asset, network, address });
+      if (valid.error) return badReq(valid.error);
+      ({ address, network } = valid);
+    }
+
     // ── Get live USD price ────────────────────────────────────────────────────
-    let price = FALLBACK_PRICES[asset] || 1;
-    try {
-      const priceRes  = await fetch(`${process.env.URL}/.netlify/functions/crypto-prices`);
-      const priceJson = await priceRes.json();
-      if (priceJson.ok) {
-        const coin = priceJson.data.find(c => c.sym === asset);
-        if (coin) price = coin.priceRaw;
-      }
-    } catch { /* use fallback */ }
+    const price = (await getPrices({ fallback: true }))[asset] || 1;
 
     const usd_value  = parseFloat((numAmount * price).toFixed(2));
 
-    // ── Compute fees ──────────────────────────────────────────────────────────
-    const fee_amount = type === 'withdrawal'
-      ? parseFloat((numAmount * PLATFORM_FEE_PCT).toFixed(8))
-      : 0;
-    const fee_usd = parseFloat((fee_amount * price).toFixed(2));
-
     // ── Enforce minimum amounts ───────────────────────────────────────────────
     if (type === 'deposit'    && usd_value < 500) return badReq('Minimum deposit is $500 USD equivalent');
     if (type === 'withdrawal' && usd_value < 100) return badReq('Minimum withdrawal is $100 USD equivalent');
 
-    // ── Atomic balance update via Postgres RPC ────────────────────────────────
-    // Deposits: credit full amount. Withdrawals: debit amount + fee.
-    const delta = type === 'deposit' ? numAmount : -(numAmount + fee_amount);
+    // ── Compute fees ──────────────────────────────────────────────────────────
+    const { fee_amount, fee_usd } = await quoteFee({
+      userId, feeTier: fee_tier, type, asset, network, amount: numAmount, price,
+    });
+    if (type === 'deposit' && fee_amount >= numAmount) return badReq('Deposit is too small to cover the fee');
+
+    // ── Velocity limits ───────────────────────────────────────────────────────
+    // Checked again when posting, with any parallel withdrawals counted
+    let limit = null;
+    if (type === 'withdrawal') {
+      limit = await checkOutgoing({ userId, kycStatus: kyc_status, usdValue: usd_value });
+      if (limit.action === 'reject') return overLimit(limit.reason, limit.headroom);
+    }
+
+    // ── Journal entry + transaction record (one atomic posting) ──────────────
+    // Deposits: credit the amount less the fee against suspense until the
+    // funds are confirmed. Withdrawals: debit amount + fee; the amount waits in
+    // suspense until it's sent. Either way the fee is revenue.
+    const txId = requestId(event);
+    const lines = type === 'deposit'
+      ? [
+          { account: ledger.userAccount(userId), asset, amount: round8(numAmount - fee_amount) },
+          { account: ledger.SUSPENSE_ACCOUNT,    asset, amount: -numAmount },
+        ]
+      : [
+          { account: ledger.userAccount(userId), asset, amount: -(numAmount + fee_amount) },
+          { account: ledger.SUSPENSE_ACCOUNT,    asset, amount: numAmount },
+        ];
+    if (fee_amount > 0) lines.push({ account: ledger.FEES_ACCOUNT, asset, amount: fee_amount });
+
+    // Deposits start as 'processing' (awaiting on-chain confirmation).
+    // Withdrawals start as 'pending' (awaiting compliance review — see _transactions.js).
+    const tx = {
+      id:                    txId,
+      user_id:               userId,
+      type,
+      asset,
+      amount:                numAmount,
+      usd_value,
+      fee_amount:            fee_amount || null,
+      fee_usd:               fee_usd    || null,
+      status:                type === 'deposit' ? 'processing' : 'pending',
+      tx_hash,
+      network:               network || null,
+      address:               address || null,
+      withdrawal_address_id: addressEntry?.id || null,
+      review_reason:         limit?.reason || null,
+      notes:                 notes   || null,
+      created_at:            new Date().toISOString(),
+      updated_at:            new Date().toISOString(),
+    };
 
     try {
-      await supabase.rpc('upsert_balance', {
-        p_user_id: userId,
-        p_asset:   asset,
-        p_delta:   delta,
+      await ledger.post({
+        eventType:    type,
+        reference:    txId,
+        lines,
+        createdBy:    `user:${userId}`,
+        transactions: [tx],
+        limit:        limit && journalLimit(userId, limit.headroom.limits),
       });
     } catch (err) {
       if (err.message.includes('Insufficient balance')) {
         return badReq('Insufficient balance');
       }
+      const reason = overLimitReason(err);
+      if (reason) return overLimit(reason, await getHeadroom(userId, kyc_status));
       throw err;
     }
 
-    // ── Create transaction record ─────────────────────────────────────────────
-    // Deposits start as 'processing' (awaiting on-chain confirmation).
-    // Withdrawals start as 'pending' (awaiting compliance review).
-    const status = type === 'deposit' ? 'processing' : 'pending';
-
-    const [tx] = await supabase.post('/rest/v1/transactions', {
-      user_id:    userId,
-      type,
-      asset,
-      amount:     numAmount,
-      usd_value,
-      fee_amount: fee_amount || null,
-      fee_usd:    fee_usd    || null,
-      status,
-      tx_hash,
-      network:    network || null,
-      address:    address || null,
-      notes:      notes   || null,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    });
-
-    // ── Audit log ─────────────────────────────────────────────────────────────
-    await auditLog({
-      userId,
-      action: `${type}_initiated`,
-      meta: {
-        transaction_id: tx.id,
-        asset,
-        amount:    numAmount,
-        usd_value,
-        fee_usd,
-        network,
-        address,
-        status,
-      },
-      event,
-    });
+    // Over the limit only once parallel withdrawals were counted: the posting
+    // flagged it for review
+    if (limit && !tx.review_reason && limit.headroom.limits.over_limit_action === 'review') {
+      const [posted] = await supabase.get('/rest/v1/transactions', `id=eq.${txId}&select=review_reason`);
+      tx.review_reason = posted?.review_reason || null;
+    }
 
-    // ── Email notification (non-blocking) ─────────────────────────────────────
-    notify.transactionInitiated({
-      userName:  session.name  || session.email,
-      userEmail: session.email,
-      type,
-      asset,
-      amount:   numAmount,
-      usdValue: usd_value,
-      feeUsd:   fee_usd || null,
-      status,
-      txId:     tx.id,
-      ip: event.headers['x-forwarded-for']?.split(',')[0]?.trim() || 'unknown',
-    }).catch(err => console.error('notify.transactionInitiated error:', err));
-
-    return ok({
-      transaction: {
-        id:         tx.id,
-        type,
-        asset,
-        amount:     numAmount,
-        usd_value,
-        fee_amount,
-        fee_usd,
-        status,
-        tx_hash,
-        network,
-        created_at: tx.created_at,
-      },
-    });
+    return finishTransaction({ tx, userId, session, event });
   } catch (err) {
     console.error('ledger-transaction-create error:', err);
     return serverErr(err.message);
   }
-};
+});
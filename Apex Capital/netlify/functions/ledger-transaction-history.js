@@ -2,23 +2,36 @@
 // Returns the authenticated user's transaction history with pagination and filters.
 //
 // GET /.netlify/functions/ledger-transaction-history
-// Auth: apex_session cookie required
+// Auth: apex_session cookie, or `Authorization: Bearer <api key>` with history:read
 // Query params:
 //   page=1          (1-based, default 1)
 //   limit=20        (max 100, default 20)
-//   type=deposit    (optional filter: deposit | withdrawal)
-//   asset=BTC       (optional filter)
+//   type=deposit    (optional filter: deposit | withdrawal | conversion | transfer_in | transfer_out |
+//                    allocation | redemption)
+//   asset=BTC       (optional filter; matches either side of a conversion)
 //   status=pending  (optional filter)
+//   from=2026-01-01&to=2026-03-31   (optional date range, days inclusive)
+//   tz=Europe/London                (time zone for the range and exported dates; default UTC)
+//
+// Export: add format=csv or format=ofx to download every matching transaction
+// instead of a page (see _export.js), and for CSV optionally
+// columns=date,type,asset,amount,… to pick the columns.
 
-const { supabase, getSession, ok, unauth, badReq, serverErr } = require('./_db');
+const { supabase, getSession, auditLog, ok, unauth, badReq, serverErr } = require('./_db');
+const { parseFilters, parseExport, fetchAll, exportResponse } = require('./_export');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
 
-  const session = getSession(event);
+  const session = await getSession(event, { apiKeyScope: 'history:read' });
   if (!session) return unauth();
 
   const q = event.queryStringParameters || {};
+  const filters = parseFilters(q);
+  if (filters.error) return badReq(filters.error);
+  const exportOpts = parseExport(q);
+  if (exportOpts?.error) return badReq(exportOpts.error);
+
   const page  = Math.max(1, parseInt(q.page  || '1'));
   const limit = Math.min(100, Math.max(1, parseInt(q.limit || '20')));
   const from  = (page - 1) * limit;
@@ -33,11 +46,19 @@ exports.handler = async (event) => {
     if (!users.length) return unauth();
     const userId = users[0].id;
 
-    // Build filter string
-    let filter = `user_id=eq.${userId}`;
-    if (q.type   && ['deposit','withdrawal'].includes(q.type))   filter += `&type=eq.${q.type}`;
-    if (q.asset  && /^[A-Z]{2,6}$/.test(q.asset))               filter += `&asset=eq.${q.asset}`;
-    if (q.status && /^[a-z_]+$/.test(q.status))                 filter += `&status=eq.${q.status}`;
+    const filter = `user_id=eq.${userId}${filters.filter}`;
+
+    if (exportOpts) {
+      const { rows, error } = await fetchAll(filter);
+      if (error) return badReq(error);
+      await auditLog({
+        userId,
+        action: 'transactions_exported',
+        meta:   { format: exportOpts.format, rows: rows.length, from: filters.from, to: filters.to, via: session.apiKey ? 'api_key' : 'session' },
+        event,
+      });
+      return exportResponse({ ...exportOpts, rows, tz: filters.tz, from: filters.from, to: filters.to, name: 'transactions' });
+    }
 
     // Fetch with range header for pagination
     const path = `/rest/v1/transactions?${filter}&order=created_at.desc&select=*`;
@@ -75,19 +96,24 @@ exports.handler = async (event) => {
 
 function formatTx(tx) {
   return {
-    id:         tx.id,
-    type:       tx.type,
-    asset:      tx.asset,
-    amount:     parseFloat(tx.amount),
-    usd_value:  tx.usd_value  ? parseFloat(tx.usd_value)  : null,
-    fee_amount: tx.fee_amount ? parseFloat(tx.fee_amount) : null,
-    fee_usd:    tx.fee_usd    ? parseFloat(tx.fee_usd)    : null,
-    status:     tx.status,
-    tx_hash:    tx.tx_hash,
-    network:    tx.network,
-    address:    tx.address,
-    notes:      tx.notes,
-    created_at: tx.created_at,
-    updated_at: tx.updated_at,
+    id:             tx.id,
+    type:           tx.type,
+    asset:          tx.asset,
+    amount:         parseFloat(tx.amount),
+    usd_value:      tx.usd_value  ? parseFloat(tx.usd_value)  : null,
+    fee_amount:     tx.fee_amount ? parseFloat(tx.fee_amount) : null,
+    fee_usd:        tx.fee_usd    ? parseFloat(tx.fee_usd)    : null,
+    counter_asset:  tx.counter_asset || null,
+    counter_amount: tx.counter_amount != null ? parseFloat(tx.counter_amount) : null,
+    status:         tx.status,
+    tx_hash:        tx.tx_hash,
+    network:        tx.network,
+    address:        tx.address,
+    strategy:       tx.strategy || null,
+    transfer_id:    tx.transfer_id || null,
+    notes:          tx.notes,
+    review_reason:  tx.review_reason || null,
+    created_at:     tx.created_at,
+    updated_at:     tx.updated_at,
   };
 }
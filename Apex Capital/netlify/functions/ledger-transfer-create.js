@@ -0,0 +1,198 @@
+// netlify/functions/ledger-transfer-create.js
+// Moves an asset from the authenticated user to another Apex Capital account
+// in one journal entry — no on-chain send, no withdrawal fee. Each side gets a
+// completed transaction (transfer_out for the sender, transfer_in for the
+// recipient) sharing the same transfer_id, and both parties are emailed.
+// Transfers count towards the sender's withdrawal limits (see _limits.js);
+// since they settle at once there's no review queue, so over a limit they're
+// always rejected.
+//
+// POST /.netlify/functions/ledger-transfer-create
+// Auth: apex_session cookie required + fresh TOTP step-up (see _mfa.js)
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
+// Body (JSON):
+// {
+//   to:     string,           // recipient's account email or account id
+//   asset:  'BTC' | 'ETH' | 'USDT' | 'USDC' | 'SOL',
+//   amount: number,           // in asset units
+//   note:   string | null,    // shown to both parties, max 140 chars
+// }
+//   → { ok, transfer: { id, asset, amount, usd_value, recipient: { id, email }, transaction, created_at } }
+//
+// Requires:
+//
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transfer_id     UUID;  -- shared by both legs
+// ALTER TABLE transactions ADD COLUMN IF NOT EXISTS counterparty_id UUID REFERENCES users(id);
+// CREATE INDEX IF NOT EXISTS transactions_transfer_idx ON transactions (transfer_id);
+
+const crypto = require('crypto');
+const { supabase, getSession, auditLog, ok, unauth, badReq, serverErr, UUID_RE } = require('./_db');
+const notify = require('./_notify');
+const ledger = require('./_ledger');
+const { recordTransition } = require('./_transactions');
+const { idempotent, requestId, recordedTransaction } = require('./_idempotency');
+const { getPrices } = require('./_prices');
+const { requireFreshMfa } = require('./_mfa');
+const { checkOutgoing, getHeadroom, journalLimit, overLimitReason } = require('./_limits');
+
+const ALLOWED_ASSETS = new Set(['BTC', 'ETH', 'USDT', 'USDC', 'SOL']);
+const MAX_NOTE       = 140;
+
+const overLimit = (reason, { remaining }) =>
+  badReq(`Transfer ${reason.toLowerCase()}. You can send up to ` +
+    `$${Math.min(remaining.daily_usd, remaining.monthly_usd).toLocaleString('en-US')} right now.`);
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  return createTransfer(event, session);
+};
+
+const createTransfer = idempotent('ledger-transfer-create', async (event, session) => {
+  // ── Parse & validate body ─────────────────────────────────────────────────
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  const { asset, amount } = body;
+  const to   = typeof body.to === 'string' ? body.to.trim() : '';
+  const note = typeof body.note === 'string' ? body.note.trim() : '';
+
+  if (!to)                        return badReq('to is required (recipient email or account id)');
+  if (!ALLOWED_ASSETS.has(asset)) return badReq(`Unsupported asset: ${asset}`);
+  if (!amount || isNaN(amount) || amount <= 0) return badReq('amount must be a positive number');
+  if (note.length > MAX_NOTE)     return badReq(`note must be at most ${MAX_NOTE} characters`);
+
+  const numAmount = parseFloat(parseFloat(amount).toFixed(8));
+
+  try {
+    // ── Second factor: funds leave the account, same as a withdrawal ──────────
+    const mfaErr = await requireFreshMfa(session);
+    if (mfaErr) return mfaErr;
+
+    // ── Sender and recipient ──────────────────────────────────────────────────
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,email,name,kyc_status`
+    );
+    if (!users.length) return unauth();
+    const sender = users[0];
+
+    if (sender.kyc_status === 'rejected') return badReq('Account suspended. Contact support.');
+
+    const recipients = await supabase.get(
+      '/rest/v1/users',
+      (UUID_RE.test(to)
+        ? `id=eq.${to}`
+        // Case-insensitive exact match: escape LIKE wildcards (_ is common in emails)
+        : `email=ilike.${encodeURIComponent(to.replace(/[\\%_*]/g, c => '\\' + c))}`) +
+      '&select=id,email,name,kyc_status'
+    );
+    if (recipients.length !== 1) return badReq('Recipient not found');
+    const recipient = recipients[0];
+
+    if (recipient.id === sender.id)          return badReq('Cannot transfer to your own account');
+    if (recipient.kyc_status === 'rejected') return badReq('Recipient account cannot receive transfers');
+
+    // ── Retry of a request recorded before its response was lost ────────────
+    let outTx = await recordedTransaction(event, sender.id, 'transfer_id');
+    if (!outTx) {
+      // ── Value at the live price ───────────────────────────────────────────
+      const price     = (await getPrices({ fallback: true }))[asset] || 1;
+      const usd_value = parseFloat((numAmount * price).toFixed(2));
+
+      // ── Velocity limits (checked again when posting, with any parallel
+      // transfers and withdrawals counted) ─────────────────────────────────
+      const limit = await checkOutgoing({ userId: sender.id, kycStatus: sender.kyc_status, usdValue: usd_value });
+      if (limit.action !== 'allow') return overLimit(limit.reason, limit.headroom);
+
+      // ── Linked pair of transaction records ───────────────────────────────
+      const transferId = requestId(event);
+      const now        = new Date().toISOString();
+      const legs       = [
+        { user: sender,    counterparty: recipient, type: 'transfer_out', label: `Transfer to ${recipient.email}` },
+        { user: recipient, counterparty: sender,    type: 'transfer_in',  label: `Transfer from ${sender.email}` },
+      ].map(l => ({
+        id:              crypto.randomUUID(),
+        user_id:         l.user.id,
+        type:            l.type,
+        asset,
+        amount:          numAmount,
+        usd_value,
+        status:          'completed',
+        transfer_id:     transferId,
+        counterparty_id: l.counterparty.id,
+        notes:           note ? `${l.label}: ${note}` : l.label,
+        created_at:      now,
+        updated_at:      now,
+      }));
+
+      // ── Journal entry: debit and credit in one atomic posting, with both
+      // records
+      try {
+        await ledger.post({
+          eventType: 'transfer',
+          reference: transferId,
+          memo:      `transfer to ${recipient.id}`,
+          createdBy: `user:${sender.id}`,
+          lines: [
+            { account: ledger.userAccount(sender.id),    asset, amount: -numAmount },
+            { account: ledger.userAccount(recipient.id), asset, amount: numAmount },
+          ],
+          transactions: legs,
+          limit:        journalLimit(sender.id, limit.headroom.limits, 'reject'),
+        });
+      } catch (err) {
+        if (err.message.includes('Insufficient balance')) return badReq('Insufficient balance');
+        const reason = overLimitReason(err);
+        if (reason) return overLimit(reason, await getHeadroom(sender.id, sender.kyc_status));
+        throw err;
+      }
+      await Promise.all(legs.map(l =>
+        recordTransition({ transactionId: l.id, to: 'completed', actor: `user:${sender.id}` })
+      ));
+      outTx = legs[0];
+    }
+    const transferId = outTx.transfer_id;
+    const usd_value  = parseFloat(outTx.usd_value);
+
+    // ── Audit log (one entry per side) ────────────────────────────────────────
+    const meta = { transfer_id: transferId, asset, amount: numAmount, usd_value };
+    await auditLog({ userId: sender.id,    action: 'transfer_sent',     meta: { ...meta, recipient_id: recipient.id }, event });
+    await auditLog({ userId: recipient.id, action: 'transfer_received', meta: { ...meta, sender_id: sender.id },       event });
+
+    // ── Email both parties (non-blocking) ─────────────────────────────────────
+    notify.transferCompleted({
+      sender:    { name: sender.name    || session.name || sender.email, email: sender.email || session.email },
+      recipient: { name: recipient.name || recipient.email,             email: recipient.email },
+      asset,
+      amount:    numAmount,
+      usdValue:  usd_value,
+      transferId,
+      note:      note || null,
+    }).catch(err => console.error('notify.transferCompleted error:', err));
+
+    return ok({
+      transfer: {
+        id:        transferId,
+        asset,
+        amount:    numAmount,
+        usd_value,
+        recipient: { id: recipient.id, email: recipient.email },
+        transaction: {
+          id:         outTx.id,
+          type:       outTx.type,
+          status:     outTx.status,
+          created_at: outTx.created_at,
+        },
+        created_at: outTx.created_at,
+      },
+    });
+  } catch (err) {
+    console.error('ledger-transfer-create error:', err);
+    return serverErr(err.message);
+  }
+});
@@ -0,0 +1,52 @@
+// netlify/functions/ledger-withdrawal-limits.js
+// The authenticated user's rolling withdrawal limits, what they've used and
+// how much headroom is left (see _limits.js). Withdrawals and internal
+// transfers both count.
+//
+// GET /.netlify/functions/ledger-withdrawal-limits
+// Auth: apex_session cookie, or `Authorization: Bearer <api key>` with balances:read
+//
+// Response:
+// {
+//   ok: true,
+//   limits:    { daily_usd, monthly_usd, over_limit_action, source: 'kyc' | 'override' },
+//   usage:     { daily_usd, monthly_usd },    // last 24 hours / last 30 days
+//   remaining: { daily_usd, monthly_usd },
+//   kyc_status
+// }
+
+const { supabase, getSession, ok, unauth, serverErr } = require('./_db');
+const { getHeadroom } = require('./_limits');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event, { apiKeyScope: 'balances:read' });
+  if (!session) return unauth();
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,kyc_status`
+    );
+    if (!users.length) return unauth();
+    const { id: userId, kyc_status } = users[0];
+
+    const { limits, usage, remaining } = await getHeadroom(userId, kyc_status);
+
+    return ok({
+      limits: {
+        daily_usd:         limits.daily_usd,
+        monthly_usd:       limits.monthly_usd,
+        over_limit_action: limits.over_limit_action,
+        source:            limits.source,
+      },
+      usage,
+      remaining,
+      kyc_status,
+    });
+  } catch (err) {
+    console.error('ledger-withdrawal-limits error:', err);
+    return serverErr(err.message);
+  }
+};
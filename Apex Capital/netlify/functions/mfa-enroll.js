@@ -0,0 +1,111 @@
+// netlify/functions/mfa-enroll.js
+// Enrol, manage and remove a TOTP authenticator for the signed-in user or admin.
+//
+// GET  /.netlify/functions/mfa-enroll
+//   → { ok, enrolled, confirmed_at, recovery_codes_remaining }
+//
+// POST /.netlify/functions/mfa-enroll
+// Auth: apex_session cookie required
+// Body (JSON):
+//   { action: 'begin' }                        → { secret, otpauth_uri }   (re-enrolling needs a fresh code)
+//   { action: 'confirm', code }                → { recovery_codes }        (shown once)
+//   { action: 'regenerate_recovery' }          → { recovery_codes }        (needs a fresh code)
+//   { action: 'disable' }                      (needs a fresh code)
+
+const { supabase, getSession, auditLog, ok, badReq, unauth, serverErr } = require('./_db');
+const mfa = require('./_mfa');
+
+const ALLOWED_ACTIONS = new Set(['begin', 'confirm', 'regenerate_recovery', 'disable']);
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  try {
+    const factor = await mfa.getFactor(session.sub);
+
+    if (event.httpMethod === 'GET') {
+      return ok({
+        enrolled:                 !!factor?.confirmed_at,
+        confirmed_at:             factor?.confirmed_at || null,
+        recovery_codes_remaining: factor?.confirmed_at ? (factor.recovery_codes || []).length : 0,
+      });
+    }
+
+    let body;
+    try { body = JSON.parse(event.body || '{}'); }
+    catch { return badReq('Invalid JSON'); }
+
+    const { action, code } = body;
+    if (!ALLOWED_ACTIONS.has(action)) return badReq(`Invalid action: ${action}`);
+
+    // Anything that weakens or replaces an active factor needs a fresh code first
+    if (factor?.confirmed_at && action !== 'confirm') {
+      const mfaErr = await mfa.requireFreshMfa(session, { required: true });
+      if (mfaErr) return mfaErr;
+    }
+
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id`
+    );
+    const userId = users[0]?.id || null;
+    const meta   = { email: session.email, admin: !!session.isAdmin };
+
+    switch (action) {
+
+      case 'begin': {
+        const { secret, otpauth_uri } = await mfa.beginEnrolment(session.sub, session.email);
+        await auditLog({ userId, action: 'mfa_enrolment_started', meta, event });
+        return ok({ secret, otpauth_uri });
+      }
+
+      case 'confirm': {
+        if (!factor)              return badReq('Start enrolment first');
+        if (factor.confirmed_at)  return badReq('Two-factor authentication is already enabled');
+
+        const result = await mfa.verifyCode(factor, code, { allowUnconfirmed: true });
+        if (!result.ok) {
+          await auditLog({ userId, action: 'mfa_enrolment_failed', meta, event });
+          return badReq(result.error);
+        }
+
+        const { codes, hashes } = mfa.generateRecoveryCodes();
+        await supabase.patch(
+          '/rest/v1/mfa_factors',
+          `auth0_sub=eq.${encodeURIComponent(session.sub)}`,
+          { confirmed_at: new Date().toISOString(), recovery_codes: hashes, updated_at: new Date().toISOString() }
+        );
+        await mfa.markSessionVerified(session);
+        await auditLog({ userId, action: 'mfa_enrolled', meta, event });
+        return ok({ enrolled: true, recovery_codes: codes });
+      }
+
+      case 'regenerate_recovery': {
+        if (!factor?.confirmed_at) return badReq('Two-factor authentication is not enabled');
+        const { codes, hashes } = mfa.generateRecoveryCodes();
+        await supabase.patch(
+          '/rest/v1/mfa_factors',
+          `auth0_sub=eq.${encodeURIComponent(session.sub)}`,
+          { recovery_codes: hashes, updated_at: new Date().toISOString() }
+        );
+        await auditLog({ userId, action: 'mfa_recovery_codes_regenerated', meta, event });
+        return ok({ recovery_codes: codes });
+      }
+
+      case 'disable': {
+        if (!factor) return badReq('Two-factor authentication is not enabled');
+        await supabase.delete('/rest/v1/mfa_factors', `auth0_sub=eq.${encodeURIComponent(session.sub)}`);
+        await auditLog({ userId, action: 'mfa_disabled', meta, event });
+        return ok({ enrolled: false });
+      }
+    }
+  } catch (err) {
+    console.error('mfa-enroll error:', err);
+    return serverErr(err.message);
+  }
+};
@@ -0,0 +1,62 @@
+// netlify/functions/mfa-verify.js
+// Step-up verification: checks a TOTP or recovery code and marks the current
+// session as freshly verified, unlocking withdrawals and admin money movements
+// for a short window (MFA_STEP_UP_SECONDS).
+//
+// POST /.netlify/functions/mfa-verify
+// Auth: apex_session cookie required
+// Body: { code }   6-digit authenticator code, or a recovery code (xxxxx-xxxxx)
+
+const { supabase, getSession, auditLog, ok, badReq, unauth, serverErr } = require('./_db');
+const mfa = require('./_mfa');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  if (!body.code) return badReq('code is required');
+
+  try {
+    const factor = await mfa.getFactor(session.sub);
+    const result = await mfa.verifyCode(factor, body.code);
+
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id`
+    );
+    const userId = users[0]?.id || null;
+
+    if (!result.ok) {
+      await auditLog({
+        userId,
+        action: 'mfa_verification_failed',
+        meta:   { email: session.email, reason: result.error },
+        event,
+      });
+      return badReq(result.error);
+    }
+
+    await mfa.markSessionVerified(session);
+    await auditLog({
+      userId,
+      action: result.method === 'recovery' ? 'mfa_recovery_code_used' : 'mfa_verified',
+      meta:   { email: session.email, ...(result.method === 'recovery' && { remaining: result.remaining }) },
+      event,
+    });
+
+    return ok({
+      verified: true,
+      method:   result.method,
+      ...(result.method === 'recovery' && { recovery_codes_remaining: result.remaining }),
+    });
+  } catch (err) {
+    console.error('mfa-verify error:', err);
+    return serverErr(err.message);
+  }
+};
@@ -0,0 +1,112 @@
+// netlify/functions/portfolio-snapshot.js
+// Scheduled (daily, see netlify.toml): records every user's closing balances,
+// the prices used to value them, and their strategy allocations, so
+// ledger-nav-history can show how an account looked on any past day.
+// Re-running on the same day overwrites that day's snapshot.
+//
+// A user holding an asset with no live price is skipped for the day rather
+// than recorded with that holding at $0 — a missing day is a gap in the NAV
+// chart, a zero would be a crash that never happened. Re-run once prices are
+// back to fill it in.
+//
+// Not an HTTP endpoint — Netlify invokes it on the schedule.
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+//   id             BIGSERIAL PRIMARY KEY,
+//   user_id        UUID NOT NULL REFERENCES users(id),
+//   snapshot_date  DATE NOT NULL,            -- UTC day the values close
+//   total_usd      NUMERIC(20, 2) NOT NULL,
+//   invested_usd   NUMERIC(20, 2) NOT NULL DEFAULT 0,
+//   balances       JSONB NOT NULL,           -- [ { asset, amount, usd_price, usd_value } ]
+//   allocations    JSONB NOT NULL,           -- [ { strategy, usd_value, pct } ]
+//   created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   UNIQUE (user_id, snapshot_date)
+// );
+
+const { supabase } = require('./_db');
+const { getPrices } = require('./_prices');
+const { holdingsFor, valueAllocations } = require('./_strategies');
+
+// Users per batch — keeps the `user_id=in.(…)` query strings a sane length
+const BATCH_SIZE = 200;
+
+exports.handler = async () => {
+  const snapshotDate = new Date().toISOString().slice(0, 10);
+  const prices       = await getPrices();
+  const unpriced     = new Set();
+  let   snapshotted  = 0, skipped = 0;
+
+  try {
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const users = await supabase.get(
+        '/rest/v1/users',
+        `select=id&order=created_at.asc&offset=${offset}&limit=${BATCH_SIZE}`
+      );
+      if (!users.length) break;
+
+      const ids = users.map(u => u.id);
+      const [balRows, held] = await Promise.all([
+        supabase.getAll('/rest/v1/balances', `user_id=in.(${ids.join(',')})&select=user_id,asset,amount&order=user_id.asc,asset.asc`),
+        holdingsFor(ids),
+      ]);
+
+      const rows = users.map(({ id }) => {
+        const balances = balRows.filter(b => b.user_id === id).map(b => {
+          const amount = parseFloat(b.amount);
+          const price  = prices[b.asset] ?? null;
+          return {
+            asset:     b.asset,
+            amount,
+            usd_price: price,
+            usd_value: price != null ? parseFloat((amount * price).toFixed(2)) : null,
+          };
+        });
+        // Strategy holdings at today's prices, like the available balances
+        const allocations = valueAllocations(held[id], prices);
+
+        const missing = [
+          ...balances.filter(b => b.usd_price == null && b.amount !== 0).map(b => b.asset),
+          ...Object.values(held[id]).flatMap(Object.keys).filter(asset => prices[asset] == null),
+        ];
+        if (missing.length) {
+          missing.forEach(asset => unpriced.add(asset));
+          skipped++;
+          return null;
+        }
+
+        // balances hold only what's available; allocated funds are in allocations
+        const available = balances.reduce((s, b) => s + (b.usd_value || 0), 0);
+        const invested  = allocations.reduce((s, a) => s + a.usd_value, 0);
+        return {
+          user_id:       id,
+          snapshot_date: snapshotDate,
+          total_usd:     parseFloat((available + invested).toFixed(2)),
+          invested_usd:  parseFloat(invested.toFixed(2)),
+          balances,
+          allocations,
+          created_at:    new Date().toISOString(),
+        };
+      }).filter(Boolean);
+
+      if (rows.length) {
+        await supabase('/rest/v1/portfolio_snapshots?on_conflict=user_id,snapshot_date', {
+          method:  'POST',
+          headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+          body:    JSON.stringify(rows),
+        });
+      }
+      snapshotted += rows.length;
+
+      if (users.length < BATCH_SIZE) break;
+    }
+
+    if (skipped) console.error(`[portfolio-snapshot] ${snapshotDate}: skipped ${skipped} users, no price for ${[...unpriced].join(', ')}`);
+    console.log(`[portfolio-snapshot] ${snapshotDate}: ${snapshotted} users`);
+    return { statusCode: 200, body: JSON.stringify({ snapshot_date: snapshotDate, users: snapshotted, skipped }) };
+  } catch (err) {
+    console.error('portfolio-snapshot error:', err);
+    return { statusCode: 500, body: JSON.stringify({ error: err.message, users: snapshotted, skipped }) };
+  }
+};
@@ -0,0 +1,123 @@
+// netlify/functions/statement-monthly.js
+// Scheduled (every 15 minutes over the first days of each month, see
+// netlify.toml): emails last month's statement PDF (see _statement.js) to
+// every user who opted in via ledger-statement. Starts after
+// portfolio-snapshot has recorded the last day of the month, so statements
+// are valued at month-end closing prices.
+//
+// Each run works through the opted-in users until its time budget is spent;
+// the next run picks up where it stopped. A user's statement is claimed in
+// statement_deliveries before it is sent, so overlapping or repeated runs
+// never email the same month twice. A failed send releases the claim and is
+// retried by the next run; a claim whose run was cut off mid-send (sent_at
+// still null) is left alone — the statement can always be downloaded.
+//
+// Not an HTTP endpoint — Netlify invokes it on the schedule.
+//
+// Requires:
+//
+// CREATE TABLE IF NOT EXISTS statement_deliveries (
+//   user_id     UUID NOT NULL REFERENCES users(id),
+//   month       TEXT NOT NULL,          -- 'YYYY-MM'
+//   claimed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+//   sent_at     TIMESTAMPTZ,
+//   PRIMARY KEY (user_id, month)
+// );
+
+const { supabase } = require('./_db');
+const notify = require('./_notify');
+const { buildStatement, renderStatementPdf, statementFilename } = require('./_statement');
+
+// Users per page of the opted-in list
+const BATCH_SIZE = 100;
+
+// Stop starting new statements after this long, well inside the function timeout
+const TIME_BUDGET_MS = 20 * 1000;
+
+/**
+ * Claim the user's statement for the month. False when another run already
+ * has it.
+ */
+async function claimDelivery(userId, month) {
+  const rows = await supabase('/rest/v1/statement_deliveries', {
+    method:  'POST',
+    headers: { Prefer: 'resolution=ignore-duplicates,return=representation' },
+    body:    JSON.stringify({ user_id: userId, month, claimed_at: new Date().toISOString() }),
+  });
+  return rows.length > 0;
+}
+
+exports.handler = async () => {
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const d     = new Date();
+  const last  = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 1, 1));
+  const month = last.toISOString().slice(0, 7);
+  const until = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)).toISOString();
+  let sent = 0, failed = 0, done = false, afterId = null;
+
+  try {
+    while (Date.now() < deadline) {
+      // Accounts opened after the month ended have nothing to state
+      const users = await supabase.get(
+        '/rest/v1/users',
+        `statement_emails=is.true&kyc_status=neq.rejected&created_at=lt.${until}` +
+        (afterId ? `&id=gt.${afterId}` : '') +
+        `&select=id,email,name&order=id.asc&limit=${BATCH_SIZE}`
+      );
+      if (!users.length) { done = true; break; }
+      afterId = users[users.length - 1].id;
+
+      const delivered = new Set((await supabase.get(
+        '/rest/v1/statement_deliveries',
+        `month=eq.${month}&user_id=in.(${users.map(u => u.id).join(',')})&select=user_id`
+      )).map(r => r.user_id));
+
+      for (const user of users) {
+        if (delivered.has(user.id)) continue;
+        if (Date.now() >= deadline) break;
+        if (!(await claimDelivery(user.id, month))) continue;
+        let emailed = false;
+        try {
+          const statement = await buildStatement(user, month);
+          if (statement.error) throw new Error(statement.error);
+          await notify.monthlyStatement({
+            name:         user.name,
+            email:        user.email,
+            period:       statement.period.label,
+            totalUsd:     statement.totals.total_usd,
+            feesUsd:      statement.totals.fees_usd,
+            transactions: statement.transactions.length,
+            pdf:          renderStatementPdf(statement),
+            filename:     statementFilename(month),
+          });
+          emailed = true;
+          await supabase.patch(
+            '/rest/v1/statement_deliveries',
+            `user_id=eq.${user.id}&month=eq.${month}`,
+            { sent_at: new Date().toISOString() }
+          );
+          sent++;
+        } catch (err) {
+          if (emailed) {
+            // Sent, only the bookkeeping failed — keep the claim so it isn't sent again
+            sent++;
+            console.error(`[statement-monthly] ${month} statement for ${user.id} sent but not marked:`, err.message);
+            continue;
+          }
+          failed++;
+          console.error(`[statement-monthly] ${month} statement for ${user.id} failed:`, err.message);
+          await supabase.delete('/rest/v1/statement_deliveries', `user_id=eq.${user.id}&month=eq.${month}&sent_at=is.null`)
+            .catch(e => console.error(`[statement-monthly] couldn't release ${user.id}'s claim:`, e.message));
+        }
+      }
+
+      if (users.length < BATCH_SIZE && Date.now() < deadline) { done = true; break; }
+    }
+
+    console.log(`[statement-monthly] ${month}: ${sent} sent, ${failed} failed${done ? '' : ', continuing next run'}`);
+    return { statusCode: 200, body: JSON.stringify({ month, sent, failed, done }) };
+  } catch (err) {
+    console.error('statement-monthly error:', err);
+    return { statusCode: 500, body: JSON.stringify({ error: err.message, sent, failed }) };
+  }
+};
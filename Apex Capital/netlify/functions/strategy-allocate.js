@@ -0,0 +1,103 @@
+// netlify/functions/strategy-allocate.js
+// Moves part of the authenticated user's available balance into one of the
+// investment strategies (see _strategies.js). Allocated funds no longer count
+// as available and can't be withdrawn until redeemed (strategy-redeem).
+//
+// POST /.netlify/functions/strategy-allocate
+// Auth: apex_session cookie required
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
+// Body (JSON):
+// {
+//   strategy: 'long_short' | 'defi_yield' | 'quant_arb',
+//   asset:    'BTC' | 'ETH' | 'USDT' | 'USDC' | 'SOL' | 'USD',
+//   amount:   number,          // in asset units
+// }
+//   → { ok, transaction: { id, type, strategy, asset, amount, usd_value, status, created_at }, allocations }
+
+const { supabase, getSession, auditLog, ok, unauth, badReq, serverErr } = require('./_db');
+const { idempotent, requestId, recordedTransaction } = require('./_idempotency');
+const { getPrices } = require('./_prices');
+const { STRATEGIES, moveFunds, refreshAllocations } = require('./_strategies');
+
+const ALLOWED_ASSETS = new Set(['BTC', 'ETH', 'USDT', 'USDC', 'SOL', 'USD']);
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  return allocate(event, session);
+};
+
+const allocate = idempotent('strategy-allocate', async (event, session) => {
+  let body;
+  try { body = JSON.parse(event.body || '{}'); }
+  catch { return badReq('Invalid JSON'); }
+
+  const { strategy, asset, amount } = body;
+
+  if (!STRATEGIES.includes(strategy)) return badReq(`Unknown strategy: ${strategy}`);
+  if (!ALLOWED_ASSETS.has(asset))     return badReq(`Unsupported asset: ${asset}`);
+  if (!amount || isNaN(amount) || amount <= 0) return badReq('amount must be a positive number');
+
+  const numAmount = parseFloat(parseFloat(amount).toFixed(8));
+
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id,kyc_status`
+    );
+    if (!users.length) return unauth();
+    const { id: userId, kyc_status } = users[0];
+
+    if (kyc_status === 'rejected') return badReq('Account suspended. Contact support.');
+
+    const prices = await getPrices({ fallback: true });
+
+    // A retry of a request recorded before its response was lost reports that
+    // allocation instead of making another
+    let tx = await recordedTransaction(event, userId);
+    if (!tx) {
+      try {
+        tx = await moveFunds({
+          txId:      requestId(event),
+          userId, strategy, asset,
+          amount:    numAmount,
+          usdValue:  parseFloat((numAmount * (prices[asset] || 0)).toFixed(2)),
+          direction: 'allocation',
+        });
+      } catch (err) {
+        if (err.message.includes('Insufficient balance')) return badReq(`Insufficient available ${asset} balance`);
+        throw err;
+      }
+    }
+    const usd_value = parseFloat(tx.usd_value);
+
+    const allocations = await refreshAllocations(userId, prices);
+
+    await auditLog({
+      userId,
+      action: 'strategy_allocated',
+      meta:   { transaction_id: tx.id, strategy, asset, amount: numAmount, usd_value },
+      event,
+    });
+
+    return ok({
+      transaction: {
+        id:         tx.id,
+        type:       tx.type,
+        strategy,
+        asset,
+        amount:     numAmount,
+        usd_value,
+        status:     tx.status,
+        created_at: tx.created_at,
+      },
+      allocations,
+    });
+  } catch (err) {
+    console.error('strategy-allocate error:', err);
+    return serverErr(err.message);
+  }
+});
@@ -0,0 +1,114 @@
+// netlify/functions/strategy-redeem.js
+// Redeems funds the authenticated user has allocated to a strategy back into
+// their available balance (see _strategies.js). Pass amount: 'all' to redeem
+// everything held in that asset.
+//
+// GET  /.netlify/functions/strategy-redeem
+//   → { ok, holdings: { long_short: { BTC: 0.5, … }, defi_yield: {…}, quant_arb: {…} } }
+//
+// POST /.netlify/functions/strategy-redeem
+// Auth: apex_session cookie required
+// Headers: Idempotency-Key (optional, recommended) — see _idempotency.js
+// Body (JSON):
+// {
+//   strategy: 'long_short' | 'defi_yield' | 'quant_arb',
+//   asset:    'BTC' | 'ETH' | 'USDT' | 'USDC' | 'SOL' | 'USD',
+//   amount:   number | 'all',  // in asset units
+// }
+//   → { ok, transaction: { id, type, strategy, asset, amount, usd_value, status, created_at }, allocations }
+
+const { supabase, getSession, auditLog, ok, unauth, badReq, serverErr } = require('./_db');
+const { idempotent, requestId, recordedTransaction } = require('./_idempotency');
+const { getPrices } = require('./_prices');
+const { STRATEGIES, holdings, moveFunds, refreshAllocations } = require('./_strategies');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return unauth();
+
+  return redeem(event, session);
+};
+
+const redeem = idempotent('strategy-redeem', async (event, session) => {
+  try {
+    const users = await supabase.get(
+      '/rest/v1/users',
+      `auth0_sub=eq.${encodeURIComponent(session.sub)}&select=id`
+    );
+    if (!users.length) return unauth();
+    const userId = users[0].id;
+
+    const held = await holdings(userId);
+    if (event.httpMethod === 'GET') return ok({ holdings: held });
+
+    let body;
+    try { body = JSON.parse(event.body || '{}'); }
+    catch { return badReq('Invalid JSON'); }
+
+    const { strategy, asset, amount } = body;
+
+    const prices = await getPrices({ fallback: true });
+
+    // A retry of a request recorded before its response was lost reports that
+    // redemption — the holdings checks would now see it as already made
+    let tx = await recordedTransaction(event, userId);
+    if (!tx) {
+      if (!STRATEGIES.includes(strategy)) return badReq(`Unknown strategy: ${strategy}`);
+      const available = held[strategy][asset] || 0;
+      if (!available) return badReq(`No ${asset} allocated to ${strategy}`);
+
+      const numAmount = amount === 'all'
+        ? available
+        : parseFloat(parseFloat(amount).toFixed(8));
+      if (!numAmount || isNaN(numAmount) || numAmount <= 0) return badReq('amount must be a positive number or "all"');
+      if (numAmount > available) return badReq(`Only ${available} ${asset} is allocated to ${strategy}`);
+
+      try {
+        tx = await moveFunds({
+          txId:      requestId(event),
+          userId, strategy, asset,
+          amount:    numAmount,
+          usdValue:  parseFloat((numAmount * (prices[asset] || 0)).toFixed(2)),
+          direction: 'redemption',
+        });
+      } catch (err) {
+        // Another redemption of the same strategy and asset committed first
+        // (the journal serializes them, see _ledger.js)
+        if (err.message.includes('Insufficient strategy balance')) return badReq(`Not enough ${asset} left in ${strategy}`);
+        throw err;
+      }
+    }
+    const redeemed  = parseFloat(tx.amount);
+    const usd_value = parseFloat(tx.usd_value);
+
+    const allocations = await refreshAllocations(userId, prices);
+
+    await auditLog({
+      userId,
+      action: 'strategy_redeemed',
+      meta:   { transaction_id: tx.id, strategy, asset, amount: redeemed, usd_value },
+      event,
+    });
+
+    return ok({
+      transaction: {
+        id:         tx.id,
+        type:       tx.type,
+        strategy,
+        asset,
+        amount:     redeemed,
+        usd_value,
+        status:     tx.status,
+        created_at: tx.created_at,
+      },
+      allocations,
+    });
+  } catch (err) {
+    console.error('strategy-redeem error:', err);
+    return serverErr(err.message);
+  }
+});